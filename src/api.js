@@ -1,230 +1,190 @@
-import axios from 'axios';
-import crypto from 'crypto';
+import { BatchClient, checkEndpoint } from './client.js';
+import { getCredentials, getProfileName, loadProfile, resolveRegion } from './credentials.js';
 import { getConfig } from './config.js';
+import { debugEnabled, debugLog } from './debug.js';
+
+// The CLI's view of BatchClient: settings come from the global flags, the
+// environment, the shared-config profile and the config store.
+
+let clientOptions = {};
+let client;
+let recordedCalls = null;
 
 /**
- * AWS Signature Version 4 signing helper
+ * Set request behaviour for this process from the global flags
+ * (--max-retries, --request-timeout, --verbose, --endpoint-url, --dry-run).
  */
-function sign(key, msg) {
-  return crypto.createHmac('sha256', key).update(msg).digest();
+export function configureClient({ maxRetries, requestTimeout, verbose, endpointUrl, dryRun } = {}) {
+  clientOptions = { maxRetries, requestTimeout, verbose, endpointUrl, dryRun };
+  client = undefined;
 }
 
-function getSigningKey(secretKey, dateStamp, regionName, serviceName) {
-  const kDate = sign('AWS4' + secretKey, dateStamp);
-  const kRegion = sign(kDate, regionName);
-  const kService = sign(kRegion, serviceName);
-  return sign(kService, 'aws4_request');
+/**
+ * The Batch endpoint to call: --endpoint-url, then AWS_ENDPOINT_URL_BATCH,
+ * AWS_ENDPOINT_URL, the profile's endpoint_url and `config set endpoint`,
+ * falling back to the public regional endpoint.
+ */
+export function getBatchEndpoint(region = resolveRegion()) {
+  const sources = [
+    [clientOptions.endpointUrl, '--endpoint-url'],
+    [process.env.AWS_ENDPOINT_URL_BATCH, 'AWS_ENDPOINT_URL_BATCH'],
+    [process.env.AWS_ENDPOINT_URL, 'AWS_ENDPOINT_URL'],
+    [loadProfile(getProfileName())?.endpoint_url, `profile ${getProfileName()} endpoint_url`],
+    [getConfig('endpoint'), 'config endpoint']
+  ];
+  const [endpoint, source] = sources.find(([value]) => value) || [];
+  return endpoint ? checkEndpoint(endpoint, source) : `https://batch.${region}.amazonaws.com`;
+}
+
+function getLogsEndpoint(region) {
+  if (process.env.AWS_ENDPOINT_URL_CLOUDWATCH_LOGS) {
+    return checkEndpoint(process.env.AWS_ENDPOINT_URL_CLOUDWATCH_LOGS, 'AWS_ENDPOINT_URL_CLOUDWATCH_LOGS');
+  }
+  if (process.env.AWS_ENDPOINT_URL) return checkEndpoint(process.env.AWS_ENDPOINT_URL, 'AWS_ENDPOINT_URL');
+  return `https://logs.${region}.amazonaws.com`;
 }
 
-function buildAuthHeader({ method, url, body, service, region, accessKeyId, secretAccessKey }) {
-  const parsedUrl = new URL(url);
-  const host = parsedUrl.host;
-  const path = parsedUrl.pathname;
-  const queryString = parsedUrl.search ? parsedUrl.search.slice(1) : '';
-
-  const now = new Date();
-  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '').slice(0, 15) + 'Z';
-  const dateStamp = amzDate.slice(0, 8);
-
-  const payloadHash = crypto.createHash('sha256').update(body || '').digest('hex');
-
-  const canonicalHeaders = `host:${host}\nx-amz-date:${amzDate}\n`;
-  const signedHeaders = 'host;x-amz-date';
-
-  const canonicalRequest = [
-    method.toUpperCase(),
-    path,
-    queryString,
-    canonicalHeaders,
-    signedHeaders,
-    payloadHash
-  ].join('\n');
-
-  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
-  const stringToSign = [
-    'AWS4-HMAC-SHA256',
-    amzDate,
-    credentialScope,
-    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
-  ].join('\n');
-
-  const signingKey = getSigningKey(secretAccessKey, dateStamp, region, service);
-  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+function getRetrySettings() {
+  const maxRetries = clientOptions.maxRetries ?? getConfig('maxRetries');
+  const requestTimeout = clientOptions.requestTimeout ?? getConfig('requestTimeout');
+  return {
+    maxRetries: maxRetries !== undefined ? parseInt(maxRetries) : 3,
+    requestTimeout: requestTimeout !== undefined ? parseInt(requestTimeout) : 30000
+  };
+}
 
-  const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+function logRetry({ method, path, reason, attempt, maxAttempts, delay }) {
+  if (debugEnabled()) {
+    debugLog(`retrying ${method} ${path} (${reason}); attempt ${attempt}/${maxAttempts} in ${delay}ms`);
+  } else if (clientOptions.verbose) {
+    console.error(`[retry] ${method} ${path} failed (${reason}); attempt ${attempt}/${maxAttempts} in ${delay}ms`);
+  }
+}
 
-  return { authorization, amzDate };
+export function getClient() {
+  if (!client) {
+    const region = resolveRegion();
+    client = new BatchClient({
+      region,
+      credentials: getCredentials,
+      endpoint: getBatchEndpoint(region),
+      logsEndpoint: getLogsEndpoint(region),
+      ...getRetrySettings(),
+      dryRun: Boolean(clientOptions.dryRun),
+      onRetry: logRetry
+    });
+  }
+  return client;
 }
 
-function getBatchClient() {
-  const accessKeyId = getConfig('accessKeyId');
-  const secretAccessKey = getConfig('secretAccessKey');
-  const region = getConfig('region') || 'us-east-1';
-  const baseURL = `https://batch.${region}.amazonaws.com`;
+// The body goes to stdout as sent, so it can be captured or diffed
+function printDryRun({ operation, method, url, body }) {
+  console.error(`Dry run: ${operation} (${method} ${url}) was not sent`);
+  if (body) console.log(JSON.stringify(body, null, 2));
+  process.exit(0);
+}
 
-  return {
-    request: async (method, path, data = null) => {
-      const url = `${baseURL}${path}`;
-      const body = data ? JSON.stringify(data) : '';
-      const { authorization, amzDate } = buildAuthHeader({
-        method,
-        url,
-        body,
-        service: 'batch',
-        region,
-        accessKeyId,
-        secretAccessKey
-      });
-
-      try {
-        const response = await axios({
-          method,
-          url,
-          data: data || undefined,
-          headers: {
-            'Authorization': authorization,
-            'X-Amz-Date': amzDate,
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          }
-        });
-        return response.data;
-      } catch (error) {
-        handleApiError(error);
-      }
+// --dry-run stops the command at the first mutating call, unless
+// previewCalls is recording every call of a multi-call command
+function call(operation) {
+  return async (...args) => {
+    const result = await getClient()[operation](...args);
+    if (result?.dryRun) {
+      if (!recordedCalls) printDryRun(result);
+      recordedCalls.push(result);
     }
+    return result;
   };
 }
 
-function handleApiError(error) {
-  if (error.response) {
-    const status = error.response.status;
-    const data = error.response.data;
-    if (status === 401 || status === 403) {
-      throw new Error('AWS authentication failed. Check your accessKeyId and secretAccessKey.');
-    } else if (status === 404) {
-      throw new Error('Resource not found.');
-    } else if (status === 429) {
-      throw new Error('Rate limit exceeded. Please wait before retrying.');
-    } else {
-      const message = data?.message || data?.Message || data?.error || JSON.stringify(data);
-      throw new Error(`AWS Batch Error (${status}): ${message}`);
-    }
-  } else if (error.request) {
-    throw new Error('No response from AWS Batch API. Check your internet connection and region.');
-  } else {
-    throw error;
-  }
+/**
+ * Under --dry-run, run `fn` with its mutating calls recorded instead of
+ * sent, print them all and exit 0. For commands that make several calls:
+ * each is listed on stderr, and stdout gets a JSON array of
+ * { operation, method, url, body }. A single call prints as usual.
+ */
+export async function previewCalls(fn) {
+  recordedCalls = [];
+  await fn();
+  const calls = recordedCalls;
+  if (calls.length === 1) printDryRun(calls[0]);
+  if (calls.length === 0) console.error('Dry run: no calls would be sent');
+  calls.forEach(({ operation, method, url }) => console.error(`Dry run: ${operation} (${method} ${url}) was not sent`));
+  if (calls.length) console.log(JSON.stringify(calls.map(({ operation, method, url, body }) => ({ operation, method, url, body })), null, 2));
+  process.exit(0);
+}
+
+function iterate(operation) {
+  return (...args) => getClient()[operation](...args);
 }
 
 // ============================================================
 // JOBS
 // ============================================================
 
-export async function submitJob({ jobName, jobQueue, jobDefinition, parameters, containerOverrides }) {
-  const client = getBatchClient();
-  const body = {
-    jobName,
-    jobQueue,
-    jobDefinition,
-    ...(parameters && { parameters }),
-    ...(containerOverrides && { containerOverrides })
-  };
-  const data = await client.request('POST', '/v1/submitjob', body);
-  return data;
-}
+export const submitJob = call('submitJob');
+export const describeJobs = call('describeJobs');
+export const iterateJobs = iterate('iterateJobs');
+export const listJobs = call('listJobs');
+export const terminateJob = call('terminateJob');
+export const cancelJob = call('cancelJob');
 
-export async function describeJobs(jobIds) {
-  const client = getBatchClient();
-  const data = await client.request('POST', '/v1/describejobs', { jobs: jobIds });
-  return data?.jobs || [];
-}
-
-export async function listJobs({ jobQueue, jobStatus, maxResults = 50 } = {}) {
-  const client = getBatchClient();
-  const body = {};
-  if (jobQueue) body.jobQueue = jobQueue;
-  if (jobStatus) body.jobStatus = jobStatus;
-  if (maxResults) body.maxResults = maxResults;
-  const data = await client.request('POST', '/v1/listjobs', body);
-  return data?.jobSummaryList || [];
-}
+// ============================================================
+// JOB QUEUES
+// ============================================================
 
-export async function terminateJob(jobId, reason) {
-  const client = getBatchClient();
-  const data = await client.request('POST', '/v1/terminatejob', {
-    jobId,
-    reason: reason || 'Terminated via CLI'
-  });
-  return data;
-}
+export const iterateQueues = iterate('iterateQueues');
+export const listQueues = call('listQueues');
+export const getQueue = call('getQueue');
+export const createQueue = call('createQueue');
+export const updateQueue = call('updateQueue');
+export const deleteQueue = call('deleteQueue');
 
 // ============================================================
-// JOB QUEUES
+// JOB DEFINITIONS
 // ============================================================
 
-export async function listQueues() {
-  const client = getBatchClient();
-  const data = await client.request('GET', '/v1/jobqueues');
-  return data?.jobQueues || [];
-}
+export const iterateDefinitions = iterate('iterateDefinitions');
+export const listDefinitions = call('listDefinitions');
+export const describeDefinitions = call('describeDefinitions');
+export const resolveDefinition = call('resolveDefinition');
+export const registerDefinition = call('registerDefinition');
+export const deregisterDefinition = call('deregisterDefinition');
 
-export async function getQueue(queueName) {
-  const client = getBatchClient();
-  const data = await client.request('GET', `/v1/jobqueues?jobQueues=${encodeURIComponent(queueName)}`);
-  return (data?.jobQueues || [])[0] || null;
-}
+// ============================================================
+// COMPUTE ENVIRONMENTS
+// ============================================================
 
-export async function createQueue({ queueName, state, priority, computeEnvironmentOrder }) {
-  const client = getBatchClient();
-  const body = {
-    jobQueueName: queueName,
-    state: state || 'ENABLED',
-    priority: priority || 1,
-    computeEnvironmentOrder: computeEnvironmentOrder || []
-  };
-  const data = await client.request('POST', '/v1/createjobqueue', body);
-  return data;
-}
+export const iterateComputeEnvironments = iterate('iterateComputeEnvironments');
+export const listComputeEnvironments = call('listComputeEnvironments');
+export const getComputeEnvironment = call('getComputeEnvironment');
+export const createComputeEnvironment = call('createComputeEnvironment');
+export const updateComputeEnvironment = call('updateComputeEnvironment');
+export const deleteComputeEnvironment = call('deleteComputeEnvironment');
 
-export async function updateQueue({ queueName, state, priority }) {
-  const client = getBatchClient();
-  const body = { jobQueue: queueName };
-  if (state) body.state = state;
-  if (priority !== undefined) body.priority = priority;
-  const data = await client.request('POST', '/v1/updatejobqueue', body);
-  return data;
-}
+// ============================================================
+// SCHEDULING POLICIES
+// ============================================================
+
+export const iterateSchedulingPolicies = iterate('iterateSchedulingPolicies');
+export const describeSchedulingPolicies = call('describeSchedulingPolicies');
+export const listSchedulingPolicies = call('listSchedulingPolicies');
+export const getSchedulingPolicy = call('getSchedulingPolicy');
+export const createSchedulingPolicy = call('createSchedulingPolicy');
+export const updateSchedulingPolicy = call('updateSchedulingPolicy');
+export const deleteSchedulingPolicy = call('deleteSchedulingPolicy');
 
 // ============================================================
-// JOB DEFINITIONS
+// TAGS
 // ============================================================
 
-export async function listDefinitions({ definitionName, status } = {}) {
-  const client = getBatchClient();
-  let path = '/v1/jobdefinitions';
-  const params = [];
-  if (definitionName) params.push(`jobDefinitionName=${encodeURIComponent(definitionName)}`);
-  if (status) params.push(`status=${encodeURIComponent(status)}`);
-  if (params.length) path += '?' + params.join('&');
-  const data = await client.request('GET', path);
-  return data?.jobDefinitions || [];
-}
+export const listTagsForResource = call('listTagsForResource');
+export const tagResource = call('tagResource');
+export const untagResource = call('untagResource');
 
-export async function describeDefinitions(definitionNames) {
-  const client = getBatchClient();
-  const path = `/v1/jobdefinitions?jobDefinitionName=${encodeURIComponent(definitionNames[0])}`;
-  const data = await client.request('GET', path);
-  return data?.jobDefinitions || [];
-}
+// ============================================================
+// CLOUDWATCH LOGS
+// ============================================================
 
-export async function registerDefinition({ definitionName, type, containerProperties }) {
-  const client = getBatchClient();
-  const body = {
-    jobDefinitionName: definitionName,
-    type: type || 'container',
-    ...(containerProperties && { containerProperties })
-  };
-  const data = await client.request('POST', '/v1/registerjobdefinition', body);
-  return data;
-}
+export const getLogEvents = call('getLogEvents');
+export const filterLogEvents = call('filterLogEvents');
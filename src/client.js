@@ -0,0 +1,607 @@
+import axios from 'axios';
+import { createCredentialProvider } from './credentials.js';
+import { signRequest } from './signer.js';
+import { traceRequest, traceResponse } from './debug.js';
+import { AuthError, NetworkError, ThrottlingError, ValidationError, errorFromResponse } from './errors.js';
+
+// Batch operations that change something; dryRun stops at each one
+const BATCH_MUTATIONS = {
+  submitjob: 'SubmitJob',
+  terminatejob: 'TerminateJob',
+  canceljob: 'CancelJob',
+  createjobqueue: 'CreateJobQueue',
+  updatejobqueue: 'UpdateJobQueue',
+  deletejobqueue: 'DeleteJobQueue',
+  registerjobdefinition: 'RegisterJobDefinition',
+  deregisterjobdefinition: 'DeregisterJobDefinition',
+  createcomputeenvironment: 'CreateComputeEnvironment',
+  updatecomputeenvironment: 'UpdateComputeEnvironment',
+  deletecomputeenvironment: 'DeleteComputeEnvironment',
+  createschedulingpolicy: 'CreateSchedulingPolicy',
+  updateschedulingpolicy: 'UpdateSchedulingPolicy',
+  deleteschedulingpolicy: 'DeleteSchedulingPolicy'
+};
+
+function mutatingOperation(service, method, path) {
+  if (service !== 'batch') return null;
+  if (path.startsWith('/v1/tags/')) return { POST: 'TagResource', DELETE: 'UntagResource' }[method] || null;
+  return BATCH_MUTATIONS[path.replace(/^\/v1\//, '')] || null;
+}
+
+/** Validate an endpoint URL and drop any trailing slash. */
+export function checkEndpoint(endpoint, source) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new ValidationError(`Invalid endpoint URL '${endpoint}' (from ${source})`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError(`Invalid endpoint URL '${endpoint}' (from ${source}): use http:// or https://`);
+  }
+  return endpoint.replace(/\/+$/, '');
+}
+
+const THROTTLING_CODES = ['TooManyRequestsException', 'ThrottlingException', 'Throttling', 'RequestLimitExceeded'];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+function awsErrorCode(response) {
+  const type = response?.headers?.['x-amzn-errortype'] || response?.data?.__type || response?.data?.code || '';
+  return String(type).split(':')[0].split('#').pop();
+}
+
+function isRetryable(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return status === 429 || status >= 500 || THROTTLING_CODES.includes(awsErrorCode(error.response));
+  }
+  return !!error.request && TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+// "Full jitter" backoff: a random delay between 0 and the capped exponential
+function backoffDelay(attempt) {
+  const base = 200;
+  const cap = 20000;
+  return Math.floor(Math.random() * Math.min(cap, base * 2 ** attempt));
+}
+
+function describeFailure(error) {
+  if (error.response) return `HTTP ${error.response.status}${awsErrorCode(error.response) ? ` ${awsErrorCode(error.response)}` : ''}`;
+  return error.code || error.message;
+}
+
+/**
+ * Turn a failed call into a typed error (see errors.js) that keeps the AWS
+ * error code, HTTP status and request ID.
+ */
+function handleApiError(error, attempts = 1, serviceLabel = 'AWS Batch') {
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    const code = awsErrorCode(error.response) || undefined;
+    const detail = data?.message || data?.Message || data?.error || (typeof data === 'string' ? data : JSON.stringify(data));
+    const typed = errorFromResponse({
+      status,
+      code,
+      message: detail,
+      requestId: headers?.['x-amzn-requestid'] || headers?.['x-amz-request-id'],
+      service: serviceLabel
+    });
+    if (typed instanceof AuthError) {
+      typed.message = `AWS authentication failed: ${String(detail).replace(/\.$/, '')}. Check your credentials (environment, --profile or config) and that any session token has not expired.`;
+    } else if (typed instanceof ThrottlingError) {
+      typed.message = `Rate limit exceeded after ${attempts} attempt(s). Try again later or raise --max-retries.`;
+    } else {
+      typed.message = `${serviceLabel} ${code || 'Error'} (${status}): ${detail}`;
+    }
+    throw typed;
+  } else if (error.request) {
+    throw new NetworkError(`No response from ${serviceLabel} after ${attempts} attempt(s). Check your internet connection, region and endpoint.`, {
+      code: error.code,
+      service: serviceLabel
+    });
+  } else {
+    throw error;
+  }
+}
+
+async function collect(pages) {
+  const results = [];
+  for await (const page of pages) results.push(...page.items);
+  return results;
+}
+
+/**
+ * An AWS Batch client with its own region, credentials, endpoint and retry
+ * settings. Nothing is read from the CLI's config store:
+ *
+ *   import { BatchClient } from '@ktmcp-cli/awsbatch';
+ *   const batch = new BatchClient({ region: 'eu-west-1', profile: 'prod' });
+ *   const { jobId } = await batch.submitJob({ jobName, jobQueue, jobDefinition });
+ *
+ * Failures are thrown as the typed errors in errors.js. `iterate*` methods
+ * return async iterators of `{ items, nextToken }` pages; `list*` methods
+ * collect them.
+ */
+export class BatchClient {
+  #credentials;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.region] Default: $AWS_REGION, $AWS_DEFAULT_REGION or us-east-1
+   * @param {object|Function} [options.credentials] `{ accessKeyId, secretAccessKey, sessionToken }` or an async provider
+   *   returning them. Default: environment variables, then the shared-config profile
+   * @param {string} [options.profile] Shared-config profile for the default provider
+   * @param {string} [options.roleArn] Role for the default provider to assume
+   * @param {string} [options.externalId] External ID for roleArn
+   * @param {string} [options.endpoint] Batch endpoint (default: the public regional endpoint)
+   * @param {string} [options.logsEndpoint] CloudWatch Logs endpoint
+   * @param {number} [options.maxRetries=3] Retries for throttled, 5xx and network failures
+   * @param {number} [options.requestTimeout=30000] Per-attempt HTTP timeout in milliseconds
+   * @param {boolean} [options.dryRun=false] Resolve mutating calls with `{ dryRun: true, operation, method, url, body }` instead of sending them
+   * @param {Function} [options.onRetry] Called with `{ method, path, reason, attempt, maxAttempts, delay }` before each retry
+   */
+  constructor({
+    region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1',
+    credentials,
+    profile,
+    roleArn,
+    externalId,
+    endpoint,
+    logsEndpoint,
+    maxRetries = 3,
+    requestTimeout = 30000,
+    dryRun = false,
+    onRetry
+  } = {}) {
+    this.region = region;
+    this.endpoint = endpoint ? checkEndpoint(endpoint, 'endpoint') : `https://batch.${region}.amazonaws.com`;
+    this.logsEndpoint = logsEndpoint ? checkEndpoint(logsEndpoint, 'logsEndpoint') : `https://logs.${region}.amazonaws.com`;
+    this.maxRetries = maxRetries;
+    this.requestTimeout = requestTimeout;
+    this.dryRun = dryRun;
+    this.onRetry = onRetry;
+    if (typeof credentials === 'function') {
+      this.#credentials = credentials;
+    } else if (credentials) {
+      this.#credentials = async () => credentials;
+    } else {
+      this.#credentials = createCredentialProvider({ profile, roleArn, externalId, region });
+    }
+  }
+
+  async #send({ service, serviceLabel, baseURL, method, path, data = null, headers = {} }) {
+    const url = `${baseURL}${path}`;
+    const body = data ? JSON.stringify(data) : '';
+
+    const operation = this.dryRun && mutatingOperation(service, method, path);
+    if (operation) return { dryRun: true, operation, method, url, body: data };
+
+    for (let attempt = 0; ; attempt++) {
+      // Sign every attempt afresh: X-Amz-Date must stay within the allowed clock skew
+      const signed = signRequest({
+        method,
+        url,
+        body,
+        service,
+        region: this.region,
+        credentials: await this.#credentials(),
+        contentSha256: true,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...headers
+        }
+      });
+
+      traceRequest({ method, url, headers: signed.headers, body, attempt: attempt + 1, canonicalRequest: signed.canonicalRequest });
+      const startedAt = Date.now();
+      try {
+        // Send the exact bytes that were signed
+        const response = await axios({
+          method,
+          url,
+          data: body || undefined,
+          timeout: this.requestTimeout,
+          headers: signed.headers
+        });
+        traceResponse({ response, startedAt });
+        return response.data;
+      } catch (error) {
+        traceResponse({ response: error.response, error, startedAt });
+        if (attempt >= this.maxRetries || !isRetryable(error)) {
+          handleApiError(error, attempt + 1, serviceLabel);
+        }
+        const delay = backoffDelay(attempt);
+        this.onRetry?.({ method, path, reason: describeFailure(error), attempt: attempt + 2, maxAttempts: this.maxRetries + 1, delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /** Send a signed request to a Batch REST path, e.g. request('POST', '/v1/describejobs', { jobs }). */
+  request(method, path, data = null) {
+    return this.#send({ service: 'batch', serviceLabel: 'AWS Batch', baseURL: this.endpoint, method, path, data });
+  }
+
+  // CloudWatch Logs speaks the JSON 1.1 protocol: one path, operation in X-Amz-Target
+  #logs(operation, body) {
+    return this.#send({
+      service: 'logs',
+      serviceLabel: 'CloudWatch Logs',
+      baseURL: this.logsEndpoint,
+      method: 'POST',
+      path: '/',
+      data: body,
+      headers: { 'Content-Type': 'application/x-amz-json-1.1', 'X-Amz-Target': `Logs_20140328.${operation}` }
+    });
+  }
+
+  /**
+   * Follow nextToken across pages of a Batch list/describe operation.
+   * Yields { items, nextToken } per page and stops once `limit` items have
+   * been returned. maxResults is shrunk on the last page so the returned
+   * nextToken resumes exactly where the output stopped.
+   */
+  async *paginate(path, body, resultKey, { pageSize, maxPageSize = 100, startingToken, limit = Infinity } = {}) {
+    let nextToken = startingToken;
+    let remaining = limit;
+    while (remaining > 0) {
+      const request = { ...body };
+      request.maxResults = Math.min(pageSize || maxPageSize, maxPageSize, remaining);
+      if (nextToken) request.nextToken = nextToken;
+      const data = await this.request('POST', path, request);
+      const items = data?.[resultKey] || [];
+      nextToken = data?.nextToken;
+      remaining -= items.length;
+      yield { items, nextToken };
+      if (!nextToken) break;
+    }
+  }
+
+  // ============================================================
+  // JOBS
+  // ============================================================
+
+  async submitJob({
+    jobName,
+    jobQueue,
+    jobDefinition,
+    parameters,
+    containerOverrides,
+    arrayProperties,
+    dependsOn,
+    retryStrategy,
+    timeout,
+    tags,
+    propagateTags,
+    shareIdentifier,
+    schedulingPriorityOverride,
+    nodeOverrides,
+    eksPropertiesOverride,
+    ecsPropertiesOverride
+  }) {
+    const body = {
+      jobName,
+      jobQueue,
+      jobDefinition,
+      ...(parameters && { parameters }),
+      ...(containerOverrides && { containerOverrides }),
+      ...(arrayProperties && { arrayProperties }),
+      ...(dependsOn?.length && { dependsOn }),
+      ...(retryStrategy && { retryStrategy }),
+      ...(timeout && { timeout }),
+      ...(tags && { tags }),
+      ...(propagateTags !== undefined && { propagateTags }),
+      ...(shareIdentifier && { shareIdentifier }),
+      ...(schedulingPriorityOverride !== undefined && { schedulingPriorityOverride }),
+      ...(nodeOverrides && { nodeOverrides }),
+      ...(eksPropertiesOverride && { eksPropertiesOverride }),
+      ...(ecsPropertiesOverride && { ecsPropertiesOverride })
+    };
+    return this.request('POST', '/v1/submitjob', body);
+  }
+
+  // DescribeJobs accepts at most 100 IDs per call
+  async describeJobs(jobIds) {
+    const jobs = [];
+    for (let i = 0; i < jobIds.length; i += 100) {
+      const data = await this.request('POST', '/v1/describejobs', { jobs: jobIds.slice(i, i + 100) });
+      jobs.push(...(data?.jobs || []));
+    }
+    return jobs;
+  }
+
+  iterateJobs({ jobQueue, jobStatus, arrayJobId, filters, ...pagination } = {}) {
+    const body = {};
+    if (jobQueue) body.jobQueue = jobQueue;
+    if (arrayJobId) body.arrayJobId = arrayJobId;
+    if (jobStatus) body.jobStatus = jobStatus;
+    if (filters?.length) body.filters = filters;
+    return this.paginate('/v1/listjobs', body, 'jobSummaryList', { maxPageSize: 1000, ...pagination });
+  }
+
+  async listJobs({ limit = 50, ...options } = {}) {
+    return collect(this.iterateJobs({ limit, ...options }));
+  }
+
+  async terminateJob(jobId, reason) {
+    return this.request('POST', '/v1/terminatejob', {
+      jobId,
+      reason: reason || 'Terminated via CLI'
+    });
+  }
+
+  // CancelJob only affects jobs that have not reached STARTING yet
+  async cancelJob(jobId, reason) {
+    return this.request('POST', '/v1/canceljob', {
+      jobId,
+      reason: reason || 'Cancelled via CLI'
+    });
+  }
+
+  // ============================================================
+  // JOB QUEUES
+  // ============================================================
+
+  iterateQueues(pagination = {}) {
+    return this.paginate('/v1/describejobqueues', {}, 'jobQueues', pagination);
+  }
+
+  async listQueues(options = {}) {
+    return collect(this.iterateQueues(options));
+  }
+
+  async getQueue(queueName) {
+    const data = await this.request('POST', '/v1/describejobqueues', { jobQueues: [queueName] });
+    return (data?.jobQueues || [])[0] || null;
+  }
+
+  async createQueue({ queueName, state, priority, computeEnvironmentOrder, schedulingPolicyArn, tags }) {
+    const body = {
+      jobQueueName: queueName,
+      state: state || 'ENABLED',
+      priority: priority || 1,
+      computeEnvironmentOrder: computeEnvironmentOrder || [],
+      ...(schedulingPolicyArn && { schedulingPolicyArn }),
+      ...(tags && { tags })
+    };
+    return this.request('POST', '/v1/createjobqueue', body);
+  }
+
+  async updateQueue({ queueName, state, priority, computeEnvironmentOrder, schedulingPolicyArn }) {
+    const body = { jobQueue: queueName };
+    if (state) body.state = state;
+    if (priority !== undefined) body.priority = priority;
+    if (computeEnvironmentOrder) body.computeEnvironmentOrder = computeEnvironmentOrder;
+    if (schedulingPolicyArn) body.schedulingPolicyArn = schedulingPolicyArn;
+    return this.request('POST', '/v1/updatejobqueue', body);
+  }
+
+  // The queue must be DISABLED first
+  async deleteQueue(queueName) {
+    return this.request('POST', '/v1/deletejobqueue', { jobQueue: queueName });
+  }
+
+  // ============================================================
+  // JOB DEFINITIONS
+  // ============================================================
+
+  iterateDefinitions({ definitionName, status, ...pagination } = {}) {
+    const body = {};
+    if (definitionName) body.jobDefinitionName = definitionName;
+    if (status) body.status = status;
+    return this.paginate('/v1/describejobdefinitions', body, 'jobDefinitions', pagination);
+  }
+
+  async listDefinitions(options = {}) {
+    return collect(this.iterateDefinitions(options));
+  }
+
+  /**
+   * Describe definitions by reference: a bare name matches every revision,
+   * name:revision or an ARN matches one. Sorted by name, newest revision first.
+   */
+  async describeDefinitions(references) {
+    const exact = references.filter(reference => reference.includes(':'));
+    const names = references.filter(reference => !reference.includes(':'));
+    const definitions = [];
+    for (let i = 0; i < exact.length; i += 100) {
+      const data = await this.request('POST', '/v1/describejobdefinitions', { jobDefinitions: exact.slice(i, i + 100) });
+      definitions.push(...(data?.jobDefinitions || []));
+    }
+    for (const name of names) {
+      definitions.push(...await collect(this.iterateDefinitions({ definitionName: name })));
+    }
+    return definitions.sort((a, b) =>
+      a.jobDefinitionName.localeCompare(b.jobDefinitionName) || b.revision - a.revision
+    );
+  }
+
+  /**
+   * Resolve a definition reference the way SubmitJob does: name:revision or an
+   * ARN names one revision, a bare name means its latest ACTIVE revision.
+   */
+  async resolveDefinition(reference) {
+    if (reference.includes(':')) {
+      const data = await this.request('POST', '/v1/describejobdefinitions', { jobDefinitions: [reference] });
+      return data?.jobDefinitions?.[0] || null;
+    }
+    const revisions = await collect(this.iterateDefinitions({ definitionName: reference, status: 'ACTIVE' }));
+    return revisions.reduce((latest, def) => (!latest || def.revision > latest.revision ? def : latest), null);
+  }
+
+  async registerDefinition({
+    definitionName,
+    type,
+    parameters,
+    containerProperties,
+    nodeProperties,
+    eksProperties,
+    ecsProperties,
+    platformCapabilities,
+    retryStrategy,
+    timeout,
+    propagateTags,
+    schedulingPriority,
+    tags
+  }) {
+    const body = {
+      jobDefinitionName: definitionName,
+      type: type || 'container',
+      ...(parameters && { parameters }),
+      ...(containerProperties && { containerProperties }),
+      ...(nodeProperties && { nodeProperties }),
+      ...(eksProperties && { eksProperties }),
+      ...(ecsProperties && { ecsProperties }),
+      ...(platformCapabilities?.length && { platformCapabilities }),
+      ...(retryStrategy && { retryStrategy }),
+      ...(timeout && { timeout }),
+      ...(propagateTags !== undefined && { propagateTags }),
+      ...(schedulingPriority !== undefined && { schedulingPriority }),
+      ...(tags && { tags })
+    };
+    return this.request('POST', '/v1/registerjobdefinition', body);
+  }
+
+  async deregisterDefinition(reference) {
+    return this.request('POST', '/v1/deregisterjobdefinition', { jobDefinition: reference });
+  }
+
+  // ============================================================
+  // COMPUTE ENVIRONMENTS
+  // ============================================================
+
+  iterateComputeEnvironments(pagination = {}) {
+    return this.paginate('/v1/describecomputeenvironments', {}, 'computeEnvironments', pagination);
+  }
+
+  async listComputeEnvironments(options = {}) {
+    return collect(this.iterateComputeEnvironments(options));
+  }
+
+  async getComputeEnvironment(computeEnvironmentName) {
+    const data = await this.request('POST', '/v1/describecomputeenvironments', {
+      computeEnvironments: [computeEnvironmentName]
+    });
+    return (data?.computeEnvironments || [])[0] || null;
+  }
+
+  async createComputeEnvironment({ computeEnvironmentName, type, state, serviceRole, unmanagedvCpus, computeResources, tags }) {
+    const body = {
+      computeEnvironmentName,
+      type: type || 'MANAGED',
+      state: state || 'ENABLED',
+      ...(serviceRole && { serviceRole }),
+      ...(unmanagedvCpus !== undefined && { unmanagedvCpus }),
+      ...(computeResources && { computeResources }),
+      ...(tags && { tags })
+    };
+    return this.request('POST', '/v1/createcomputeenvironment', body);
+  }
+
+  async updateComputeEnvironment({ computeEnvironmentName, state, serviceRole, unmanagedvCpus, computeResources }) {
+    const body = { computeEnvironment: computeEnvironmentName };
+    if (state) body.state = state;
+    if (serviceRole) body.serviceRole = serviceRole;
+    if (unmanagedvCpus !== undefined) body.unmanagedvCpus = unmanagedvCpus;
+    if (computeResources && Object.keys(computeResources).length) body.computeResources = computeResources;
+    return this.request('POST', '/v1/updatecomputeenvironment', body);
+  }
+
+  async deleteComputeEnvironment(computeEnvironmentName) {
+    return this.request('POST', '/v1/deletecomputeenvironment', {
+      computeEnvironment: computeEnvironmentName
+    });
+  }
+
+  // ============================================================
+  // SCHEDULING POLICIES
+  // ============================================================
+
+  iterateSchedulingPolicies(pagination = {}) {
+    return this.paginate('/v1/listschedulingpolicies', {}, 'schedulingPolicies', pagination);
+  }
+
+  // DescribeSchedulingPolicies accepts at most 100 ARNs per call
+  async describeSchedulingPolicies(arns) {
+    const policies = [];
+    for (let i = 0; i < arns.length; i += 100) {
+      const data = await this.request('POST', '/v1/describeschedulingpolicies', { arns: arns.slice(i, i + 100) });
+      policies.push(...(data?.schedulingPolicies || []));
+    }
+    return policies;
+  }
+
+  // ListSchedulingPolicies only returns ARNs
+  async listSchedulingPolicies(options = {}) {
+    const arns = (await collect(this.iterateSchedulingPolicies(options))).map(policy => policy.arn);
+    return this.describeSchedulingPolicies(arns);
+  }
+
+  // Accepts a policy name or ARN; names are matched against the full listing
+  async getSchedulingPolicy(reference) {
+    if (reference.startsWith('arn:')) {
+      return (await this.describeSchedulingPolicies([reference]))[0] || null;
+    }
+    return (await this.listSchedulingPolicies()).find(policy => policy.name === reference) || null;
+  }
+
+  async createSchedulingPolicy({ name, fairsharePolicy, tags }) {
+    const body = {
+      name,
+      ...(fairsharePolicy && { fairsharePolicy }),
+      ...(tags && { tags })
+    };
+    return this.request('POST', '/v1/createschedulingpolicy', body);
+  }
+
+  async updateSchedulingPolicy({ arn, fairsharePolicy }) {
+    return this.request('POST', '/v1/updateschedulingpolicy', { arn, ...(fairsharePolicy && { fairsharePolicy }) });
+  }
+
+  async deleteSchedulingPolicy(arn) {
+    return this.request('POST', '/v1/deleteschedulingpolicy', { arn });
+  }
+
+  // ============================================================
+  // TAGS
+  // ============================================================
+
+  async listTagsForResource(resourceArn) {
+    const data = await this.request('GET', tagsPath(resourceArn));
+    return data?.tags || {};
+  }
+
+  async tagResource(resourceArn, tags) {
+    return this.request('POST', tagsPath(resourceArn), { tags });
+  }
+
+  async untagResource(resourceArn, tagKeys) {
+    const query = tagKeys.map(key => `tagKeys=${encodeURIComponent(key)}`).join('&');
+    return this.request('DELETE', `${tagsPath(resourceArn)}?${query}`);
+  }
+
+  // ============================================================
+  // CLOUDWATCH LOGS
+  // ============================================================
+
+  async getLogEvents({ logGroupName, logStreamName, startTime, nextToken, startFromHead = true }) {
+    const body = { logGroupName, logStreamName, startFromHead };
+    if (startTime !== undefined) body.startTime = startTime;
+    if (nextToken) body.nextToken = nextToken;
+    return this.#logs('GetLogEvents', body);
+  }
+
+  async filterLogEvents({ logGroupName, logStreamNames, filterPattern, startTime, nextToken }) {
+    const body = { logGroupName };
+    if (logStreamNames?.length) body.logStreamNames = logStreamNames;
+    if (filterPattern) body.filterPattern = filterPattern;
+    if (startTime !== undefined) body.startTime = startTime;
+    if (nextToken) body.nextToken = nextToken;
+    return this.#logs('FilterLogEvents', body);
+  }
+}
+
+function tagsPath(resourceArn) {
+  return `/v1/tags/${encodeURIComponent(resourceArn)}`;
+}
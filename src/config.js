@@ -1,21 +1,29 @@
+import path from 'path';
 import Conf from 'conf';
 
-const config = new Conf({ projectName: '@ktmcp-cli/awsbatch' });
+// Created on first use, so importing the library never touches the CLI's config store
+let config;
+
+function store() {
+  return config ||= new Conf({ projectName: '@ktmcp-cli/awsbatch' });
+}
 
 export function getConfig(key) {
-  return config.get(key);
+  return store().get(key);
 }
 
 export function setConfig(key, value) {
-  config.set(key, value);
+  store().set(key, value);
 }
 
 export function isConfigured() {
-  return !!(config.get('accessKeyId') && config.get('secretAccessKey'));
+  return !!(getConfig('accessKeyId') && getConfig('secretAccessKey'));
 }
 
-export function getAllConfig() {
-  return config.store;
+export function getConfigDir() {
+  return path.dirname(store().path);
 }
 
-export default config;
+export function getAllConfig() {
+  return store().store;
+}
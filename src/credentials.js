@@ -0,0 +1,391 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { execSync } from 'child_process';
+import { getConfig, getConfigDir } from './config.js';
+import { assumeRole } from './sts.js';
+import { getRoleCredentials } from './sso.js';
+import { AuthError } from './errors.js';
+
+let options = {};
+let provider;
+
+/**
+ * Set the credential options for this process from the global flags
+ * (--profile, --role-arn, --external-id, --mfa-token).
+ */
+export function configureCredentials({ profile, roleArn, externalId, mfaToken } = {}) {
+  options = { profile, roleArn, externalId, mfaToken };
+  provider = undefined;
+}
+
+function profileName(profile) {
+  return profile || process.env.AWS_PROFILE || process.env.AWS_DEFAULT_PROFILE || 'default';
+}
+
+export function getProfileName() {
+  return profileName(options.profile);
+}
+
+// ============================================================
+// Shared config files (~/.aws/credentials, ~/.aws/config)
+// ============================================================
+
+function parseIni(content) {
+  const sections = {};
+  let current = null;
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      current = sections[header[1].trim()] ||= {};
+      continue;
+    }
+    const eq = line.indexOf('=');
+    if (current && eq > 0) {
+      current[line.slice(0, eq).trim().toLowerCase()] = line.slice(eq + 1).trim();
+    }
+  }
+  return sections;
+}
+
+function readIniFile(file) {
+  try {
+    return parseIni(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function credentialsFile() {
+  return process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(os.homedir(), '.aws', 'credentials');
+}
+
+function configFile() {
+  return process.env.AWS_CONFIG_FILE || path.join(os.homedir(), '.aws', 'config');
+}
+
+/**
+ * Load a profile merged from both shared files. Keys in the credentials file
+ * win over the same keys in the config file, matching the AWS CLI.
+ */
+export function loadProfile(name) {
+  const config = readIniFile(configFile());
+  const credentials = readIniFile(credentialsFile());
+  const fromConfig = name === 'default' ? (config.default || config['profile default']) : config[`profile ${name}`];
+  const fromCredentials = credentials[name];
+  if (!fromConfig && !fromCredentials) return null;
+  return { ...fromConfig, ...fromCredentials };
+}
+
+function profileHasCredentials(profile) {
+  if (!profile) return false;
+  if (profile.aws_access_key_id && profile.aws_secret_access_key) return true;
+  if (profile.role_arn && (profile.source_profile || profile.credential_source)) return true;
+  return !!(profile.credential_process || isSsoProfile(profile));
+}
+
+function credentialsFromProcess(command, profileName) {
+  let output;
+  try {
+    output = execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    throw new AuthError(`credential_process for profile '${profileName}' failed: ${error.stderr?.trim() || error.message}`);
+  }
+  let parsed;
+  try { parsed = JSON.parse(output); } catch {
+    throw new AuthError(`credential_process for profile '${profileName}' did not return valid JSON`);
+  }
+  if (!parsed.AccessKeyId || !parsed.SecretAccessKey) {
+    throw new AuthError(`credential_process for profile '${profileName}' returned no AccessKeyId/SecretAccessKey`);
+  }
+  return {
+    accessKeyId: parsed.AccessKeyId,
+    secretAccessKey: parsed.SecretAccessKey,
+    sessionToken: parsed.SessionToken,
+    expiration: parsed.Expiration
+  };
+}
+
+function staticProfileCredentials(profile) {
+  return {
+    accessKeyId: profile.aws_access_key_id,
+    secretAccessKey: profile.aws_secret_access_key,
+    sessionToken: profile.aws_session_token
+  };
+}
+
+/**
+ * Resolve a profile's credentials. The selected profile prefers role_arn over
+ * static keys; a source_profile prefers its static keys, as the AWS CLI does.
+ */
+async function credentialsFromProfile(name, profile, settings, chain = []) {
+  const hasStaticKeys = profile.aws_access_key_id && profile.aws_secret_access_key;
+  if (hasStaticKeys && (chain.length > 0 || !profile.role_arn)) {
+    return staticProfileCredentials(profile);
+  }
+
+  if (profile.role_arn) {
+    let source;
+    if (profile.source_profile) {
+      if (chain.includes(profile.source_profile) || (profile.source_profile === name && !hasStaticKeys)) {
+        throw new AuthError(`Circular source_profile reference: ${[...chain, name, profile.source_profile].join(' -> ')}`);
+      }
+      const sourceProfile = profile.source_profile === name ? profile : loadProfile(profile.source_profile);
+      if (!sourceProfile) throw new AuthError(`source_profile '${profile.source_profile}' of profile '${name}' not found`);
+      source = await credentialsFromProfile(profile.source_profile, sourceProfile, settings, [...chain, name]);
+    } else if (profile.credential_source === 'Environment') {
+      if (!envHasCredentials()) throw new AuthError(`Profile '${name}' uses credential_source Environment but AWS_ACCESS_KEY_ID is not set`);
+      source = environmentCredentials();
+    } else {
+      throw new AuthError(`Profile '${name}' has role_arn but no source_profile (credential_source '${profile.credential_source}' is not supported)`);
+    }
+
+    return assumeRoleCached({
+      roleArn: profile.role_arn,
+      externalId: profile.external_id,
+      sessionName: profile.role_session_name,
+      durationSeconds: profile.duration_seconds ? parseInt(profile.duration_seconds) : undefined,
+      mfaSerial: profile.mfa_serial
+    }, source, settings);
+  }
+
+  if (isSsoProfile(profile)) return ssoCredentials(name, profile);
+  return credentialsFromProcess(profile.credential_process, name);
+}
+
+// ============================================================
+// IAM Identity Center (SSO) profiles
+// ============================================================
+
+function isSsoProfile(profile) {
+  return !!(profile.sso_session || profile.sso_start_url);
+}
+
+const ssoLoginHint = (name) => `Run aws sso login --profile ${name}.`;
+
+/**
+ * The token `aws sso login` cached for a profile. The cache file is named
+ * after the SHA-1 of the sso-session name, or of the start URL for legacy
+ * profiles. Expired tokens are not refreshed here.
+ */
+function readSsoToken(name, profile) {
+  let session = { sso_start_url: profile.sso_start_url, sso_region: profile.sso_region };
+  if (profile.sso_session) {
+    session = readIniFile(configFile())[`sso-session ${profile.sso_session}`];
+    if (!session) throw new AuthError(`sso_session '${profile.sso_session}' of profile '${name}' not found in ${configFile()}`);
+  }
+  const cacheKey = profile.sso_session || session.sso_start_url;
+  const file = path.join(os.homedir(), '.aws', 'sso', 'cache', `${crypto.createHash('sha1').update(cacheKey).digest('hex')}.json`);
+
+  let token;
+  try {
+    token = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    throw new AuthError(`No SSO login found for profile '${name}'. ${ssoLoginHint(name)}`);
+  }
+  if (!token.accessToken || new Date(token.expiresAt).getTime() < Date.now()) {
+    throw new AuthError(`The SSO session of profile '${name}' has expired. ${ssoLoginHint(name)}`);
+  }
+  return { accessToken: token.accessToken, region: session.sso_region || token.region };
+}
+
+async function ssoCredentials(name, profile) {
+  if (!profile.sso_account_id || !profile.sso_role_name) {
+    throw new AuthError(`Profile '${name}' needs sso_account_id and sso_role_name`);
+  }
+  const { accessToken, region } = readSsoToken(name, profile);
+  try {
+    return await getRoleCredentials({ accessToken, accountId: profile.sso_account_id, roleName: profile.sso_role_name, region });
+  } catch (error) {
+    if (error instanceof AuthError) error.message += `. ${ssoLoginHint(name)}`;
+    throw error;
+  }
+}
+
+// ============================================================
+// Role assumption with an on-disk session cache
+// ============================================================
+
+function isExpiring(credentials) {
+  return !!credentials.expiration && new Date(credentials.expiration).getTime() - 60 * 1000 < Date.now();
+}
+
+function stsCacheFile(role, source, cacheDir) {
+  if (!cacheDir) return null;
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify([role.roleArn, role.externalId, role.sessionName, role.mfaSerial, role.durationSeconds, source.accessKeyId]))
+    .digest('hex');
+  return path.join(cacheDir, `${key}.json`);
+}
+
+function readCachedSession(file) {
+  if (!file) return null;
+  try {
+    const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return isExpiring(cached) ? null : cached;
+  } catch {
+    return null;
+  }
+}
+
+function writeCachedSession(file, credentials) {
+  if (!file) return;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, JSON.stringify(credentials), { mode: 0o600 });
+  } catch {
+    // The cache only saves STS round trips; a read-only home is not fatal.
+  }
+}
+
+async function promptMfaToken(mfaSerial) {
+  if (!process.stdin.isTTY) {
+    throw new AuthError(`MFA code required for ${mfaSerial}. Pass --mfa-token <code>.`);
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise(resolve => rl.question(`Enter MFA code for ${mfaSerial}: `, resolve));
+  rl.close();
+  return answer.trim();
+}
+
+async function assumeRoleCached(role, source, settings) {
+  const file = stsCacheFile(role, source, settings.cacheDir);
+  const cached = readCachedSession(file);
+  if (cached) return cached;
+
+  const credentials = await assumeRole({
+    ...role,
+    sessionName: role.sessionName || `awsbatch-cli-${Date.now()}`,
+    tokenCode: role.mfaSerial ? (settings.mfaToken || await promptMfaToken(role.mfaSerial)) : undefined,
+    region: settings.region,
+    endpoint: settings.stsEndpoint
+  }, source);
+  writeCachedSession(file, credentials);
+  return credentials;
+}
+
+// ============================================================
+// Provider chain
+// ============================================================
+
+function envHasCredentials() {
+  return !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+}
+
+function environmentCredentials() {
+  return {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN
+  };
+}
+
+function confHasCredentials() {
+  return !!(getConfig('accessKeyId') && getConfig('secretAccessKey'));
+}
+
+/**
+ * Resolve credentials in the standard order: environment variables, then the
+ * selected shared-config profile, then `fallback` (the CLI passes the values
+ * saved with `config set`). An explicit profile skips the environment
+ * variables, as the AWS CLI does.
+ */
+async function resolveBaseCredentials(settings) {
+  if (!settings.profile && envHasCredentials()) {
+    return { ...environmentCredentials(), source: 'environment' };
+  }
+
+  const name = profileName(settings.profile);
+  const profile = loadProfile(name);
+  if (profileHasCredentials(profile)) {
+    return { ...await credentialsFromProfile(name, profile, settings), source: `profile:${name}` };
+  }
+  if (settings.profile) {
+    throw new AuthError(`Profile '${name}' not found or has no credentials.`);
+  }
+
+  if (settings.fallback?.accessKeyId && settings.fallback?.secretAccessKey) {
+    return { ...settings.fallback, source: 'config' };
+  }
+
+  throw new AuthError('AWS credentials not configured.');
+}
+
+/**
+ * Build a credential provider: an async function that resolves credentials
+ * through the chain above, assumes `roleArn` on top when given, and caches
+ * the result until it is about to expire. Nothing here reads the CLI's
+ * config store; `cacheDir` enables the on-disk AssumeRole session cache.
+ *
+ * @param {object} [settings]
+ * @param {string} [settings.profile] Shared-config profile (default: $AWS_PROFILE or default)
+ * @param {string} [settings.roleArn] Role to assume with the resolved credentials
+ * @param {string} [settings.externalId] External ID for roleArn
+ * @param {string} [settings.mfaToken] MFA code for profiles with mfa_serial (prompted on a TTY otherwise)
+ * @param {string} [settings.region] Region for STS calls
+ * @param {string} [settings.stsEndpoint] STS endpoint override
+ * @param {string} [settings.cacheDir] Directory for cached AssumeRole sessions
+ * @param {object} [settings.fallback] Static credentials to use when the chain finds none
+ */
+export function createCredentialProvider(settings = {}) {
+  const resolved = { region: 'us-east-1', ...settings };
+  let pending;
+
+  async function resolve() {
+    const base = await resolveBaseCredentials(resolved);
+    if (!resolved.roleArn) return base;
+    const assumed = await assumeRoleCached({ roleArn: resolved.roleArn, externalId: resolved.externalId }, base, resolved);
+    return { ...assumed, source: `role:${resolved.roleArn}` };
+  }
+
+  // Assumed-role sessions refresh themselves in long-running processes
+  return async function getCredentials() {
+    if (pending) {
+      const credentials = await pending;
+      if (!isExpiring(credentials)) return credentials;
+    }
+    pending = resolve();
+    pending.catch(() => { pending = undefined; });
+    return pending;
+  };
+}
+
+/**
+ * Cheap check used before running a command: reports whether any source in
+ * the chain could supply credentials, without running credential_process or
+ * calling STS.
+ */
+export function hasCredentials() {
+  if (!options.profile && envHasCredentials()) return true;
+  if (profileHasCredentials(loadProfile(getProfileName()))) return true;
+  return !options.profile && confHasCredentials();
+}
+
+export function resolveRegion() {
+  return process.env.AWS_REGION ||
+    process.env.AWS_DEFAULT_REGION ||
+    loadProfile(getProfileName())?.region ||
+    getConfig('region') ||
+    'us-east-1';
+}
+
+/**
+ * The CLI's credentials: the global flags plus the config store's keys, STS
+ * endpoint and session cache. Resolved once per process.
+ */
+export async function getCredentials() {
+  provider ||= createCredentialProvider({
+    ...options,
+    region: resolveRegion(),
+    stsEndpoint: process.env.AWS_ENDPOINT_URL_STS || getConfig('stsEndpoint'),
+    cacheDir: path.join(getConfigDir(), 'sts-cache'),
+    fallback: confHasCredentials()
+      ? { accessKeyId: getConfig('accessKeyId'), secretAccessKey: getConfig('secretAccessKey'), sessionToken: getConfig('sessionToken') }
+      : undefined
+  });
+  return provider();
+}
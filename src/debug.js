@@ -0,0 +1,90 @@
+import chalk from 'chalk';
+
+// Longer bodies are cut in the trace; the request itself is unaffected
+const MAX_BODY_CHARS = 8192;
+const REDACTED = '<redacted>';
+
+let enabled = false;
+
+/** Turn --debug request tracing on or off for this process. */
+export function configureDebug(on) {
+  enabled = Boolean(on);
+}
+
+export function debugEnabled() {
+  return enabled;
+}
+
+export function debugLog(message) {
+  if (enabled) console.error(chalk.dim(`[debug] ${message}`));
+}
+
+function maskKey(accessKeyId) {
+  return accessKeyId.length > 8 ? `${accessKeyId.slice(0, 4)}…${accessKeyId.slice(-4)}` : '…';
+}
+
+/**
+ * Copy headers with secrets removed: the Authorization signature, session
+ * tokens and most of the access key ID.
+ */
+export function redactHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+    const key = name.toLowerCase();
+    if (['x-amz-security-token', 'x-amz-sso_bearer_token', 'proxy-authorization'].includes(key)) return [name, REDACTED];
+    if (key === 'authorization') {
+      return [name, String(value)
+        .replace(/Credential=([^/,\s]+)/, (_, id) => `Credential=${maskKey(id)}`)
+        .replace(/Signature=[0-9a-f]+/, `Signature=${REDACTED}`)];
+    }
+    return [name, value];
+  }));
+}
+
+// Credentials that can appear in bodies (STS responses, config-like payloads)
+export function redactBody(text) {
+  return String(text)
+    .replace(/<(SecretAccessKey|SessionToken)>[^<]*</g, `<$1>${REDACTED}<`)
+    .replace(/("(?:secretAccessKey|sessionToken|SecretAccessKey|SessionToken)"\s*:\s*)"[^"]*"/g, `$1"${REDACTED}"`)
+    .replace(/(x-amz-security-token:).*/g, `$1${REDACTED}`);
+}
+
+function formatBody(body) {
+  if (body === undefined || body === null || body === '') return null;
+  const text = redactBody(typeof body === 'string' ? body : JSON.stringify(body));
+  return text.length > MAX_BODY_CHARS ? `${text.slice(0, MAX_BODY_CHARS)}… (${text.length - MAX_BODY_CHARS} more characters)` : text;
+}
+
+/** Trace an outgoing request: method, URL, redacted headers and body. */
+export function traceRequest({ method, url, headers, body, attempt, canonicalRequest }) {
+  if (!enabled) return;
+  debugLog(`→ ${method} ${url}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+  Object.entries(redactHeaders(headers)).forEach(([name, value]) => debugLog(`    ${name}: ${value}`));
+  const text = formatBody(body);
+  if (text) debugLog(`    body: ${text}`);
+  if (canonicalRequest) {
+    debugLog('    canonical request:');
+    redactBody(canonicalRequest).split('\n').forEach(line => debugLog(`      ${line}`));
+  }
+}
+
+/**
+ * Trace a response or a failure: status, AWS error type, request ID and
+ * timing, then the body.
+ */
+export function traceResponse({ response, error, startedAt }) {
+  if (!enabled) return;
+  const elapsed = `${Date.now() - startedAt}ms`;
+  if (!response) {
+    debugLog(`✗ no response after ${elapsed}: ${error?.code || error?.message}`);
+    return;
+  }
+  const headers = response.headers || {};
+  const requestId = headers['x-amzn-requestid'] || headers['x-amz-request-id'];
+  const errorType = headers['x-amzn-errortype'] || response.data?.__type;
+  debugLog([
+    `← ${response.status}${errorType ? ` ${String(errorType).split(':')[0]}` : ''} in ${elapsed}`,
+    requestId && `request ID ${requestId}`
+  ].filter(Boolean).join(', '));
+  const text = formatBody(response.data);
+  if (text) debugLog(`    body: ${text}`);
+}
@@ -0,0 +1,98 @@
+// Fields DescribeJobDefinitions adds that a RegisterJobDefinition request
+// never carries; they differ between any two revisions.
+const DEFINITION_METADATA = ['jobDefinitionArn', 'revision', 'status', 'containerOrchestrationType'];
+
+// List entries are matched by the first of these keys they all share, so
+// reordering env vars or volumes is not reported as a change
+const LIST_KEYS = ['name', 'type', 'targetNodes', 'shareIdentifier', 'containerPath', 'containerName'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Described definitions carry empty lists and objects (volumes: [],
+// ulimits: [], ...) that a request leaves out; both mean "none"
+function withoutEmpty(value) {
+  if (Array.isArray(value)) return value.map(withoutEmpty);
+  if (!isPlainObject(value)) return value;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const cleaned = withoutEmpty(item);
+    const empty = cleaned === undefined || cleaned === null ||
+      (Array.isArray(cleaned) && cleaned.length === 0) ||
+      (isPlainObject(cleaned) && Object.keys(cleaned).length === 0);
+    if (!empty) result[key] = cleaned;
+  }
+  return result;
+}
+
+/**
+ * Reduce a described definition (or a local RegisterJobDefinition request) to
+ * the fields that define it, with the defaults AWS fills in made explicit.
+ */
+export function comparableDefinition(def) {
+  const copy = withoutEmpty(def);
+  DEFINITION_METADATA.forEach(key => delete copy[key]);
+  copy.type = copy.type || 'container';
+  if (!copy.platformCapabilities?.length) copy.platformCapabilities = ['EC2'];
+  if (copy.propagateTags === false) delete copy.propagateTags;
+  if (copy.platformCapabilities.includes('FARGATE') && copy.containerProperties) {
+    copy.containerProperties = {
+      fargatePlatformConfiguration: { platformVersion: 'LATEST' },
+      networkConfiguration: { assignPublicIp: 'DISABLED' },
+      ...copy.containerProperties
+    };
+  }
+  return copy;
+}
+
+function listKey(before, after) {
+  const items = [...before, ...after];
+  if (!items.length || !items.every(isPlainObject)) return null;
+  return LIST_KEYS.find(key => {
+    const seen = (list) => new Set(list.map(item => item[key])).size === list.length;
+    return items.every(item => item[key] !== undefined) && seen(before) && seen(after);
+  }) || null;
+}
+
+function walk(before, after, path, changes) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  if (before === undefined) {
+    changes.push({ kind: 'added', path, after });
+  } else if (after === undefined) {
+    changes.push({ kind: 'removed', path, before });
+  } else if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    keys.forEach(key => walk(before[key], after[key], path ? `${path}.${key}` : key, changes));
+  } else if (Array.isArray(before) && Array.isArray(after) && listKey(before, after)) {
+    const key = listKey(before, after);
+    const byKey = (list) => new Map(list.map(item => [String(item[key]), item]));
+    const was = byKey(before);
+    const now = byKey(after);
+    [...new Set([...was.keys(), ...now.keys()])].forEach(id => {
+      // { name, value } pairs compare as their value alone
+      const compare = (item) => {
+        const rest = Object.fromEntries(Object.entries(item).filter(([k]) => k !== key));
+        return Object.keys(rest).join() === 'value' ? rest.value : rest;
+      };
+      const entryPath = `${path}[${id}]`;
+      if (!was.has(id)) changes.push({ kind: 'added', path: entryPath, after: compare(now.get(id)) });
+      else if (!now.has(id)) changes.push({ kind: 'removed', path: entryPath, before: compare(was.get(id)) });
+      else walk(compare(was.get(id)), compare(now.get(id)), entryPath, changes);
+    });
+  } else {
+    changes.push({ kind: 'changed', path, before, after });
+  }
+}
+
+/**
+ * Structural diff of two values. Returns `{ kind, path, before, after }`
+ * entries where kind is added, removed or changed; keyed list entries are
+ * addressed as `environment[NAME]`.
+ */
+export function diffValues(before, after) {
+  const changes = [];
+  walk(before, after, '', changes);
+  return changes;
+}
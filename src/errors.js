@@ -0,0 +1,121 @@
+/**
+ * Typed errors for everything the CLI reports. Each class maps to a
+ * documented exit code, so scripts can tell a missing resource from bad
+ * credentials or throttling without parsing messages.
+ */
+export class CliError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.code] AWS error code (`__type`), e.g. ClientException
+   * @param {number} [details.status] HTTP status
+   * @param {string} [details.requestId] x-amzn-RequestId of the failed call
+   * @param {string} [details.service] Service label, e.g. AWS Batch
+   */
+  constructor(message, { code, status, requestId, service } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.requestId = requestId;
+    this.service = service;
+  }
+
+  /** Stable fields for --json consumers. */
+  toJSON() {
+    return {
+      type: this.name,
+      kind: this.constructor.kind,
+      message: this.message,
+      ...(this.code && { code: this.code }),
+      ...(this.status && { status: this.status }),
+      ...(this.requestId && { requestId: this.requestId }),
+      ...(this.service && { service: this.service }),
+      exitCode: this.constructor.exitCode
+    };
+  }
+}
+
+// Exit codes 1 (other errors) and 2 (plan changes) are taken
+export class ValidationError extends CliError {
+  static kind = 'validation';
+  static exitCode = 3;
+}
+
+export class NotFoundError extends CliError {
+  static kind = 'not_found';
+  static exitCode = 4;
+}
+
+export class AuthError extends CliError {
+  static kind = 'auth';
+  static exitCode = 5;
+}
+
+export class ThrottlingError extends CliError {
+  static kind = 'throttling';
+  static exitCode = 6;
+}
+
+export class ClientError extends CliError {
+  static kind = 'client';
+  static exitCode = 7;
+}
+
+export class ServerError extends CliError {
+  static kind = 'server';
+  static exitCode = 8;
+}
+
+export class NetworkError extends CliError {
+  static kind = 'network';
+  static exitCode = 9;
+}
+
+// The exit code of timeout(1), also used by jobs wait
+export class WaitTimeoutError extends CliError {
+  static kind = 'timeout';
+  static exitCode = 124;
+}
+
+// Errors without a class of their own
+export const GENERIC_EXIT_CODE = 1;
+// Bulk commands where some items failed (each item's error is in the output),
+// and jobs wait when a waited job failed
+export const PARTIAL_FAILURE_EXIT_CODE = 1;
+
+const AUTH_CODES = [
+  'UnrecognizedClientException', 'InvalidSignatureException', 'SignatureDoesNotMatch', 'IncompleteSignatureException',
+  'MissingAuthenticationTokenException', 'AccessDeniedException', 'AccessDenied', 'ExpiredTokenException', 'ExpiredToken',
+  'InvalidClientTokenId'
+];
+const THROTTLING_CODES = ['TooManyRequestsException', 'ThrottlingException', 'Throttling', 'RequestLimitExceeded'];
+const VALIDATION_CODES = ['ValidationException', 'SerializationException', 'InvalidParameterException', 'InvalidParameterValueException'];
+// Batch reports unknown queues, definitions and jobs as a plain ClientException
+const NOT_FOUND_MESSAGE = /does not exist|not found|cannot be found/i;
+
+/**
+ * Classify an AWS error response. `code` is the error type with any
+ * `:namespace` or `prefix#` stripped.
+ */
+export function errorFromResponse({ status, code, message, requestId, service }) {
+  const details = { code, status, requestId, service };
+  if (status === 401 || status === 403 || AUTH_CODES.includes(code)) return new AuthError(message, details);
+  if (status === 429 || THROTTLING_CODES.includes(code)) return new ThrottlingError(message, details);
+  if (status === 404 || code === 'ResourceNotFoundException' || (status < 500 && NOT_FOUND_MESSAGE.test(message))) {
+    return new NotFoundError(message, details);
+  }
+  if (VALIDATION_CODES.includes(code)) return new ValidationError(message, details);
+  if (status >= 500) return new ServerError(message, details);
+  return new ClientError(message, details);
+}
+
+export function exitCodeFor(error) {
+  return error instanceof CliError ? error.constructor.exitCode : GENERIC_EXIT_CODE;
+}
+
+/** The --json error object for any thrown value. */
+export function errorToJSON(error) {
+  if (error instanceof CliError) return error.toJSON();
+  return { type: 'Error', kind: 'error', message: error?.message || String(error), exitCode: GENERIC_EXIT_CODE };
+}
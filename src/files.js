@@ -0,0 +1,27 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { NotFoundError, ValidationError } from './errors.js';
+
+/** The typed error for an input file that cannot be read. */
+export function unreadableFile(label, error) {
+  const message = `Cannot read ${label}: ${error.message}`;
+  return error.code === 'ENOENT' ? new NotFoundError(message) : new ValidationError(message);
+}
+
+/**
+ * Read a YAML or JSON file (YAML is a superset of JSON, so one parser covers
+ * both). `label` names the flag or argument in error messages.
+ */
+export function readStructuredFile(file, label = file) {
+  let content;
+  try {
+    content = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (error) {
+    throw unreadableFile(label, error);
+  }
+  try {
+    return YAML.parse(content);
+  } catch (error) {
+    throw new ValidationError(`Cannot parse ${label}: ${error.message}`);
+  }
+}
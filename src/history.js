@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './config.js';
+
+// One JSON object per line next to the conf file. Submissions are never
+// rewritten; status refreshes are appended as `status` records and merged
+// into their submission on read.
+const HISTORY_FILE = 'history.jsonl';
+
+export function historyPath() {
+  return path.join(getConfigDir(), HISTORY_FILE);
+}
+
+function append(records) {
+  fs.mkdirSync(getConfigDir(), { recursive: true });
+  fs.appendFileSync(historyPath(), records.map(record => JSON.stringify(record) + '\n').join(''), { mode: 0o600 });
+}
+
+// ============================================================
+// Recording
+// ============================================================
+
+/**
+ * Append a successful SubmitJob call. `definition` is the described job
+ * definition the request resolved to, when known, so a rerun can pin the
+ * exact revision.
+ */
+export function recordSubmission({ request, response, definition, profile, region, source = 'submit', rerunOf }) {
+  const entry = {
+    type: 'submission',
+    submittedAt: new Date().toISOString(),
+    source,
+    profile,
+    region,
+    jobId: response.jobId,
+    jobName: response.jobName || request.jobName,
+    jobArn: response.jobArn,
+    jobQueue: request.jobQueue,
+    jobDefinition: request.jobDefinition,
+    definitionArn: definition?.jobDefinitionArn,
+    revision: definition?.revision,
+    ...(rerunOf && { rerunOf }),
+    request,
+    response
+  };
+  append([entry]);
+  return entry;
+}
+
+/** Append the current status of described jobs. */
+export function recordStatuses(jobs) {
+  if (!jobs.length) return;
+  const refreshedAt = new Date().toISOString();
+  append(jobs.map(job => ({
+    type: 'status',
+    jobId: job.jobId,
+    status: job.status,
+    ...(job.statusReason && { statusReason: job.statusReason }),
+    ...(job.startedAt && { startedAt: job.startedAt }),
+    ...(job.stoppedAt && { stoppedAt: job.stoppedAt }),
+    ...(job.container?.exitCode !== undefined && { exitCode: job.container.exitCode }),
+    refreshedAt
+  })));
+}
+
+// ============================================================
+// Reading
+// ============================================================
+
+/**
+ * Every recorded submission, newest first. Each carries its 1-based `entry`
+ * number (stable, since the file only grows) and the latest recorded
+ * `status`, `stoppedAt` and `exitCode`.
+ */
+export function readHistory() {
+  let content;
+  try {
+    content = fs.readFileSync(historyPath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Cannot read job history ${historyPath()}: ${error.message}`);
+  }
+
+  const entries = [];
+  const byJobId = new Map();
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // A line cut short by an interrupted write; the rest are still usable
+      continue;
+    }
+    if (record.type === 'submission') {
+      const entry = { entry: entries.length + 1, ...record };
+      entries.push(entry);
+      byJobId.set(record.jobId, entry);
+    } else if (record.type === 'status' && byJobId.has(record.jobId)) {
+      const { type, jobId, ...status } = record;
+      Object.assign(byJobId.get(jobId), status);
+    }
+  }
+  return entries.reverse();
+}
+
+/** Look up an entry by number (`12` or `#12`) or job ID. */
+export function findHistoryEntry(entries, reference) {
+  const ref = String(reference).replace(/^#/, '');
+  if (/^\d+$/.test(ref)) return entries.find(entry => entry.entry === Number(ref)) || null;
+  return entries.find(entry => entry.jobId === ref) || null;
+}
+
+/**
+ * The SubmitJob request to run a recorded submission again. The definition
+ * is pinned to the revision that ran unless `latestDefinition` is set, and
+ * `dependsOn` is dropped because it points at the original run's jobs.
+ */
+export function buildRerunRequest(entry, { jobName, jobQueue, parameters, latestDefinition } = {}) {
+  const { dependsOn, ...request } = entry.request;
+  return {
+    ...request,
+    jobName: jobName || request.jobName,
+    ...(jobQueue && { jobQueue }),
+    jobDefinition: !latestDefinition && entry.definitionArn ? entry.definitionArn : request.jobDefinition,
+    ...(parameters && { parameters: { ...request.parameters, ...parameters } })
+  };
+}
@@ -1,19 +1,65 @@
+import fs from 'fs';
+import readline from 'readline';
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { getConfig, setConfig, getAllConfig, isConfigured } from './config.js';
+import { getConfig, setConfig, getAllConfig } from './config.js';
+import { configureCredentials, getCredentials, hasCredentials, getProfileName, resolveRegion } from './credentials.js';
+import { readStructuredFile, unreadableFile } from './files.js';
+import { OUTPUT_FORMATS, configureOutput, outputFormat, customOutput, printOutput, printTable, canStreamPages, printPageStream } from './output.js';
+import { validateDefinition, validateSubmission, hasBlockingIssues } from './validate.js';
+import { comparableDefinition, diffValues } from './diff.js';
+import { requestFromJob, definitionReference, childIndex } from './resubmit.js';
+import { listTemplates, loadTemplate, saveTemplate, deleteTemplate, templateVariables, renderTemplate } from './templates.js';
+import { recordSubmission, recordStatuses, readHistory, findHistoryEntry, buildRerunRequest } from './history.js';
+import { startMockServer } from './mock-server.js';
+import { configureDebug } from './debug.js';
+import { AuthError, NotFoundError, ValidationError, WaitTimeoutError, PARTIAL_FAILURE_EXIT_CODE, exitCodeFor, errorToJSON } from './errors.js';
+import { loadStack, fetchState, buildPlan, hasChanges, assertApplicable, applyPlan } from './plan.js';
 import {
+  loadPipeline,
+  validatePipeline,
+  topologicalOrder,
+  buildStepRequest,
+  defaultManifestPath,
+  writeManifest,
+  readManifest
+} from './pipeline.js';
+import {
+  configureClient,
+  previewCalls,
   submitJob,
   describeJobs,
+  iterateJobs,
   listJobs,
   terminateJob,
-  listQueues,
+  cancelJob,
+  iterateQueues,
   getQueue,
   createQueue,
   updateQueue,
+  iterateDefinitions,
   listDefinitions,
   describeDefinitions,
-  registerDefinition
+  resolveDefinition,
+  registerDefinition,
+  deregisterDefinition,
+  iterateComputeEnvironments,
+  getComputeEnvironment,
+  createComputeEnvironment,
+  updateComputeEnvironment,
+  deleteComputeEnvironment,
+  iterateSchedulingPolicies,
+  describeSchedulingPolicies,
+  getSchedulingPolicy,
+  createSchedulingPolicy,
+  updateSchedulingPolicy,
+  deleteSchedulingPolicy,
+  listTagsForResource,
+  tagResource,
+  untagResource,
+  getLogEvents,
+  filterLogEvents
 } from './api.js';
 
 const program = new Command();
@@ -30,43 +76,24 @@ function printError(message) {
   console.error(chalk.red('✗') + ' ' + message);
 }
 
-function printTable(data, columns) {
-  if (!data || data.length === 0) {
-    console.log(chalk.yellow('No results found.'));
-    return;
+// Report an error and exit with its class's code (see errors.js). With JSON
+// output the error goes to stderr as {"error": {...}} for machine consumers,
+// with `details` merged in; otherwise `hints` follow the message
+function fail(error, { details = {}, hints = [] } = {}) {
+  if (outputFormat() === 'json') {
+    console.error(JSON.stringify({ error: { ...errorToJSON(error), ...details } }, null, 2));
+  } else {
+    printError(error.message);
+    if (error.requestId) console.error(chalk.dim(`  ${error.code ? `${error.code}, ` : ''}request ID ${error.requestId}`));
+    hints.forEach(line => console.error(line));
   }
-
-  const widths = {};
-  columns.forEach(col => {
-    widths[col.key] = col.label.length;
-    data.forEach(row => {
-      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
-      if (val.length > widths[col.key]) widths[col.key] = val.length;
-    });
-    widths[col.key] = Math.min(widths[col.key], 40);
-  });
-
-  const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
-  console.log(chalk.bold(chalk.cyan(header)));
-  console.log(chalk.dim('─'.repeat(header.length)));
-
-  data.forEach(row => {
-    const line = columns.map(col => {
-      const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
-      return val.substring(0, widths[col.key]).padEnd(widths[col.key]);
-    }).join('  ');
-    console.log(line);
-  });
-
-  console.log(chalk.dim(`\n${data.length} result(s)`));
-}
-
-function printJson(data) {
-  console.log(JSON.stringify(data, null, 2));
+  process.exit(exitCodeFor(error));
 }
 
 async function withSpinner(message, fn) {
-  const spinner = ora(message).start();
+  // Trace lines and dry-run output would be overwritten by the spinner
+  const { debug, dryRun } = program.opts();
+  const spinner = ora({ text: message, isSilent: Boolean(debug || dryRun) }).start();
   try {
     const result = await fn();
     spinner.stop();
@@ -77,14 +104,148 @@ async function withSpinner(message, fn) {
   }
 }
 
-function requireAuth() {
-  if (!isConfigured()) {
-    printError('AWS credentials not configured.');
-    console.log('\nRun the following to configure:');
+function parseList(value) {
+  if (!value) return undefined;
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function paginationFrom(options, defaultLimit) {
+  return {
+    limit: options.limit ? parseInt(options.limit) : (options.all ? Infinity : defaultLimit),
+    pageSize: options.pageSize ? parseInt(options.pageSize) : undefined,
+    startingToken: options.startingToken
+  };
+}
+
+// JSON, YAML and delimited output is written as each page arrives so large
+// listings are never held in memory; tables and --query need every row first.
+async function printPages(message, pages, columns) {
+  let nextToken;
+  if (canStreamPages()) {
+    nextToken = await printPageStream(pages, columns);
+  } else {
+    const items = await withSpinner(message, async () => {
+      const items = [];
+      for await (const page of pages) {
+        items.push(...page.items);
+        nextToken = page.nextToken;
+      }
+      return items;
+    });
+    printOutput(items, columns);
+  }
+
+  if (nextToken) {
+    const hint = `More results available. Use --all, or resume with --starting-token ${nextToken}`;
+    if (customOutput()) console.error(chalk.dim(hint));
+    else console.log(chalk.dim(hint));
+  }
+}
+
+// --tag-filter values: `key=value` matches that tag exactly, a bare `key`
+// matches any value. Several filters must all match.
+function parseTagFilters(filters) {
+  return filters.map(filter => {
+    const eq = filter.indexOf('=');
+    if (eq === 0) throw new ValidationError(`Invalid --tag-filter '${filter}'. Expected key=value or key.`);
+    return eq < 0 ? { key: filter } : { key: filter.slice(0, eq), value: filter.slice(eq + 1) };
+  });
+}
+
+function matchesTags(tags, filters) {
+  return filters.every(({ key, value }) =>
+    tags && Object.hasOwn(tags, key) && (value === undefined || tags[key] === value));
+}
+
+async function* filterPagesByTags(pages, filters, limit, loadTags) {
+  let remaining = limit;
+  for await (const page of pages) {
+    if (!page.items.length) continue;
+    const tags = await loadTags(page.items);
+    const items = page.items.filter((_, i) => matchesTags(tags[i], filters)).slice(0, remaining);
+    remaining -= items.length;
+    yield { items };
+    if (remaining <= 0) return;
+  }
+}
+
+// The Batch list APIs cannot filter by tag, so with --tag-filter pages are
+// read until --limit matches are found and no resume token is offered
+function listPages(iterate, options, defaultLimit, loadTags = async (items) => items.map(item => item.tags)) {
+  const pagination = paginationFrom(options, defaultLimit);
+  if (!options.tagFilter) return iterate(pagination);
+  const filters = parseTagFilters(options.tagFilter);
+  return filterPagesByTags(iterate({ ...pagination, limit: Infinity }), filters, pagination.limit, loadTags);
+}
+
+function summarizeIssues(issues) {
+  const count = (level) => issues.filter(item => item.level === level).length;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  return `${plural(count('error'), 'error')}, ${plural(count('warning'), 'warning')}`;
+}
+
+// Issues go to stderr so --json output on stdout stays parseable
+function printIssues(issues) {
+  for (const item of issues) {
+    const marker = item.level === 'error' ? chalk.red('✗ error  ') : chalk.yellow('! warning');
+    console.error(`${marker} ${chalk.cyan(item.path)}: ${item.message}`);
+    if (item.fix) console.error(chalk.dim(`          fix: ${item.fix}`));
+  }
+}
+
+function enforceValidation(issues, { strict }) {
+  printIssues(issues);
+  if (hasBlockingIssues(issues, strict)) {
+    fail(new ValidationError(`Validation failed (${summarizeIssues(issues)}${strict ? ', --strict' : ''}). Fix the issues above or pass --no-validate to skip the checks.`));
+  }
+}
+
+const FARGATE_TYPES = ['FARGATE', 'FARGATE_SPOT'];
+
+function buildComputeResources(options) {
+  const resources = {};
+  if (options.resourceType) resources.type = options.resourceType.toUpperCase();
+  if (options.allocationStrategy) resources.allocationStrategy = options.allocationStrategy;
+  if (options.minVcpus !== undefined) resources.minvCpus = parseInt(options.minVcpus);
+  if (options.maxVcpus !== undefined) resources.maxvCpus = parseInt(options.maxVcpus);
+  if (options.desiredVcpus !== undefined) resources.desiredvCpus = parseInt(options.desiredVcpus);
+  if (options.instanceTypes) resources.instanceTypes = parseList(options.instanceTypes);
+  if (options.subnets) resources.subnets = parseList(options.subnets);
+  if (options.securityGroups) resources.securityGroupIds = parseList(options.securityGroups);
+  if (options.instanceRole) resources.instanceRole = options.instanceRole;
+  if (options.bidPercentage !== undefined) resources.bidPercentage = parseInt(options.bidPercentage);
+  if (options.spotFleetRole) resources.spotIamFleetRole = options.spotFleetRole;
+
+  if (FARGATE_TYPES.includes(resources.type)) {
+    const unsupported = ['allocationStrategy', 'minvCpus', 'desiredvCpus', 'instanceTypes', 'instanceRole', 'bidPercentage', 'spotIamFleetRole']
+      .filter(key => resources[key] !== undefined);
+    if (unsupported.length) {
+      throw new ValidationError(`${resources.type} compute environments do not support: ${unsupported.join(', ')}`);
+    }
+  }
+  return resources;
+}
+
+async function requireAuth() {
+  if (!hasCredentials()) {
+    const { profile } = program.opts();
+    const error = new AuthError(profile ? `Profile '${profile}' not found or has no credentials.` : 'AWS credentials not configured.');
+    if (outputFormat() === 'json') fail(error);
+    printError(error.message);
+    console.log('\nProvide credentials in one of these ways:');
+    console.log(chalk.cyan('  export AWS_ACCESS_KEY_ID=... AWS_SECRET_ACCESS_KEY=... [AWS_SESSION_TOKEN=...]'));
+    console.log(chalk.cyan('  awsbatch --profile my-profile ...   (or export AWS_PROFILE=my-profile)'));
     console.log(chalk.cyan('  awsbatch config set accessKeyId YOUR_KEY'));
     console.log(chalk.cyan('  awsbatch config set secretAccessKey YOUR_SECRET'));
     console.log(chalk.cyan('  awsbatch config set region us-east-1'));
-    process.exit(1);
+    process.exit(exitCodeFor(error));
+  }
+
+  // Resolve up front so an MFA prompt or STS failure happens before any spinner starts
+  try {
+    await getCredentials();
+  } catch (error) {
+    fail(error);
   }
 }
 
@@ -95,7 +256,36 @@ function requireAuth() {
 program
   .name('awsbatch')
   .description(chalk.bold('AWS Batch CLI') + ' - Manage batch computing jobs from your terminal')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--profile <name>', 'Named profile from ~/.aws/credentials or ~/.aws/config (default: $AWS_PROFILE)')
+  .option('--role-arn <arn>', 'IAM role to assume with the resolved credentials')
+  .option('--external-id <id>', 'External ID for --role-arn')
+  .option('--mfa-token <code>', 'MFA code for profiles with mfa_serial (prompted when omitted)')
+  .option('--max-retries <n>', 'Retries for throttled, 5xx and network failures (default: config maxRetries or 3)')
+  .option('--request-timeout <ms>', 'Per-attempt HTTP timeout in milliseconds (default: config requestTimeout or 30000)')
+  .option('--verbose', 'Log retries and other request diagnostics to stderr')
+  .option('--debug', 'Trace every HTTP request and response to stderr (credentials redacted)')
+  .option('--dry-run', 'Print the first create/update/delete/submit call and its JSON body instead of sending it')
+  .option('--endpoint-url <url>', 'Batch API endpoint, e.g. LocalStack or awsbatch mock-server (default: $AWS_ENDPOINT_URL_BATCH or config endpoint)')
+  .option('-o, --output <format>', `Output format: ${OUTPUT_FORMATS.join('|')}`, 'table')
+  .option('--columns <list>', 'Comma-separated columns to show; nested paths (container.exitCode) and Label=path allowed')
+  .option('--query <expression>', 'JMESPath-style expression applied to the result before formatting')
+  .option('--no-truncate', 'Do not cut table cells at 40 characters')
+  .option('--wide', 'Show extra table columns')
+  .option('--no-color', 'Disable colored output (also honours NO_COLOR)')
+  .hook('preAction', (_, actionCommand) => {
+    const { profile, roleArn, externalId, mfaToken, maxRetries, requestTimeout, verbose, endpointUrl, debug, dryRun } = program.opts();
+    const { output, columns, query, truncate, wide, color } = program.opts();
+    configureCredentials({ profile, roleArn, externalId, mfaToken });
+    configureClient({ maxRetries, requestTimeout, verbose, endpointUrl, dryRun });
+    configureDebug(debug);
+    try {
+      // A command's own --json is shorthand for --output json
+      configureOutput({ format: actionCommand.opts().json ? 'json' : output, columns, query, truncate, wide, color });
+    } catch (error) {
+      fail(error);
+    }
+  });
 
 // ============================================================
 // CONFIG
@@ -137,7 +327,7 @@ configCmd
       console.log(chalk.cyan('  awsbatch config set region us-east-1'));
     } else {
       Object.entries(all).forEach(([k, v]) => {
-        const displayVal = k === 'secretAccessKey' ? chalk.green('*'.repeat(8)) : chalk.cyan(String(v));
+        const displayVal = ['secretAccessKey', 'sessionToken'].includes(k) ? chalk.green('*'.repeat(8)) : chalk.cyan(String(v));
         console.log(`${k}: ${displayVal}`);
       });
     }
@@ -149,49 +339,591 @@ configCmd
 
 const jobsCmd = program.command('jobs').description('Manage AWS Batch jobs');
 
-jobsCmd
-  .command('submit')
-  .description('Submit a new batch job')
-  .requiredOption('--name <name>', 'Job name')
-  .requiredOption('--queue <queue>', 'Job queue name or ARN')
-  .requiredOption('--definition <def>', 'Job definition name or ARN')
-  .option('--parameters <json>', 'Job parameters as JSON')
-  .option('--container-overrides <json>', 'Container overrides as JSON')
+const TERMINAL_STATUSES = ['SUCCEEDED', 'FAILED'];
+const WAIT_TIMEOUT_EXIT_CODE = WaitTimeoutError.exitCode;
+
+function statusColor(status) {
+  return status === 'SUCCEEDED' ? chalk.green : status === 'FAILED' ? chalk.red : chalk.yellow;
+}
+
+function formatArraySummary(statusSummary) {
+  return Object.entries(statusSummary || {})
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${status} ${count}`)
+    .join(', ');
+}
+
+/**
+ * Poll DescribeJobs until every job is SUCCEEDED or FAILED, logging each
+ * status change (and array child summary change) as it is observed. The poll
+ * interval backs off while nothing changes and resets on any transition.
+ */
+async function waitForJobs(jobIds, { timeout, interval = 5, log = console.log } = {}) {
+  const deadline = timeout ? Date.now() + timeout * 1000 : Infinity;
+  const initialDelay = interval * 1000;
+  const latest = new Map();
+  const seen = new Map();
+  let delay = initialDelay;
+
+  for (;;) {
+    const pending = jobIds.filter(id => !TERMINAL_STATUSES.includes(latest.get(id)?.status));
+    const jobs = await describeJobs(pending);
+    const missing = pending.filter(id => !jobs.some(job => job.jobId === id));
+    if (missing.length) throw new NotFoundError(`Job(s) not found: ${missing.join(', ')}`);
+
+    let changed = false;
+    for (const job of jobs) {
+      latest.set(job.jobId, job);
+      const summary = formatArraySummary(job.arrayProperties?.statusSummary);
+      const state = `${job.status}|${summary}`;
+      const previous = seen.get(job.jobId);
+      if (previous?.state === state) continue;
+
+      changed = true;
+      const transition = previous && previous.status !== job.status
+        ? `${previous.status} → ${statusColor(job.status)(job.status)}`
+        : statusColor(job.status)(job.status);
+      const arrayInfo = summary ? chalk.dim(` [array ${job.arrayProperties.size ?? ''}: ${summary}]`) : '';
+      log(`${chalk.dim(new Date().toLocaleTimeString())}  ${job.jobName} (${chalk.cyan(job.jobId)})  ${transition}${arrayInfo}`);
+      seen.set(job.jobId, { state, status: job.status });
+    }
+
+    const results = jobIds.map(id => latest.get(id));
+    if (results.every(job => TERMINAL_STATUSES.includes(job.status))) return { jobs: results, timedOut: false };
+    if (Date.now() >= deadline) return { jobs: results, timedOut: true };
+
+    delay = changed ? initialDelay : Math.min(delay * 1.5, 30000);
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, deadline - Date.now())));
+  }
+}
+
+function waitExitCode({ jobs, timedOut }, useContainerExitCode) {
+  if (timedOut) return WAIT_TIMEOUT_EXIT_CODE;
+  const failed = jobs.find(job => job.status === 'FAILED');
+  if (!failed) return 0;
+  if (useContainerExitCode) {
+    const exitCode = failed.container?.exitCode ?? failed.attempts?.at(-1)?.container?.exitCode;
+    if (exitCode) return exitCode;
+  }
+  return PARTIAL_FAILURE_EXIT_CODE;
+}
+
+function printWaitResult({ jobs, timedOut }) {
+  const succeeded = jobs.filter(job => job.status === 'SUCCEEDED').length;
+  const failed = jobs.filter(job => job.status === 'FAILED');
+  if (timedOut) {
+    printError(`Timed out with ${jobs.length - succeeded - failed.length} job(s) still running`);
+  } else if (failed.length === 0) {
+    printSuccess(`${succeeded} job(s) succeeded`);
+  } else {
+    printError(`${failed.length} job(s) failed, ${succeeded} succeeded`);
+    failed.forEach(job => {
+      const exitCode = job.container?.exitCode;
+      console.error(`  ${job.jobName} (${job.jobId})${exitCode !== undefined ? ` exit code ${exitCode}` : ''}${job.statusReason ? ': ' + job.statusReason : ''}`);
+    });
+  }
+}
+
+const JOB_STATUSES = ['SUBMITTED', 'PENDING', 'RUNNABLE', 'STARTING', 'RUNNING', 'SUCCEEDED', 'FAILED'];
+const DEPENDENCY_TYPES = ['N_TO_N', 'SEQUENTIAL'];
+const EXIT_RULE_FIELDS = { onexitcode: 'onExitCode', onreason: 'onReason', onstatusreason: 'onStatusReason' };
+
+function collectValues(value, previous = []) {
+  return [...previous, value];
+}
+
+function parseJsonOption(value, flag) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new ValidationError(`Invalid JSON for ${flag}`);
+  }
+}
+
+function parseKeyValues(pairs, flag) {
+  const result = {};
+  for (const pair of pairs || []) {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) throw new ValidationError(`Invalid ${flag} '${pair}'. Expected key=value.`);
+    result[pair.slice(0, eq)] = pair.slice(eq + 1);
+  }
+  return result;
+}
+
+// "<job-id>[:N_TO_N|SEQUENTIAL]"; array child IDs contain a colon themselves
+function parseDependency(value) {
+  const colon = value.lastIndexOf(':');
+  const type = colon > 0 ? value.slice(colon + 1).toUpperCase() : '';
+  if (DEPENDENCY_TYPES.includes(type)) return { jobId: value.slice(0, colon), type };
+  return { jobId: value };
+}
+
+// "RETRY:onExitCode=137" or "EXIT:onStatusReason=Host EC2*,onReason=*"
+function parseExitRule(value) {
+  const colon = value.indexOf(':');
+  const action = colon > 0 ? value.slice(0, colon).toUpperCase() : '';
+  if (!['RETRY', 'EXIT'].includes(action)) {
+    throw new ValidationError(`Invalid --retry-on-exit '${value}'. Expected RETRY|EXIT:onExitCode=<glob>[,onReason=<glob>][,onStatusReason=<glob>]`);
+  }
+  const rule = { action };
+  for (const part of value.slice(colon + 1).split(',')) {
+    const eq = part.indexOf('=');
+    const field = EXIT_RULE_FIELDS[part.slice(0, eq).trim().toLowerCase()];
+    if (eq <= 0 || !field) throw new ValidationError(`Invalid condition '${part}' in --retry-on-exit. Use onExitCode, onReason or onStatusReason.`);
+    rule[field] = part.slice(eq + 1);
+  }
+  return rule;
+}
+
+/**
+ * Merge a --from-file spec or rendered --template with the first-class
+ * flags. Flags win over the file; tags, parameters and dependencies are
+ * combined.
+ */
+function buildSubmitRequest(options, { requireFields = true } = {}) {
+  if (options.template && options.fromFile) throw new ValidationError('Use either --template or --from-file, not both');
+  let request = {};
+  if (options.template) {
+    request = renderTemplate(loadTemplate(options.template), parseKeyValues(options.var, '--var'));
+  } else if (options.fromFile) {
+    request = { ...readStructuredFile(options.fromFile, `--from-file ${options.fromFile}`) };
+  }
+  // Saved templates may leave numeric fields as ${placeholders}
+  const toInt = (value) => (!requireFields && value.includes('${') ? value : parseInt(value));
+
+  if (options.name) request.jobName = options.name;
+  if (options.queue) request.jobQueue = options.queue;
+  if (options.definition) request.jobDefinition = options.definition;
+  if (options.parameters) request.parameters = { ...request.parameters, ...parseJsonOption(options.parameters, '--parameters') };
+  if (options.containerOverrides) request.containerOverrides = parseJsonOption(options.containerOverrides, '--container-overrides');
+  if (options.nodeOverrides) request.nodeOverrides = parseJsonOption(options.nodeOverrides, '--node-overrides');
+  if (options.arraySize) request.arrayProperties = { ...request.arrayProperties, size: toInt(options.arraySize) };
+  if (options.dependsOn) request.dependsOn = [...(request.dependsOn || []), ...options.dependsOn.map(parseDependency)];
+  if (options.retries || options.retryOnExit) {
+    request.retryStrategy = {
+      ...request.retryStrategy,
+      ...(options.retries && { attempts: toInt(options.retries) }),
+      ...(options.retryOnExit && { evaluateOnExit: options.retryOnExit.map(parseExitRule) })
+    };
+  }
+  if (options.timeout) request.timeout = { attemptDurationSeconds: toInt(options.timeout) };
+  if (options.tag) request.tags = { ...request.tags, ...parseKeyValues(options.tag, '--tag') };
+  if (options.propagateTags) request.propagateTags = true;
+  if (options.shareIdentifier) request.shareIdentifier = options.shareIdentifier;
+  if (options.schedulingPriority !== undefined) request.schedulingPriorityOverride = toInt(options.schedulingPriority);
+
+  if (!requireFields) return request;
+  const flags = { jobName: '--name', jobQueue: '--queue', jobDefinition: '--definition' };
+  const missing = Object.keys(flags).filter(key => !request[key]);
+  if (missing.length) {
+    const source = options.template ? `template '${options.template}'` : '--from-file';
+    throw new ValidationError(`Missing ${missing.map(key => flags[key]).join(', ')} (pass the flag or set ${missing.join(', ')} in ${source})`);
+  }
+  return request;
+}
+
+/**
+ * Without --status, ListJobs only returns RUNNING jobs, so walk every status
+ * in turn to list all children of an array job. A starting token belongs to
+ * one status's listing, so it only resumes the first status walked.
+ */
+async function* iterateChildJobs(parentId, { status, limit, pageSize, startingToken }) {
+  let remaining = limit;
+  let token = startingToken;
+  for (const jobStatus of status ? [status] : JOB_STATUSES) {
+    if (remaining <= 0) return;
+    const pages = iterateJobs({ arrayJobId: parentId, jobStatus, limit: remaining, pageSize, startingToken: token });
+    token = undefined;
+    for await (const page of pages) {
+      remaining -= page.items.length;
+      yield { items: page.items, nextToken: status ? page.nextToken : undefined };
+    }
+  }
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Ask before acting on many resources at once; --yes skips the prompt and is
+// required when stdin is not a terminal. --dry-run sends nothing, so no prompt
+async function confirmBulk(verb, what, options) {
+  if (options.yes || program.opts().dryRun) return true;
+  if (!process.stdin.isTTY) {
+    fail(new ValidationError(`Refusing to ${verb} ${what} without confirmation. Pass --yes.`));
+  }
+  if (!await confirm(`${verb[0].toUpperCase() + verb.slice(1)} ${what}?`)) {
+    console.log('Aborted.');
+    return false;
+  }
+  return true;
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// One job ID per line; blank lines and # comments are ignored. "-" reads stdin.
+function readIdList(source) {
+  let content;
+  try {
+    content = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+  } catch (error) {
+    throw unreadableFile(`--ids-from ${source}`, error);
+  }
+  return content.split(/\r?\n/).map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Resolve --queue/--ids-from plus the --status, --name-prefix and
+ * --created-before/--created-after filters to concrete job records.
+ */
+async function selectJobs(options, defaultStatuses) {
+  const statuses = options.status ? parseList(options.status.toUpperCase()) : defaultStatuses;
+  const createdAfter = options.createdAfter ? parseTime(options.createdAfter, '--created-after') : undefined;
+  const createdBefore = options.createdBefore ? parseTime(options.createdBefore, '--created-before') : undefined;
+
+  let jobs;
+  if (options.idsFrom) {
+    const ids = readIdList(options.idsFrom);
+    jobs = ids.length ? await describeJobs(ids) : [];
+  } else if (options.queue) {
+    jobs = [];
+    for (const jobStatus of statuses) {
+      jobs.push(...await listJobs({ jobQueue: options.queue, jobStatus, limit: Infinity }));
+    }
+  } else {
+    throw new ValidationError('Select jobs with job IDs, --queue or --ids-from');
+  }
+
+  return jobs.filter(job =>
+    statuses.includes(job.status) &&
+    (!options.queue || !job.jobQueue || job.jobQueue === options.queue || job.jobQueue.endsWith(`/${options.queue}`)) &&
+    (!options.namePrefix || job.jobName?.startsWith(options.namePrefix)) &&
+    (createdAfter === undefined || job.createdAt >= createdAfter) &&
+    (createdBefore === undefined || job.createdAt < createdBefore)
+  );
+}
+
+/**
+ * Shared body of `jobs terminate` and `jobs cancel`. Explicit job IDs act
+ * straight away; selections by filter are previewed and need --yes or an
+ * interactive confirmation. Exits non-zero if any job failed.
+ */
+async function runBulkJobAction(jobIds, options, { verb, pastTense, defaultStatuses, action }) {
+  let targets;
+  if (jobIds.length) {
+    targets = jobIds.map(jobId => ({ jobId }));
+  } else {
+    targets = await withSpinner('Selecting jobs...', () => selectJobs(options, defaultStatuses));
+    if (targets.length === 0) {
+      if (customOutput()) printOutput([]);
+      else console.log(chalk.yellow('No matching jobs.'));
+      return;
+    }
+
+    // Under --dry-run stdout carries only the request bodies
+    if (!customOutput() && !program.opts().dryRun) {
+      printTable(targets, [
+        { key: 'jobId', label: 'Job ID' },
+        { key: 'jobName', label: 'Name' },
+        { key: 'status', label: 'Status' },
+        { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleString() : '' }
+      ]);
+    }
+    if (!await confirmBulk(verb, `${targets.length} job(s)`, options)) return;
+  }
+
+  if (program.opts().dryRun) {
+    await previewCalls(async () => {
+      for (const job of targets) await action(job.jobId, options.reason);
+    });
+  }
+
+  const concurrency = Math.max(1, parseInt(options.concurrency) || 5);
+  const results = await mapWithConcurrency(targets, concurrency, async (job) => {
+    try {
+      await action(job.jobId, options.reason);
+      if (!customOutput()) printSuccess(`Job ${job.jobId} ${pastTense}`);
+      return { jobId: job.jobId, jobName: job.jobName, ok: true };
+    } catch (error) {
+      if (!customOutput()) printError(`Job ${job.jobId}: ${error.message}`);
+      return { jobId: job.jobId, jobName: job.jobName, ok: false, error: error.message };
+    }
+  });
+
+  const failed = results.filter(result => !result.ok).length;
+  if (customOutput()) {
+    printOutput(results);
+  } else if (results.length > 1) {
+    console.log(`\n${results.length - failed} ${pastTense}, ${failed} failed`);
+  }
+  if (failed) process.exit(PARTIAL_FAILURE_EXIT_CODE);
+}
+
+const DEFAULT_LOG_GROUP = '/aws/batch/job';
+
+// A duration back from now (30m, 2h, 1d) or anything Date.parse accepts
+function parseTime(value, flag) {
+  const match = value.match(/^(\d+)([smhd])$/);
+  if (match) {
+    return Date.now() - parseInt(match[1]) * { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new ValidationError(`Invalid ${flag} value '${value}'. Use a duration such as 30m, 2h or 1d, or an ISO timestamp.`);
+  }
+  return time;
+}
+
+function jobLogStream(job, attempt) {
+  const attempts = job.attempts || [];
+  if (!attempt || attempt === attempts.length + 1) {
+    return job.container?.logStreamName || (!attempt ? attempts.at(-1)?.container?.logStreamName : undefined);
+  }
+  if (attempt > attempts.length) {
+    throw new NotFoundError(`Job ${job.jobId} has only ${attempts.length} attempt(s)`);
+  }
+  return attempts[attempt - 1].container?.logStreamName;
+}
+
+function jobLogGroup(job) {
+  return job.container?.logConfiguration?.options?.['awslogs-group'] || DEFAULT_LOG_GROUP;
+}
+
+/**
+ * Work out which log streams to read for a job. Array parents have no
+ * container of their own, so their children's streams are used instead,
+ * labelled with the child index.
+ */
+async function resolveLogTargets(jobId, options) {
+  const targetId = options.index !== undefined ? `${jobId}:${options.index}` : jobId;
+  const [job] = await describeJobs([targetId]);
+  if (!job) throw new NotFoundError(`Job ${targetId} not found`);
+  const finished = TERMINAL_STATUSES.includes(job.status);
+
+  if (job.arrayProperties?.size && job.arrayProperties.index === undefined) {
+    const summaries = [];
+    for await (const page of iterateChildJobs(jobId, { limit: Infinity })) summaries.push(...page.items);
+    const children = summaries.length ? await describeJobs(summaries.map(child => child.jobId)) : [];
+    const streams = children
+      .map(child => ({ name: jobLogStream(child, options.attempt), label: String(child.arrayProperties?.index ?? child.jobId) }))
+      .filter(stream => stream.name);
+    return {
+      job,
+      finished,
+      multiple: true,
+      logGroupName: options.logGroup || (children[0] ? jobLogGroup(children[0]) : DEFAULT_LOG_GROUP),
+      streams
+    };
+  }
+
+  const name = jobLogStream(job, options.attempt);
+  return {
+    job,
+    finished,
+    multiple: false,
+    logGroupName: options.logGroup || jobLogGroup(job),
+    streams: name ? [{ name }] : []
+  };
+}
+
+function printLogEvent(event, label, options) {
+  if (customOutput()) {
+    console.log(JSON.stringify({
+      timestamp: new Date(event.timestamp).toISOString(),
+      ...(label && { index: label }),
+      logStreamName: event.logStreamName,
+      message: event.message.replace(/\n$/, '')
+    }));
+    return;
+  }
+  const parts = [];
+  if (options.timestamps) parts.push(chalk.dim(new Date(event.timestamp).toISOString()));
+  if (label) parts.push(chalk.cyan(`[${label}]`));
+  parts.push(event.message.replace(/\n$/, ''));
+  console.log(parts.join(' '));
+}
+
+/**
+ * Print a job's log events, and with --follow keep polling until the job
+ * stops. A single stream is read with GetLogEvents; --grep or several
+ * streams (array children) use FilterLogEvents, which interleaves by time.
+ */
+async function streamJobLogs(jobId, options) {
+  const startTime = options.since ? parseTime(options.since, '--since') : undefined;
+  const seenEventIds = new Set();
+  let filterStart = startTime;
+  let forward = {};
+  let announcedWait = false;
+
+  for (;;) {
+    const target = await resolveLogTargets(jobId, options);
+
+    if (target.streams.length === 0) {
+      if (!options.follow || target.finished) {
+        throw new NotFoundError(`No log stream for job ${target.job.jobId} (status ${target.job.status})`);
+      }
+      if (!announcedWait) {
+        console.error(chalk.dim(`Waiting for job ${target.job.jobId} to start (status ${target.job.status})...`));
+        announcedWait = true;
+      }
+    } else if (options.grep || target.multiple) {
+      const labels = new Map(target.streams.map(stream => [stream.name, stream.label]));
+      const events = [];
+      // FilterLogEvents accepts at most 100 stream names per call
+      for (let i = 0; i < target.streams.length; i += 100) {
+        let nextToken;
+        do {
+          const page = await filterLogEvents({
+            logGroupName: target.logGroupName,
+            logStreamNames: target.streams.slice(i, i + 100).map(stream => stream.name),
+            filterPattern: options.grep,
+            startTime: filterStart,
+            nextToken
+          });
+          events.push(...(page?.events || []).filter(event => !seenEventIds.has(event.eventId)));
+          nextToken = page?.nextToken;
+        } while (nextToken);
+      }
+      events.sort((a, b) => a.timestamp - b.timestamp);
+      for (const event of events) {
+        seenEventIds.add(event.eventId);
+        filterStart = Math.max(filterStart ?? 0, event.timestamp);
+        printLogEvent(event, labels.get(event.logStreamName), options);
+      }
+    } else {
+      const stream = target.streams[0];
+      // A retried job writes to a new stream; start that one from the top
+      if (forward.stream !== stream.name) forward = { stream: stream.name };
+      for (;;) {
+        const page = await getLogEvents({
+          logGroupName: target.logGroupName,
+          logStreamName: stream.name,
+          startTime: forward.token ? undefined : startTime,
+          nextToken: forward.token
+        });
+        const events = page?.events || [];
+        events.forEach(event => printLogEvent({ ...event, logStreamName: stream.name }, undefined, options));
+        const exhausted = events.length === 0 || page.nextForwardToken === forward.token;
+        forward.token = page?.nextForwardToken;
+        if (exhausted) break;
+      }
+    }
+
+    if (!options.follow || target.finished) return;
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+}
+
+/**
+ * Add a submitted job to the local history. The definition is looked up
+ * when the caller has not already resolved it, so a rerun can pin the exact
+ * revision; failing to record never fails the submission.
+ */
+async function recordJob(request, result, definition, extra = {}) {
+  try {
+    const resolved = definition || await resolveDefinition(request.jobDefinition).catch(() => null);
+    recordSubmission({
+      request,
+      response: result,
+      definition: resolved,
+      profile: getProfileName(),
+      region: resolveRegion(),
+      ...extra
+    });
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: job ${result.jobId} was not added to the local history: ${error.message}`));
+  }
+}
+
+// The SubmitJob flags shared by `jobs submit` and `templates save`
+function withSubmitOptions(command) {
+  return command
+    .option('--name <name>', 'Job name')
+    .option('--queue <queue>', 'Job queue name or ARN')
+    .option('--definition <def>', 'Job definition name or ARN')
+    .option('--parameters <json>', 'Job parameters as JSON')
+    .option('--container-overrides <json>', 'Container overrides as JSON')
+    .option('--node-overrides <json>', 'Multi-node parallel node overrides as JSON')
+    .option('--array-size <n>', 'Submit an array job with N children')
+    .option('--depends-on <id[:type]>', 'Job dependency, type N_TO_N or SEQUENTIAL (repeatable)', collectValues)
+    .option('--retries <n>', 'Retry strategy attempts (1-10)')
+    .option('--retry-on-exit <rule>', 'evaluateOnExit rule, e.g. RETRY:onExitCode=137 or EXIT:onReason=CannotPull* (repeatable)', collectValues)
+    .option('--timeout <seconds>', 'Attempt duration timeout in seconds')
+    .option('--tag <key=value>', 'Tag to apply to the job (repeatable)', collectValues)
+    .option('--propagate-tags', 'Propagate job tags to the ECS task')
+    .option('--share-identifier <id>', 'Fair-share identifier')
+    .option('--scheduling-priority <n>', 'Scheduling priority override')
+    .option('--from-file <path>', 'SubmitJob request as JSON or YAML; flags override its fields');
+}
+
+withSubmitOptions(jobsCmd.command('submit').description('Submit a new batch job'))
+  .option('--template <name>', 'Start from a saved template (see templates list); flags override its fields')
+  .option('--var <name=value>', 'Value for a template ${placeholder} (repeatable)', collectValues)
+  .option('--wait', 'Wait for the job to finish and exit non-zero if it fails')
+  .option('--wait-timeout <seconds>', 'Give up waiting after this many seconds (exit code 124)')
+  .option('--container-exit-code', 'With --wait, exit with the container\'s exit code when the job fails')
+  .option('--strict', 'Treat validation warnings as errors')
+  .option('--no-validate', 'Skip local validation (and the definition lookup it needs)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
 
-    let parameters, containerOverrides;
-    if (options.parameters) {
-      try { parameters = JSON.parse(options.parameters); } catch { printError('Invalid JSON for --parameters'); process.exit(1); }
-    }
-    if (options.containerOverrides) {
-      try { containerOverrides = JSON.parse(options.containerOverrides); } catch { printError('Invalid JSON for --container-overrides'); process.exit(1); }
+    let request;
+    try { request = buildSubmitRequest(options); } catch (error) { fail(error); }
+
+    let definition = null;
+    if (options.validate) {
+      // The definition adds Ref:: and override checks; without it (e.g. no
+      // DescribeJobDefinitions permission) only the request itself is checked
+      definition = await resolveDefinition(request.jobDefinition).catch(() => null);
+      enforceValidation(validateSubmission(request, definition), options);
     }
 
     try {
-      const result = await withSpinner('Submitting job...', () =>
-        submitJob({
-          jobName: options.name,
-          jobQueue: options.queue,
-          jobDefinition: options.definition,
-          parameters,
-          containerOverrides
-        })
-      );
+      const result = await withSpinner('Submitting job...', () => submitJob(request));
+      await recordJob(request, result, definition);
+
+      if (options.wait) {
+        const log = customOutput() ? (line) => console.error(line) : console.log;
+        if (!customOutput()) printSuccess(`Job submitted: ${chalk.cyan(result.jobId)}`);
+        const outcome = await waitForJobs([result.jobId], {
+          timeout: options.waitTimeout ? parseFloat(options.waitTimeout) : undefined,
+          log
+        });
+        if (customOutput()) {
+          printOutput(outcome.jobs[0]);
+        } else {
+          printWaitResult(outcome);
+        }
+        process.exit(waitExitCode(outcome, options.containerExitCode));
+      }
 
-      if (options.json) {
-        printJson(result);
+      if (customOutput()) {
+        printOutput(result);
         return;
       }
 
       printSuccess('Job submitted');
       console.log('Job ID:    ', chalk.cyan(result?.jobId || 'N/A'));
-      console.log('Job Name:  ', result?.jobName || options.name);
+      console.log('Job Name:  ', result?.jobName || request.jobName);
       console.log('Job ARN:   ', result?.jobArn || 'N/A');
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
@@ -200,27 +932,24 @@ jobsCmd
   .description('Get job details')
   .option('--json', 'Output as JSON')
   .action(async (jobId, options) => {
-    requireAuth();
+    await requireAuth();
     try {
       const jobs = await withSpinner(`Fetching job ${jobId}...`, () => describeJobs([jobId]));
       const job = jobs[0];
 
       if (!job) {
-        printError('Job not found');
-        process.exit(1);
+        throw new NotFoundError('Job not found');
       }
 
-      if (options.json) {
-        printJson(job);
+      if (customOutput()) {
+        printOutput(job);
         return;
       }
 
-      const statusColor = job.status === 'SUCCEEDED' ? chalk.green : job.status === 'FAILED' ? chalk.red : chalk.yellow;
-
       console.log(chalk.bold('\nJob Details\n'));
       console.log('Job ID:          ', chalk.cyan(job.jobId));
       console.log('Job Name:        ', chalk.bold(job.jobName));
-      console.log('Status:          ', statusColor(job.status || 'N/A'));
+      console.log('Status:          ', statusColor(job.status)(job.status || 'N/A'));
       console.log('Queue:           ', job.jobQueue || 'N/A');
       console.log('Definition:      ', job.jobDefinition || 'N/A');
       console.log('Created:         ', job.createdAt ? new Date(job.createdAt).toLocaleString() : 'N/A');
@@ -228,10 +957,24 @@ jobsCmd
       console.log('Stopped:         ', job.stoppedAt ? new Date(job.stoppedAt).toLocaleString() : 'N/A');
       if (job.statusReason) console.log('Status Reason:   ', chalk.dim(job.statusReason));
       if (job.container?.exitCode !== undefined) console.log('Exit Code:       ', job.container.exitCode);
+      if (job.arrayProperties?.index !== undefined) console.log('Array Index:     ', String(job.arrayProperties.index));
+      if (job.arrayProperties?.size) {
+        console.log('Array Size:      ', String(job.arrayProperties.size));
+        console.log('Array Status:    ', formatArraySummary(job.arrayProperties.statusSummary) || 'N/A');
+      }
+      if (job.dependsOn?.length) {
+        console.log('Depends On:      ', job.dependsOn.map(dep => dep.type ? `${dep.jobId} (${dep.type})` : dep.jobId).join(', '));
+      }
+      if (job.retryStrategy?.attempts) console.log('Attempts:        ', `${job.attempts?.length || 0} of ${job.retryStrategy.attempts}`);
+      if (job.timeout?.attemptDurationSeconds) console.log('Timeout:         ', `${job.timeout.attemptDurationSeconds}s per attempt`);
+      if (job.shareIdentifier) console.log('Share ID:        ', job.shareIdentifier);
+      if (job.schedulingPriority !== undefined) console.log('Sched. Priority: ', String(job.schedulingPriority));
+      if (job.tags && Object.keys(job.tags).length) {
+        console.log('Tags:            ', Object.entries(job.tags).map(([k, v]) => `${k}=${v}`).join(', '));
+      }
       console.log('');
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
@@ -240,50 +983,174 @@ jobsCmd
   .description('List jobs in a queue')
   .requiredOption('--queue <queue>', 'Job queue name')
   .option('--status <status>', 'Filter by status (SUBMITTED|PENDING|RUNNABLE|STARTING|RUNNING|SUCCEEDED|FAILED)')
-  .option('--limit <n>', 'Maximum number of results', '50')
+  .option('--all', 'Fetch every page of results')
+  .option('--limit <n>', 'Maximum number of results across all pages (default: 50, unlimited with --all)')
+  .option('--page-size <n>', 'Number of results requested per API call')
+  .option('--starting-token <token>', 'Resume from the nextToken of a previous listing')
+  .option('--tag-filter <key=value>', 'Only jobs with this tag; a bare key matches any value (repeatable)', collectValues)
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const jobs = await withSpinner('Fetching jobs...', () =>
-        listJobs({
-          jobQueue: options.queue,
-          jobStatus: options.status,
-          maxResults: parseInt(options.limit)
-        })
+      // ListJobs summaries carry no tags; DescribeJobs does
+      const jobTags = async (summaries) => {
+        const jobs = await describeJobs(summaries.map(job => job.jobId));
+        const byId = new Map(jobs.map(job => [job.jobId, job.tags]));
+        return summaries.map(job => byId.get(job.jobId));
+      };
+      const pages = listPages(
+        (pagination) => iterateJobs({ jobQueue: options.queue, jobStatus: options.status, ...pagination }),
+        options, 50, jobTags
       );
 
-      if (options.json) {
-        printJson(jobs);
-        return;
-      }
-
-      printTable(jobs, [
-        { key: 'jobId', label: 'Job ID', format: (v) => v ? String(v).substring(0, 16) + '...' : '' },
+      await printPages('Fetching jobs...', pages, [
+        { key: 'jobId', label: 'Job ID' },
         { key: 'jobName', label: 'Name' },
         { key: 'status', label: 'Status' },
-        { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleDateString() : '' }
+        { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleDateString() : '' },
+        { key: 'startedAt', label: 'Started', format: (v) => v ? new Date(v).toLocaleString() : '', wide: true },
+        { key: 'stoppedAt', label: 'Stopped', format: (v) => v ? new Date(v).toLocaleString() : '', wide: true },
+        { key: 'container.exitCode', label: 'Exit Code', wide: true },
+        { key: 'statusReason', label: 'Reason', wide: true }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+jobsCmd
+  .command('children <parent-id>')
+  .description('List the child jobs of an array job')
+  .option('--status <status>', 'Only children with this status (default: all statuses)')
+  .option('--all', 'Fetch every page of results')
+  .option('--limit <n>', 'Maximum number of results across all pages (default: 100, unlimited with --all)')
+  .option('--page-size <n>', 'Number of results requested per API call')
+  .option('--starting-token <token>', 'Resume from the nextToken of a previous listing (requires --status)')
+  .option('--json', 'Output as JSON')
+  .action(async (parentId, options) => {
+    await requireAuth();
+    if (options.startingToken && !options.status) {
+      fail(new ValidationError('--starting-token requires --status'));
+    }
+    try {
+      const pages = iterateChildJobs(parentId, { status: options.status, ...paginationFrom(options, 100) });
+
+      await printPages('Fetching child jobs...', pages, [
+        { key: 'index', label: 'Index', format: (_, row) => String(row.arrayProperties?.index ?? row.jobId.split(':').pop()) },
+        { key: 'status', label: 'Status' },
+        { key: 'exitCode', label: 'Exit Code', format: (_, row) => row.container?.exitCode ?? '' },
+        { key: 'startedAt', label: 'Started', format: (v) => v ? new Date(v).toLocaleString() : '' },
+        { key: 'stoppedAt', label: 'Stopped', format: (v) => v ? new Date(v).toLocaleString() : '' },
+        { key: 'statusReason', label: 'Reason' }
       ]);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
 jobsCmd
-  .command('terminate <job-id>')
-  .description('Terminate a job')
+  .command('terminate [job-ids...]')
+  .description('Terminate jobs by ID or by queue/status/name/creation-time filters')
   .option('--reason <reason>', 'Termination reason', 'Terminated via CLI')
+  .option('--queue <queue>', 'Select jobs in this queue')
+  .option('--status <statuses>', 'Comma-separated statuses to select (default: every status before SUCCEEDED/FAILED)')
+  .option('--name-prefix <prefix>', 'Select jobs whose name starts with this prefix')
+  .option('--created-after <time>', 'Select jobs created after a time (ISO timestamp or duration ago, e.g. 2h)')
+  .option('--created-before <time>', 'Select jobs created before a time (ISO timestamp or duration ago, e.g. 1d)')
+  .option('--ids-from <file>', 'Read job IDs from a file, one per line ("-" for stdin)')
+  .option('--concurrency <n>', 'Parallel API calls', '5')
+  .option('-y, --yes', 'Skip the confirmation prompt for selected jobs')
+  .option('--json', 'Output per-job results as JSON')
+  .action(async (jobIds, options) => {
+    await requireAuth();
+    try {
+      await runBulkJobAction(jobIds, options, {
+        verb: 'terminate',
+        pastTense: 'terminated',
+        defaultStatuses: JOB_STATUSES.filter(status => !TERMINAL_STATUSES.includes(status)),
+        action: terminateJob
+      });
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+jobsCmd
+  .command('cancel [job-ids...]')
+  .description('Cancel jobs that have not started yet, by ID or by filters')
+  .option('--reason <reason>', 'Cancellation reason', 'Cancelled via CLI')
+  .option('--queue <queue>', 'Select jobs in this queue')
+  .option('--status <statuses>', 'Comma-separated statuses to select (default: SUBMITTED,PENDING,RUNNABLE)')
+  .option('--name-prefix <prefix>', 'Select jobs whose name starts with this prefix')
+  .option('--created-after <time>', 'Select jobs created after a time (ISO timestamp or duration ago, e.g. 2h)')
+  .option('--created-before <time>', 'Select jobs created before a time (ISO timestamp or duration ago, e.g. 1d)')
+  .option('--ids-from <file>', 'Read job IDs from a file, one per line ("-" for stdin)')
+  .option('--concurrency <n>', 'Parallel API calls', '5')
+  .option('-y, --yes', 'Skip the confirmation prompt for selected jobs')
+  .option('--json', 'Output per-job results as JSON')
+  .action(async (jobIds, options) => {
+    await requireAuth();
+    try {
+      await runBulkJobAction(jobIds, options, {
+        verb: 'cancel',
+        pastTense: 'cancelled',
+        defaultStatuses: ['SUBMITTED', 'PENDING', 'RUNNABLE'],
+        action: cancelJob
+      });
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+jobsCmd
+  .command('wait <job-ids...>')
+  .alias('watch')
+  .description('Wait until jobs reach SUCCEEDED or FAILED, printing status changes')
+  .option('--timeout <seconds>', 'Give up after this many seconds (exit code 124)')
+  .option('--interval <seconds>', 'Initial poll interval; backs off to 30s while nothing changes', '5')
+  .option('--container-exit-code', 'Exit with the failed container\'s exit code instead of 1')
+  .option('--json', 'Output final job descriptions as JSON (status changes go to stderr)')
+  .action(async (jobIds, options) => {
+    await requireAuth();
+    try {
+      const outcome = await waitForJobs(jobIds, {
+        timeout: options.timeout ? parseFloat(options.timeout) : undefined,
+        interval: parseFloat(options.interval),
+        log: customOutput() ? (line) => console.error(line) : console.log
+      });
+
+      if (customOutput()) {
+        printOutput(outcome.jobs);
+      } else {
+        printWaitResult(outcome);
+      }
+      process.exit(waitExitCode(outcome, options.containerExitCode));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+jobsCmd
+  .command('logs <job-id>')
+  .description('Print a job\'s CloudWatch Logs output')
+  .option('-f, --follow', 'Keep streaming new events until the job stops')
+  .option('--attempt <n>', 'Read the log stream of attempt N (1-based; default: latest)')
+  .option('--index <n>', 'For array jobs, read only this child index (default: interleave all children)')
+  .option('--since <time>', 'Only events newer than a duration (30m, 2h, 1d) or ISO timestamp')
+  .option('--grep <pattern>', 'CloudWatch Logs filter pattern to match events against')
+  .option('--log-group <name>', 'Log group (default: the job definition\'s awslogs-group or /aws/batch/job)')
+  .option('--no-timestamps', 'Omit event timestamps')
+  .option('--json', 'Output one JSON object per event')
   .action(async (jobId, options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      await withSpinner(`Terminating job ${jobId}...`, () =>
-        terminateJob(jobId, options.reason)
-      );
-      printSuccess(`Job ${jobId} terminated`);
+      await streamJobLogs(jobId, {
+        ...options,
+        attempt: options.attempt ? parseInt(options.attempt) : undefined,
+        index: options.index !== undefined ? parseInt(options.index) : undefined
+      });
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
@@ -292,76 +1159,449 @@ jobsCmd
   .description('Describe one or more jobs by ID')
   .option('--json', 'Output as JSON')
   .action(async (jobIds, options) => {
-    requireAuth();
+    await requireAuth();
     try {
       const jobs = await withSpinner('Fetching job details...', () => describeJobs(jobIds));
 
-      if (options.json) {
-        printJson(jobs);
-        return;
-      }
-
-      printTable(jobs, [
-        { key: 'jobId', label: 'Job ID', format: (v) => v ? String(v).substring(0, 16) + '...' : '' },
+      printOutput(jobs, [
+        { key: 'jobId', label: 'Job ID' },
         { key: 'jobName', label: 'Name' },
         { key: 'status', label: 'Status' },
         { key: 'jobQueue', label: 'Queue', format: (v) => (v || '').split('/').pop() },
         { key: 'createdAt', label: 'Created', format: (v) => v ? new Date(v).toLocaleDateString() : '' }
       ]);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
-// ============================================================
-// QUEUES
-// ============================================================
+function historyDefinition(entry) {
+  const reference = (entry.definitionArn || entry.jobDefinition || '').split('/').pop();
+  return entry.revision && !reference.includes(':') ? `${reference}:${entry.revision}` : reference;
+}
 
-const queuesCmd = program.command('queues').description('Manage AWS Batch job queues');
+function matchesQueue(jobQueue, queue) {
+  return !queue || jobQueue === queue || Boolean(jobQueue?.endsWith(`/${queue}`));
+}
 
-queuesCmd
-  .command('list')
-  .description('List job queues')
+jobsCmd
+  .command('history')
+  .description('List jobs submitted from this machine, refreshing unfinished ones from AWS')
+  .option('--queue <queue>', 'Only jobs submitted to this queue')
+  .option('--definition <name>', 'Only jobs of this job definition')
+  .option('--status <statuses>', 'Comma-separated statuses to include')
+  .option('--name-prefix <prefix>', 'Only jobs whose name starts with this prefix')
+  .option('--since <time>', 'Only submissions newer than a duration (30m, 2h, 1d) or ISO timestamp')
+  .option('--limit <n>', 'Show at most N entries, newest first (default: 50)')
+  .option('--all', 'Show every entry')
+  .option('--no-refresh', 'Show recorded statuses without calling DescribeJobs')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
     try {
-      const queues = await withSpinner('Fetching job queues...', () => listQueues());
+      const since = options.since ? parseTime(options.since, '--since') : undefined;
+      const statuses = options.status ? parseList(options.status.toUpperCase()) : undefined;
+      let entries = readHistory().filter(entry =>
+        matchesQueue(entry.jobQueue, options.queue) &&
+        (!options.definition || historyDefinition(entry).split(':')[0] === options.definition) &&
+        (!options.namePrefix || entry.jobName?.startsWith(options.namePrefix)) &&
+        (since === undefined || Date.parse(entry.submittedAt) >= since)
+      );
 
-      if (options.json) {
-        printJson(queues);
-        return;
+      // Only jobs in the current region can be described; finished jobs keep
+      // their recorded final status, and aged-out jobs their last known one
+      const region = resolveRegion();
+      const stale = entries.filter(entry => entry.region === region && !TERMINAL_STATUSES.includes(entry.status));
+      if (options.refresh && stale.length && hasCredentials()) {
+        await requireAuth();
+        const jobs = await withSpinner('Refreshing job statuses...', () => describeJobs(stale.map(entry => entry.jobId)));
+        const changed = jobs.filter(job => job.status !== stale.find(entry => entry.jobId === job.jobId)?.status);
+        recordStatuses(changed);
+        const byId = new Map(changed.map(job => [job.jobId, job]));
+        entries = entries.map(entry => {
+          const job = byId.get(entry.jobId);
+          if (!job) return entry;
+          return { ...entry, status: job.status, stoppedAt: job.stoppedAt, exitCode: job.container?.exitCode };
+        });
       }
 
-      printTable(queues, [
-        { key: 'jobQueueName', label: 'Name' },
-        { key: 'state', label: 'State' },
-        { key: 'status', label: 'Status' },
-        { key: 'priority', label: 'Priority', format: (v) => String(v || 0) }
+      if (statuses) entries = entries.filter(entry => statuses.includes(entry.status));
+      const limit = options.limit ? parseInt(options.limit) : (options.all ? Infinity : 50);
+
+      printOutput(entries.slice(0, limit), [
+        { key: 'entry', label: '#', format: (v) => String(v) },
+        { key: 'jobId', label: 'Job ID' },
+        { key: 'jobName', label: 'Name' },
+        { key: 'jobQueue', label: 'Queue', format: (v) => (v || '').split('/').pop() },
+        { key: 'definition', label: 'Definition', format: (_, entry) => historyDefinition(entry) },
+        { key: 'status', label: 'Status', format: (v) => v || 'UNKNOWN' },
+        { key: 'submittedAt', label: 'Submitted', format: (v) => new Date(v).toLocaleString() },
+        { key: 'exitCode', label: 'Exit Code', wide: true },
+        { key: 'profile', label: 'Profile', wide: true },
+        { key: 'region', label: 'Region', wide: true },
+        { key: 'rerunOf', label: 'Rerun Of', wide: true }
       ]);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
-queuesCmd
-  .command('get <queue-name>')
-  .description('Get job queue details')
+jobsCmd
+  .command('rerun <job-id|entry>')
+  .description('Submit a job from the local history again with the same request')
+  .option('--name <name>', 'Job name (default: the original name)')
+  .option('--queue <queue>', 'Submit to a different queue')
+  .option('--parameters <json>', 'Parameters to merge over the original ones, as JSON')
+  .option('--param <key=value>', 'Parameter to override (repeatable)', collectValues)
+  .option('--latest-definition', 'Use the original definition reference instead of the exact revision that ran')
+  .option('--strict', 'Treat validation warnings as errors')
+  .option('--no-validate', 'Skip local validation')
   .option('--json', 'Output as JSON')
-  .action(async (queueName, options) => {
-    requireAuth();
+  .action(async (reference, options) => {
+    let entry;
+    let request;
     try {
-      const queue = await withSpinner(`Fetching queue ${queueName}...`, () => getQueue(queueName));
+      entry = findHistoryEntry(readHistory(), reference);
+      if (!entry) throw new NotFoundError(`No job '${reference}' in the local history. See awsbatch jobs history.`);
+      const parameters = options.parameters || options.param
+        ? {
+            ...(options.parameters && parseJsonOption(options.parameters, '--parameters')),
+            ...parseKeyValues(options.param, '--param')
+          }
+        : undefined;
+      request = buildRerunRequest(entry, {
+        jobName: options.name,
+        jobQueue: options.queue,
+        parameters,
+        latestDefinition: options.latestDefinition
+      });
+    } catch (error) {
+      fail(error);
+    }
+
+    await requireAuth();
+
+    let definition = null;
+    if (options.validate) {
+      definition = await resolveDefinition(request.jobDefinition).catch(() => null);
+      enforceValidation(validateSubmission(request, definition), options);
+    }
+
+    try {
+      const result = await withSpinner('Submitting job...', () => submitJob(request));
+      await recordJob(request, result, definition, { source: 'rerun', rerunOf: entry.jobId });
+
+      if (customOutput()) {
+        printOutput(result);
+        return;
+      }
+
+      printSuccess('Job submitted');
+      console.log('Job ID:    ', chalk.cyan(result?.jobId || 'N/A'));
+      console.log('Job Name:  ', result?.jobName || request.jobName);
+      console.log('Rerun Of:  ', `${entry.jobId} (#${entry.entry})`);
+      console.log('Definition:', request.jobDefinition);
+      if (entry.request.dependsOn?.length) {
+        console.log(chalk.dim(`The original's ${entry.request.dependsOn.length} dependency(ies) were not carried over.`));
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+jobsCmd
+  .command('resubmit <job-id>')
+  .description('Submit a copy of an existing job, rebuilt from its description')
+  .option('--name <name>', 'Job name (default: the original name)')
+  .option('--queue <queue>', 'Submit to a different queue')
+  .option('--definition-revision <rev>', "Definition revision: 'latest' or a number (default: the revision the job used)")
+  .option('--vcpus <n>', 'vCPUs override')
+  .option('--memory <MiB>', 'Memory override in MiB')
+  .option('--gpus <n>', 'GPU override')
+  .option('--env <key=value>', 'Environment variable override (repeatable)', collectValues)
+  .option('--command <cmd>', 'Command override, as a string or JSON array')
+  .option('--param <key=value>', 'Parameter override (repeatable)', collectValues)
+  .option('--failed-children-only', 'For an array job, resubmit only the failed indexes, each as its own job')
+  .option('--index-env <name>', 'With --failed-children-only, variable that receives the original array index', 'BATCH_ARRAY_INDEX')
+  .option('--concurrency <n>', 'Parallel submissions with --failed-children-only (default: 5)')
+  .option('--strict', 'Treat validation warnings as errors')
+  .option('--no-validate', 'Skip local validation')
+  .option('--json', 'Output as JSON')
+  .action(async (jobId, options) => {
+    await requireAuth();
+    try {
+      const [job] = await withSpinner(`Fetching job ${jobId}...`, () => describeJobs([jobId]));
+      if (!job) {
+        throw new NotFoundError(`Job ${jobId} not found. Batch forgets finished jobs after a few days; jobs submitted from this machine can be run again with awsbatch jobs rerun.`);
+      }
+
+      const original = await resolveDefinition(job.jobDefinition).catch(() => null);
+      const request = requestFromJob(job, original);
+      if (options.name) request.jobName = options.name;
+      if (options.queue) request.jobQueue = options.queue;
+      request.jobDefinition = definitionReference(job, options.definitionRevision);
+      if (options.param) request.parameters = { ...request.parameters, ...parseKeyValues(options.param, '--param') };
+      if (hasContainerFlags(options)) {
+        if (!job.container || job.nodeProperties) {
+          throw new ValidationError('--vcpus, --memory, --gpus, --env and --command apply to single-container jobs only');
+        }
+        const overrides = containerFromFlags(options, request.containerOverrides);
+        if (options.vcpus) delete overrides.vcpus;
+        if (options.memory) delete overrides.memory;
+        request.containerOverrides = overrides;
+      }
+
+      const definition = options.definitionRevision
+        ? await resolveDefinition(request.jobDefinition).catch(() => null)
+        : original;
+      if (options.validate) enforceValidation(validateSubmission(request, definition), options);
+
+      if (options.failedChildrenOnly) {
+        await resubmitFailedChildren(job, request, definition, options);
+        return;
+      }
+
+      const result = await withSpinner('Submitting job...', () => submitJob(request));
+      await recordJob(request, result, definition, { source: 'resubmit', rerunOf: job.jobId });
+
+      if (customOutput()) {
+        printOutput(result);
+        return;
+      }
+
+      printSuccess('Job submitted');
+      console.log('Job ID:    ', chalk.cyan(result?.jobId || 'N/A'));
+      console.log('Job Name:  ', result?.jobName || request.jobName);
+      console.log('Copy Of:   ', job.jobId);
+      console.log('Definition:', request.jobDefinition);
+      if (job.dependsOn?.length) {
+        console.log(chalk.dim(`The original's ${job.dependsOn.length} dependency(ies) were not carried over.`));
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+/**
+ * Submit one job per failed child of an array job. Batch reserves the
+ * AWS_BATCH_ prefix, so the original index is passed in --index-env.
+ */
+async function resubmitFailedChildren(job, request, definition, options) {
+  if (!job.arrayProperties?.size) throw new ValidationError(`${job.jobId} is not an array job`);
+  if (!job.container || job.nodeProperties) {
+    throw new ValidationError('--failed-children-only needs a single-container job (the index is passed as an environment override)');
+  }
+
+  const failed = await withSpinner('Finding failed children...', () =>
+    listJobs({ arrayJobId: job.jobId, jobStatus: 'FAILED', limit: Infinity }));
+  const indexes = failed.map(childIndex).sort((a, b) => a - b);
+  if (indexes.length === 0) {
+    if (customOutput()) printOutput([]);
+    else console.log(chalk.yellow(`No failed children in ${job.jobId}.`));
+    return;
+  }
+
+  const { arrayProperties, ...single } = request;
+  const childRequestFor = (index) => ({
+    ...single,
+    jobName: `${request.jobName}-${index}`,
+    containerOverrides: {
+      ...single.containerOverrides,
+      environment: mergeByKey(single.containerOverrides?.environment, [{ name: options.indexEnv, value: String(index) }], 'name')
+    }
+  });
+  if (program.opts().dryRun) {
+    await previewCalls(async () => {
+      for (const index of indexes) await submitJob(childRequestFor(index));
+    });
+  }
+
+  const concurrency = Math.max(1, parseInt(options.concurrency) || 5);
+  const results = await mapWithConcurrency(indexes, concurrency, async (index) => {
+    const childRequest = childRequestFor(index);
+    try {
+      const result = await submitJob(childRequest);
+      await recordJob(childRequest, result, definition, { source: 'resubmit', rerunOf: `${job.jobId}:${index}` });
+      if (!customOutput()) printSuccess(`Index ${index} → ${chalk.cyan(result.jobId)}`);
+      return { index, jobId: result.jobId, ok: true };
+    } catch (error) {
+      if (!customOutput()) printError(`Index ${index}: ${error.message}`);
+      return { index, ok: false, error: error.message };
+    }
+  });
+
+  const errors = results.filter(result => !result.ok).length;
+  if (customOutput()) {
+    printOutput(results);
+  } else {
+    console.log(`\n${results.length - errors} resubmitted, ${errors} failed`);
+  }
+  if (errors) process.exit(PARTIAL_FAILURE_EXIT_CODE);
+}
+
+// ============================================================
+// TEMPLATES
+// ============================================================
+
+const templatesCmd = program.command('templates').description('Save and reuse named job submission specs');
+
+function templateSource(template) {
+  return template.source === 'config' ? 'config' : template.source.replace(process.cwd() + '/', '');
+}
+
+withSubmitOptions(
+  templatesCmd
+    .command('save <name>')
+    .description('Save a SubmitJob spec as a template; ${name}, ${name:-default} and ${env:NAME} placeholders are filled in at submit time')
+)
+  .option('--default <name=value>', 'Default value for a template variable (repeatable)', collectValues)
+  .option('--description <text>', 'What the template is for')
+  .option('--local', 'Save to ./.awsbatch/templates instead of the config store')
+  .action(async (name, options) => {
+    try {
+      // A --from-file spec may carry its own variables and description
+      const { variables = {}, description, ...request } = buildSubmitRequest(options, { requireFields: false });
+      if (Object.keys(request).length === 0) throw new ValidationError('Nothing to save. Pass submit flags or --from-file.');
+      Object.entries(parseKeyValues(options.default, '--default')).forEach(([key, value]) => {
+        const existing = variables[key];
+        variables[key] = existing !== null && typeof existing === 'object' ? { ...existing, default: value } : value;
+      });
+
+      const where = saveTemplate(name, { request, variables, description: options.description || description }, { local: options.local });
+      const names = templateVariables(loadTemplate(name));
+      printSuccess(`Saved template ${chalk.cyan(name)} to ${where === 'config' ? 'the config store' : where}`);
+      if (names.length) console.log(chalk.dim(`Variables: ${names.join(', ')}`));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+templatesCmd
+  .command('list')
+  .description('List templates from ./.awsbatch/templates and the config store')
+  .option('--json', 'Output as JSON')
+  .action(async () => {
+    try {
+      const templates = listTemplates().map(template => ({
+        name: template.name,
+        source: templateSource(template),
+        jobQueue: template.request.jobQueue,
+        jobDefinition: template.request.jobDefinition,
+        variables: templateVariables(template),
+        description: template.description
+      }));
+      printOutput(templates, [
+        { key: 'name', label: 'Name' },
+        { key: 'source', label: 'Source' },
+        { key: 'jobQueue', label: 'Queue' },
+        { key: 'jobDefinition', label: 'Definition' },
+        { key: 'variables', label: 'Variables', format: (names) => names.join(', ') },
+        { key: 'description', label: 'Description', wide: true }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+templatesCmd
+  .command('show <name>')
+  .description('Show a template and its variables; with --var, the request it renders to')
+  .option('--var <name=value>', 'Render the template with this value (repeatable)', collectValues)
+  .option('--json', 'Output as JSON')
+  .action(async (name, options) => {
+    try {
+      const template = loadTemplate(name);
+      const rendered = options.var ? renderTemplate(template, parseKeyValues(options.var, '--var')) : null;
+
+      if (customOutput()) {
+        printOutput(rendered || { ...template, source: templateSource(template) });
+        return;
+      }
+
+      console.log(chalk.bold(`\nTemplate ${template.name}\n`));
+      console.log('Source:      ', templateSource(template));
+      if (template.description) console.log('Description: ', template.description);
+      const names = templateVariables(template);
+      if (names.length) {
+        console.log('Variables:');
+        const width = Math.max(...names.map(key => key.length));
+        names.forEach(key => {
+          const variable = template.variables[key] || {};
+          let detail = chalk.dim('inline default or --var');
+          if (variable.required) detail = chalk.yellow('required');
+          else if (variable.default !== undefined) detail = `default ${variable.default}`;
+          console.log(`  ${chalk.cyan(key.padEnd(width))}  ${detail}${variable.description ? chalk.dim(`  ${variable.description}`) : ''}`);
+        });
+      }
+      console.log(chalk.bold(rendered ? '\nRendered request\n' : '\nRequest\n'));
+      console.log(JSON.stringify(rendered || template.request, null, 2));
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+templatesCmd
+  .command('delete <name>')
+  .description('Delete a template (the project copy first, if there is one)')
+  .option('--local', 'Only delete from ./.awsbatch/templates')
+  .option('--config', 'Only delete from the config store')
+  .action(async (name, options) => {
+    try {
+      const where = deleteTemplate(name, { local: options.local ? true : options.config ? false : undefined });
+      printSuccess(`Deleted template ${chalk.cyan(name)} from ${where === 'config' ? 'the config store' : where}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// QUEUES
+// ============================================================
+
+const queuesCmd = program.command('queues').description('Manage AWS Batch job queues');
+
+queuesCmd
+  .command('list')
+  .description('List job queues')
+  .option('--all', 'Fetch every page of results')
+  .option('--limit <n>', 'Maximum number of results across all pages (default: 100, unlimited with --all)')
+  .option('--page-size <n>', 'Number of results requested per API call')
+  .option('--starting-token <token>', 'Resume from the nextToken of a previous listing')
+  .option('--tag-filter <key=value>', 'Only queues with this tag; a bare key matches any value (repeatable)', collectValues)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const pages = listPages(iterateQueues, options, 100);
+
+      await printPages('Fetching job queues...', pages, [
+        { key: 'jobQueueName', label: 'Name' },
+        { key: 'state', label: 'State' },
+        { key: 'status', label: 'Status' },
+        { key: 'priority', label: 'Priority', format: (v) => String(v || 0) },
+        { key: 'schedulingPolicyArn', label: 'Scheduling', format: (v) => v ? v.split('/').pop() : 'FIFO', wide: true },
+        { key: 'computeEnvironmentOrder', label: 'Compute Envs', format: (v) => (v || []).map(ce => ce.computeEnvironment.split('/').pop()).join(','), wide: true }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+queuesCmd
+  .command('get <queue-name>')
+  .description('Get job queue details')
+  .option('--json', 'Output as JSON')
+  .action(async (queueName, options) => {
+    await requireAuth();
+    try {
+      const queue = await withSpinner(`Fetching queue ${queueName}...`, () => getQueue(queueName));
 
       if (!queue) {
-        printError('Queue not found');
-        process.exit(1);
+        throw new NotFoundError('Queue not found');
       }
 
-      if (options.json) {
-        printJson(queue);
+      if (customOutput()) {
+        printOutput(queue);
         return;
       }
 
@@ -372,10 +1612,22 @@ queuesCmd
       console.log('Status:        ', queue.status || 'N/A');
       console.log('Priority:      ', queue.priority !== undefined ? String(queue.priority) : 'N/A');
       if (queue.statusReason) console.log('Status Reason: ', queue.statusReason);
+      if (queue.computeEnvironmentOrder?.length) {
+        console.log('Compute Envs:  ');
+        [...queue.computeEnvironmentOrder]
+          .sort((a, b) => a.order - b.order)
+          .forEach(ce => console.log(`  ${ce.order}. ${(ce.computeEnvironment || '').split('/').pop()}`));
+      }
+      if (queue.schedulingPolicyArn) {
+        const policy = await getSchedulingPolicy(queue.schedulingPolicyArn).catch(() => null);
+        console.log('Scheduling:    ', `fair share (${policy?.name || queue.schedulingPolicyArn.split('/').pop()})`);
+        if (policy) printFairsharePolicy(policy.fairsharePolicy, '  ');
+      } else {
+        console.log('Scheduling:    ', 'FIFO');
+      }
       console.log('');
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
@@ -385,28 +1637,34 @@ queuesCmd
   .requiredOption('--name <name>', 'Queue name')
   .option('--state <state>', 'Queue state (ENABLED|DISABLED)', 'ENABLED')
   .option('--priority <n>', 'Queue priority (1-1000)', '1')
-  .option('--compute-envs <json>', 'Compute environment order as JSON array')
+  .option('--compute-envs <envs>', 'Compute environments as a comma-separated list (in order) or JSON array')
+  .option('--scheduling-policy <arn|name>', 'Fair-share scheduling policy (the queue is FIFO without one)')
+  .option('--tag <key=value>', 'Tag to apply to the queue (repeatable)', collectValues)
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
 
     let computeEnvironmentOrder = [];
-    if (options.computeEnvs) {
-      try { computeEnvironmentOrder = JSON.parse(options.computeEnvs); } catch { printError('Invalid JSON for --compute-envs'); process.exit(1); }
+    if (options.computeEnvs && options.computeEnvs.trim().startsWith('[')) {
+      try { computeEnvironmentOrder = parseJsonOption(options.computeEnvs, '--compute-envs'); } catch (error) { fail(error); }
+    } else if (options.computeEnvs) {
+      computeEnvironmentOrder = parseList(options.computeEnvs).map((computeEnvironment, i) => ({ order: i + 1, computeEnvironment }));
     }
 
     try {
-      const result = await withSpinner('Creating job queue...', () =>
+      const result = await withSpinner('Creating job queue...', async () =>
         createQueue({
           queueName: options.name,
           state: options.state,
           priority: parseInt(options.priority),
-          computeEnvironmentOrder
+          computeEnvironmentOrder,
+          schedulingPolicyArn: options.schedulingPolicy && await resolvePolicyArn(options.schedulingPolicy),
+          tags: options.tag && parseKeyValues(options.tag, '--tag')
         })
       );
 
-      if (options.json) {
-        printJson(result);
+      if (customOutput()) {
+        printOutput(result);
         return;
       }
 
@@ -415,8 +1673,7 @@ queuesCmd
         console.log('Queue ARN: ', result.jobQueueArn || 'N/A');
       }
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
@@ -425,143 +1682,1408 @@ queuesCmd
   .description('Update a job queue')
   .option('--state <state>', 'Queue state (ENABLED|DISABLED)')
   .option('--priority <n>', 'Queue priority')
+  .option('--scheduling-policy <arn|name>', 'Fair-share scheduling policy to attach')
   .option('--json', 'Output as JSON')
   .action(async (queueName, options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const result = await withSpinner(`Updating queue ${queueName}...`, () =>
+      const result = await withSpinner(`Updating queue ${queueName}...`, async () =>
         updateQueue({
           queueName,
           state: options.state,
-          priority: options.priority ? parseInt(options.priority) : undefined
+          priority: options.priority ? parseInt(options.priority) : undefined,
+          schedulingPolicyArn: options.schedulingPolicy && await resolvePolicyArn(options.schedulingPolicy)
         })
       );
 
-      if (options.json) {
-        printJson(result);
+      if (customOutput()) {
+        printOutput(result);
         return;
       }
 
       printSuccess(`Queue '${queueName}' updated`);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
 // ============================================================
-// DEFINITIONS
+// SCHEDULING POLICIES
 // ============================================================
 
-const definitionsCmd = program.command('definitions').description('Manage AWS Batch job definitions');
+const policiesCmd = program.command('scheduling-policies').description('Manage fair-share scheduling policies');
 
-definitionsCmd
+// ListSchedulingPolicies pages carry only ARNs; describe each page as it arrives
+async function* iteratePolicyDetails(pagination) {
+  for await (const page of iterateSchedulingPolicies(pagination)) {
+    yield { items: await describeSchedulingPolicies(page.items.map(policy => policy.arn)), nextToken: page.nextToken };
+  }
+}
+
+async function resolvePolicyArn(reference) {
+  if (reference.startsWith('arn:')) return reference;
+  const policy = await getSchedulingPolicy(reference);
+  if (!policy) throw new NotFoundError(`Scheduling policy '${reference}' not found`);
+  return policy.arn;
+}
+
+// "<shareIdentifier>=<weightFactor>", weight defaulting to 1; identifiers may end in * to match a prefix
+function parseShare(value) {
+  const [shareIdentifier, weight] = value.split('=');
+  const weightFactor = weight === undefined ? 1 : Number(weight);
+  if (!shareIdentifier || !(weightFactor > 0 && weightFactor < 1000)) {
+    throw new ValidationError(`Invalid --share '${value}'. Expected <shareIdentifier>=<weight>, with a weight between 0.0001 and 999.9999`);
+  }
+  return { shareIdentifier, weightFactor };
+}
+
+/**
+ * Merge the fair-share flags into `base`. --share adds or reweights one
+ * identifier; --remove-share drops one.
+ */
+function buildFairsharePolicy(options, base = {}) {
+  const policy = { ...base };
+  if (options.shareDecay !== undefined) policy.shareDecaySeconds = parseInt(options.shareDecay);
+  if (options.computeReservation !== undefined) policy.computeReservation = parseInt(options.computeReservation);
+
+  let shares = [...(policy.shareDistribution || [])];
+  for (const share of (options.share || []).map(parseShare)) {
+    shares = [...shares.filter(existing => existing.shareIdentifier !== share.shareIdentifier), share];
+  }
+  for (const identifier of options.removeShare || []) {
+    if (!shares.some(share => share.shareIdentifier === identifier)) throw new ValidationError(`Share '${identifier}' is not in the policy`);
+    shares = shares.filter(share => share.shareIdentifier !== identifier);
+  }
+  policy.shareDistribution = shares;
+
+  if (policy.shareDecaySeconds !== undefined && !(policy.shareDecaySeconds >= 0 && policy.shareDecaySeconds <= 604800)) {
+    throw new ValidationError('--share-decay must be between 0 and 604800 seconds (one week)');
+  }
+  if (policy.computeReservation !== undefined && !(policy.computeReservation >= 0 && policy.computeReservation <= 99)) {
+    throw new ValidationError('--compute-reservation must be between 0 and 99');
+  }
+  if (shares.length > 500) throw new ValidationError('A scheduling policy can have at most 500 shares');
+  return policy;
+}
+
+function printFairsharePolicy(policy = {}, indent = '') {
+  console.log(`${indent}Share Decay:        `, policy.shareDecaySeconds ? `${policy.shareDecaySeconds}s` : 'none');
+  console.log(`${indent}Compute Reservation:`, policy.computeReservation ? `${policy.computeReservation}%` : 'none');
+  const shares = policy.shareDistribution || [];
+  if (!shares.length) return;
+  const width = Math.max(...shares.map(share => share.shareIdentifier.length));
+  console.log(`${indent}Shares:`);
+  // A lower weight factor means a larger share of the queue's resources
+  const inverse = shares.reduce((sum, share) => sum + 1 / (share.weightFactor ?? 1), 0);
+  shares.forEach(share => {
+    const weight = share.weightFactor ?? 1;
+    const portion = Math.round((1 / weight / inverse) * 100);
+    console.log(`${indent}  ${share.shareIdentifier.padEnd(width)}  weight ${String(weight).padEnd(6)} ${chalk.dim(`~${portion}% when all shares are busy`)}`);
+  });
+}
+
+policiesCmd
   .command('list')
-  .description('List job definitions')
-  .option('--name <name>', 'Filter by definition name')
-  .option('--status <status>', 'Filter by status (ACTIVE|INACTIVE)', 'ACTIVE')
+  .description('List scheduling policies')
+  .option('--all', 'Fetch every page of results')
+  .option('--limit <n>', 'Maximum number of results across all pages (default: 100, unlimited with --all)')
+  .option('--page-size <n>', 'Number of results requested per API call')
+  .option('--starting-token <token>', 'Resume from the nextToken of a previous listing')
+  .option('--tag-filter <key=value>', 'Only policies with this tag; a bare key matches any value (repeatable)', collectValues)
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const definitions = await withSpinner('Fetching job definitions...', () =>
-        listDefinitions({ definitionName: options.name, status: options.status })
-      );
+      const pages = listPages(iteratePolicyDetails, options, 100);
+
+      await printPages('Fetching scheduling policies...', pages, [
+        { key: 'name', label: 'Name' },
+        { key: 'shares', label: 'Shares', format: (_, p) => String(p.fairsharePolicy?.shareDistribution?.length || 0) },
+        { key: 'decay', label: 'Decay', format: (_, p) => p.fairsharePolicy?.shareDecaySeconds ? `${p.fairsharePolicy.shareDecaySeconds}s` : '' },
+        { key: 'reservation', label: 'Reserved', format: (_, p) => p.fairsharePolicy?.computeReservation ? `${p.fairsharePolicy.computeReservation}%` : '' },
+        { key: 'arn', label: 'ARN' }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
 
-      if (options.json) {
-        printJson(definitions);
+policiesCmd
+  .command('get <name|arn>')
+  .description('Show a scheduling policy and its share distribution')
+  .option('--json', 'Output as JSON')
+  .action(async (reference, options) => {
+    await requireAuth();
+    try {
+      const policy = await withSpinner(`Fetching scheduling policy ${reference}...`, () => getSchedulingPolicy(reference));
+      if (!policy) {
+        throw new NotFoundError('Scheduling policy not found');
+      }
+      if (customOutput()) {
+        printOutput(policy);
         return;
       }
 
-      printTable(definitions, [
-        { key: 'jobDefinitionName', label: 'Name' },
-        { key: 'revision', label: 'Rev', format: (v) => String(v || '') },
-        { key: 'type', label: 'Type' },
-        { key: 'status', label: 'Status' }
-      ]);
+      console.log(chalk.bold('\nScheduling Policy Details\n'));
+      console.log('Name:               ', chalk.cyan(policy.name));
+      console.log('ARN:                ', policy.arn);
+      printFairsharePolicy(policy.fairsharePolicy);
+      if (policy.tags && Object.keys(policy.tags).length) {
+        console.log('Tags:               ', Object.entries(policy.tags).map(([k, v]) => `${k}=${v}`).join(', '));
+      }
+      console.log('');
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
-definitionsCmd
-  .command('register')
-  .description('Register a new job definition')
-  .requiredOption('--name <name>', 'Job definition name')
-  .option('--type <type>', 'Job type (container|multinode)', 'container')
-  .option('--container <json>', 'Container properties as JSON')
+policiesCmd
+  .command('create')
+  .description('Create a fair-share scheduling policy')
+  .option('--name <name>', 'Policy name')
+  .option('--file <path>', 'CreateSchedulingPolicy request as JSON or YAML; flags override it')
+  .option('--share-decay <seconds>', 'Time window for past usage (0-604800)')
+  .option('--compute-reservation <pct>', 'Share of vCPUs held back for share identifiers not yet active (0-99)')
+  .option('--share <id=weight>', 'Share identifier and weight factor; lower weights get more (repeatable)', collectValues)
+  .option('--tag <key=value>', 'Tag to apply (repeatable)', collectValues)
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
 
-    let containerProperties;
-    if (options.container) {
-      try { containerProperties = JSON.parse(options.container); } catch { printError('Invalid JSON for --container'); process.exit(1); }
+    let request;
+    try {
+      request = options.file ? { ...readStructuredFile(options.file, `--file ${options.file}`) } : {};
+      if (options.name) request.name = options.name;
+      if (!request.name) throw new ValidationError('Missing --name (or name in --file)');
+      request.fairsharePolicy = buildFairsharePolicy(options, request.fairsharePolicy);
+      if (options.tag) request.tags = { ...request.tags, ...parseKeyValues(options.tag, '--tag') };
+    } catch (error) {
+      fail(error);
     }
 
     try {
-      const result = await withSpinner('Registering job definition...', () =>
-        registerDefinition({
-          definitionName: options.name,
-          type: options.type,
-          containerProperties
-        })
-      );
-
-      if (options.json) {
-        printJson(result);
+      const result = await withSpinner('Creating scheduling policy...', () => createSchedulingPolicy(request));
+      if (customOutput()) {
+        printOutput(result);
         return;
       }
+      printSuccess(`Scheduling policy '${request.name}' created`);
+      console.log('ARN: ', result?.arn || 'N/A');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+policiesCmd
+  .command('update <name|arn>')
+  .description('Update the fair-share settings of a scheduling policy')
+  .option('--file <path>', 'fairsharePolicy (or an object containing one) as JSON or YAML; replaces the current settings')
+  .option('--share-decay <seconds>', 'Time window for past usage (0-604800)')
+  .option('--compute-reservation <pct>', 'Share of vCPUs held back for share identifiers not yet active (0-99)')
+  .option('--share <id=weight>', 'Add a share identifier or change its weight (repeatable)', collectValues)
+  .option('--remove-share <id>', 'Remove a share identifier (repeatable)', collectValues)
+  .option('--json', 'Output as JSON')
+  .action(async (reference, options) => {
+    await requireAuth();
+    try {
+      const policy = await withSpinner(`Fetching scheduling policy ${reference}...`, () => getSchedulingPolicy(reference));
+      if (!policy) {
+        throw new NotFoundError('Scheduling policy not found');
+      }
 
-      printSuccess(`Job definition '${options.name}' registered`);
-      if (result) {
-        console.log('ARN:      ', result.jobDefinitionArn || 'N/A');
-        console.log('Revision: ', result.revision !== undefined ? String(result.revision) : 'N/A');
+      let base = policy.fairsharePolicy;
+      if (options.file) {
+        const doc = readStructuredFile(options.file, `--file ${options.file}`);
+        base = doc?.fairsharePolicy || doc;
       }
+      const fairsharePolicy = buildFairsharePolicy(options, base);
+
+      const result = await withSpinner(`Updating scheduling policy ${policy.name}...`, () =>
+        updateSchedulingPolicy({ arn: policy.arn, fairsharePolicy })
+      );
+      if (customOutput()) {
+        printOutput(result || {});
+        return;
+      }
+      printSuccess(`Scheduling policy '${policy.name}' updated`);
+      printFairsharePolicy(fairsharePolicy);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error);
     }
   });
 
-definitionsCmd
-  .command('describe <definition-name>')
-  .description('Describe a job definition')
+policiesCmd
+  .command('delete <name|arn>')
+  .description('Delete a scheduling policy (it must not be attached to a queue)')
   .option('--json', 'Output as JSON')
-  .action(async (definitionName, options) => {
-    requireAuth();
+  .action(async (reference, options) => {
+    await requireAuth();
     try {
-      const definitions = await withSpinner(`Fetching definition ${definitionName}...`, () =>
-        describeDefinitions([definitionName])
+      const result = await withSpinner(`Deleting scheduling policy ${reference}...`, async () =>
+        deleteSchedulingPolicy(await resolvePolicyArn(reference))
       );
-
-      if (options.json) {
-        printJson(definitions);
+      if (customOutput()) {
+        printOutput(result || {});
         return;
       }
+      printSuccess(`Scheduling policy '${reference}' deleted`);
+    } catch (error) {
+      fail(error);
+    }
+  });
 
-      if (!definitions || definitions.length === 0) {
-        printError('Job definition not found');
-        process.exit(1);
-      }
-
-      const def = definitions[0];
-      console.log(chalk.bold('\nJob Definition Details\n'));
-      console.log('Name:      ', chalk.cyan(def.jobDefinitionName));
-      console.log('ARN:       ', def.jobDefinitionArn || 'N/A');
-      console.log('Revision:  ', def.revision !== undefined ? String(def.revision) : 'N/A');
-      console.log('Type:      ', def.type || 'N/A');
-      console.log('Status:    ', def.status || 'N/A');
-      if (def.containerProperties) {
-        console.log('Image:     ', def.containerProperties.image || 'N/A');
-        console.log('vCPUs:     ', def.containerProperties.vcpus || 'N/A');
-        console.log('Memory:    ', def.containerProperties.memory ? `${def.containerProperties.memory} MB` : 'N/A');
-      }
-      console.log('');
+// ============================================================
+// DEFINITIONS
+// ============================================================
+
+const definitionsCmd = program.command('definitions').description('Manage AWS Batch job definitions');
+
+function resourceRequirementsFromFlags(options) {
+  const resources = [];
+  if (options.vcpus) resources.push({ type: 'VCPU', value: String(options.vcpus) });
+  if (options.memory) resources.push({ type: 'MEMORY', value: String(options.memory) });
+  if (options.gpus) resources.push({ type: 'GPU', value: String(options.gpus) });
+  return resources;
+}
+
+function mergeByKey(existing = [], added = [], key) {
+  const merged = existing.filter(item => !added.some(other => other[key] === item[key]));
+  return [...merged, ...added];
+}
+
+function parseCommand(value) {
+  return value.trim().startsWith('[') ? parseJsonOption(value, '--command') : value.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Container properties described by the per-field flags (--image, --vcpus,
+ * --memory, --env, ...), merged over `base`.
+ */
+function containerFromFlags(options, base = {}) {
+  const container = { ...base };
+  if (options.image) container.image = options.image;
+  if (options.command) container.command = parseCommand(options.command);
+  const resources = resourceRequirementsFromFlags(options);
+  if (resources.length) container.resourceRequirements = mergeByKey(container.resourceRequirements, resources, 'type');
+  if (options.env) {
+    const env = Object.entries(parseKeyValues(options.env, '--env')).map(([name, value]) => ({ name, value }));
+    container.environment = mergeByKey(container.environment, env, 'name');
+  }
+  if (options.jobRoleArn) container.jobRoleArn = options.jobRoleArn;
+  if (options.executionRoleArn) container.executionRoleArn = options.executionRoleArn;
+  if (options.fargatePlatformVersion) container.fargatePlatformConfiguration = { platformVersion: options.fargatePlatformVersion };
+  if (options.assignPublicIp) container.networkConfiguration = { assignPublicIp: 'ENABLED' };
+  return container;
+}
+
+function hasContainerFlags(options) {
+  return ['container', 'image', 'command', 'vcpus', 'memory', 'gpus', 'env', 'jobRoleArn', 'executionRoleArn', 'fargatePlatformVersion', 'assignPublicIp']
+    .some(key => options[key] !== undefined);
+}
+
+// "<targetNodes>=<container json>", e.g. 0:3={"image":"mpi:latest"}
+function parseNodeRange(value) {
+  const eq = value.indexOf('=');
+  if (eq <= 0) throw new ValidationError(`Invalid --node-range '${value}'. Expected <targetNodes>=<container JSON>, e.g. 0:3={"image":"img"}`);
+  return { targetNodes: value.slice(0, eq), container: parseJsonOption(value.slice(eq + 1), `--node-range ${value.slice(0, eq)}`) };
+}
+
+// Translate the container flags into an EKS pod container (limits use Kubernetes units)
+function eksContainerFromFlags(options, base = {}) {
+  const container = { name: 'main', ...base };
+  if (options.image) container.image = options.image;
+  if (options.command) container.command = parseCommand(options.command);
+  if (options.env) {
+    const env = Object.entries(parseKeyValues(options.env, '--env')).map(([name, value]) => ({ name, value }));
+    container.env = mergeByKey(container.env, env, 'name');
+  }
+  const limits = { ...container.resources?.limits };
+  if (options.vcpus) limits.cpu = String(options.vcpus);
+  if (options.memory) limits.memory = `${options.memory}Mi`;
+  if (options.gpus) limits['nvidia.com/gpu'] = String(options.gpus);
+  if (Object.keys(limits).length) container.resources = { ...container.resources, limits };
+  return container;
+}
+
+/**
+ * Merge a --file RegisterJobDefinition request with the per-type flags.
+ * Container flags fill containerProperties for container jobs, act as the
+ * default container of every node range for multinode jobs, and describe
+ * the main pod container for EKS jobs.
+ */
+function buildDefinitionRequest(options) {
+  const request = options.file ? { ...readStructuredFile(options.file, `--file ${options.file}`) } : {};
+
+  if (options.name) request.jobDefinitionName = options.name;
+  if (options.eksProperties) request.eksProperties = { ...request.eksProperties, ...parseJsonOption(options.eksProperties, '--eks-properties') };
+  if (options.ecsProperties) request.ecsProperties = { ...request.ecsProperties, ...parseJsonOption(options.ecsProperties, '--ecs-properties') };
+  if (options.nodeProperties) request.nodeProperties = { ...request.nodeProperties, ...parseJsonOption(options.nodeProperties, '--node-properties') };
+  request.type = (options.type || request.type || (request.nodeProperties || options.numNodes || options.nodeRange ? 'multinode' : 'container')).toLowerCase();
+
+  const base = options.container ? parseJsonOption(options.container, '--container') : {};
+  if (request.ecsProperties && hasContainerFlags(options)) {
+    throw new ValidationError('Container flags cannot be combined with ECS properties; put the containers in --ecs-properties or --file');
+  }
+
+  if (request.type === 'multinode') {
+    const nodeProperties = { mainNode: 0, ...request.nodeProperties };
+    if (options.numNodes) nodeProperties.numNodes = parseInt(options.numNodes);
+    if (options.mainNode !== undefined) nodeProperties.mainNode = parseInt(options.mainNode);
+    let ranges = [...(nodeProperties.nodeRangeProperties || []), ...(options.nodeRange || []).map(parseNodeRange)];
+    if (hasContainerFlags(options)) {
+      const defaults = containerFromFlags(options, base);
+      ranges = ranges.length
+        ? ranges.map(range => ({ ...range, container: { ...defaults, ...range.container } }))
+        : [{ targetNodes: '0:', container: defaults }];
+    }
+    nodeProperties.nodeRangeProperties = ranges;
+    if (!nodeProperties.numNodes) throw new ValidationError('Multi-node definitions require --num-nodes (or nodeProperties.numNodes in --file)');
+    if (!ranges.length) throw new ValidationError('Multi-node definitions need at least one node range (--node-range, --image or --file)');
+    request.nodeProperties = nodeProperties;
+  } else if (request.eksProperties || options.serviceAccount) {
+    const podProperties = { ...request.eksProperties?.podProperties };
+    if (options.serviceAccount) podProperties.serviceAccountName = options.serviceAccount;
+    if (hasContainerFlags(options)) {
+      const [first, ...rest] = podProperties.containers || [];
+      podProperties.containers = [eksContainerFromFlags(options, { ...base, ...first }), ...rest];
+    }
+    request.eksProperties = { ...request.eksProperties, podProperties };
+  } else if (!request.ecsProperties && hasContainerFlags(options)) {
+    request.containerProperties = containerFromFlags(options, { ...request.containerProperties, ...base });
+  }
+
+  if (options.platform) request.platformCapabilities = parseList(options.platform.toUpperCase());
+  if (options.parameters) request.parameters = { ...request.parameters, ...parseJsonOption(options.parameters, '--parameters') };
+  if (options.retries) request.retryStrategy = { ...request.retryStrategy, attempts: parseInt(options.retries) };
+  if (options.timeout) request.timeout = { attemptDurationSeconds: parseInt(options.timeout) };
+  if (options.propagateTags) request.propagateTags = true;
+  if (options.schedulingPriority !== undefined) request.schedulingPriority = parseInt(options.schedulingPriority);
+  if (options.tag) request.tags = { ...request.tags, ...parseKeyValues(options.tag, '--tag') };
+
+  if (!request.jobDefinitionName) throw new ValidationError('Missing --name (or jobDefinitionName in --file)');
+  return request;
+}
+
+function containerResources(container) {
+  const requirements = Object.fromEntries((container.resourceRequirements || []).map(r => [r.type, r.value]));
+  return {
+    vcpus: requirements.VCPU ?? container.vcpus,
+    memory: requirements.MEMORY ?? container.memory,
+    gpus: requirements.GPU
+  };
+}
+
+function printContainerDetails(container, indent = '') {
+  const { vcpus, memory, gpus } = containerResources(container);
+  const line = (label, value) => console.log(indent + label.padEnd(17 - indent.length), value);
+  line('Image:', container.image || 'N/A');
+  line('vCPUs:', vcpus ?? 'N/A');
+  line('Memory:', memory ? `${memory} MB` : 'N/A');
+  if (gpus) line('GPUs:', gpus);
+  if (container.command?.length) line('Command:', container.command.join(' '));
+  if (container.environment?.length) line('Environment:', container.environment.map(e => `${e.name}=${e.value}`).join(', '));
+  if (container.jobRoleArn) line('Job Role:', container.jobRoleArn);
+  if (container.executionRoleArn) line('Execution Role:', container.executionRoleArn);
+  if (container.fargatePlatformConfiguration?.platformVersion) line('Fargate Version:', container.fargatePlatformConfiguration.platformVersion);
+  if (container.networkConfiguration?.assignPublicIp) line('Public IP:', container.networkConfiguration.assignPublicIp);
+  if (container.logConfiguration?.logDriver) {
+    const group = container.logConfiguration.options?.['awslogs-group'];
+    line('Logging:', container.logConfiguration.logDriver + (group ? ` (${group})` : ''));
+  }
+}
+
+function definitionImage(def) {
+  return def.containerProperties?.image ||
+    def.nodeProperties?.nodeRangeProperties?.[0]?.container?.image ||
+    def.eksProperties?.podProperties?.containers?.[0]?.image ||
+    def.ecsProperties?.taskProperties?.[0]?.containers?.[0]?.image;
+}
+
+function definitionLabel(def) {
+  return `${def.jobDefinitionName}:${def.revision}`;
+}
+
+async function fetchDefinition(reference) {
+  const def = await resolveDefinition(reference);
+  if (!def) throw new NotFoundError(`Job definition ${reference} not found`);
+  return def;
+}
+
+function formatDiffValue(value) {
+  return JSON.stringify(value);
+}
+
+function printDiff(changes, indent = '') {
+  for (const change of changes) {
+    if (change.kind === 'added') {
+      console.log(indent + chalk.green(`+ ${change.path}: ${formatDiffValue(change.after)}`));
+    } else if (change.kind === 'removed') {
+      console.log(indent + chalk.red(`- ${change.path}: ${formatDiffValue(change.before)}`));
+    } else {
+      console.log(indent + chalk.yellow(`~ ${change.path}: `) + chalk.red(formatDiffValue(change.before)) +
+        chalk.dim(' → ') + chalk.green(formatDiffValue(change.after)));
+    }
+  }
+}
+
+function printDefinitionDetails(def) {
+  console.log(chalk.bold('\nJob Definition Details\n'));
+  console.log('Name:            ', chalk.cyan(def.jobDefinitionName));
+  console.log('ARN:             ', def.jobDefinitionArn || 'N/A');
+  console.log('Revision:        ', def.revision !== undefined ? String(def.revision) : 'N/A');
+  console.log('Type:            ', def.type || 'N/A');
+  console.log('Status:          ', def.status || 'N/A');
+  console.log('Platform:        ', def.platformCapabilities?.length ? def.platformCapabilities.join(', ') : 'EC2');
+  if (def.retryStrategy?.attempts) console.log('Retry Attempts:  ', String(def.retryStrategy.attempts));
+  if (def.timeout?.attemptDurationSeconds) console.log('Timeout:         ', `${def.timeout.attemptDurationSeconds}s per attempt`);
+  if (def.schedulingPriority !== undefined) console.log('Sched. Priority: ', String(def.schedulingPriority));
+  if (def.propagateTags) console.log('Propagate Tags:  ', 'yes');
+  if (def.parameters && Object.keys(def.parameters).length) {
+    console.log('Parameters:      ', Object.entries(def.parameters).map(([k, v]) => `${k}=${v}`).join(', '));
+  }
+  if (def.tags && Object.keys(def.tags).length) {
+    console.log('Tags:            ', Object.entries(def.tags).map(([k, v]) => `${k}=${v}`).join(', '));
+  }
+
+  if (def.containerProperties) {
+    console.log(chalk.bold('\nContainer'));
+    printContainerDetails(def.containerProperties);
+  }
+
+  if (def.nodeProperties) {
+    console.log(chalk.bold('\nNodes'));
+    console.log('Nodes:           ', String(def.nodeProperties.numNodes ?? 'N/A'));
+    console.log('Main Node:       ', String(def.nodeProperties.mainNode ?? 'N/A'));
+    (def.nodeProperties.nodeRangeProperties || []).forEach(range => {
+      console.log(chalk.cyan(`  Node range ${range.targetNodes}`));
+      if (range.container) printContainerDetails(range.container, '    ');
+    });
+  }
+
+  const pod = def.eksProperties?.podProperties;
+  if (pod) {
+    console.log(chalk.bold('\nEKS Pod'));
+    if (pod.serviceAccountName) console.log('Service Account: ', pod.serviceAccountName);
+    if (pod.hostNetwork !== undefined) console.log('Host Network:    ', String(pod.hostNetwork));
+    if (pod.dnsPolicy) console.log('DNS Policy:      ', pod.dnsPolicy);
+    [...(pod.initContainers || []).map(c => ({ ...c, init: true })), ...(pod.containers || [])].forEach(container => {
+      console.log(chalk.cyan(`  ${container.init ? 'Init container' : 'Container'} ${container.name || ''}`));
+      console.log('    Image:       ', container.image || 'N/A');
+      const limits = container.resources?.limits || container.resources?.requests;
+      if (limits) console.log('    Resources:   ', Object.entries(limits).map(([k, v]) => `${k}=${v}`).join(', '));
+      if (container.command?.length) console.log('    Command:     ', [...container.command, ...(container.args || [])].join(' '));
+      if (container.volumeMounts?.length) console.log('    Mounts:      ', container.volumeMounts.map(m => `${m.name}:${m.mountPath}`).join(', '));
+    });
+    if (pod.volumes?.length) {
+      const volumeType = (v) => ['emptyDir', 'hostPath', 'secret', 'persistentVolumeClaim'].find(type => v[type]) || 'unknown';
+      console.log('Volumes:         ', pod.volumes.map(v => `${v.name} (${volumeType(v)})`).join(', '));
+    }
+  }
+
+  if (def.ecsProperties) {
+    console.log(chalk.bold('\nECS Task'));
+    (def.ecsProperties.taskProperties || []).forEach((task, i) => {
+      console.log(chalk.cyan(`  Task ${i + 1}`) + (task.platformVersion ? chalk.dim(` (platform ${task.platformVersion})`) : ''));
+      if (task.executionRoleArn) console.log('    Exec. Role:  ', task.executionRoleArn);
+      if (task.taskRoleArn) console.log('    Task Role:   ', task.taskRoleArn);
+      (task.containers || []).forEach(container => {
+        const { vcpus, memory } = containerResources(container);
+        console.log(`    ${container.name || 'container'}: ${container.image || 'N/A'}` +
+          chalk.dim(` (vCPUs ${vcpus ?? '-'}, memory ${memory ? `${memory} MB` : '-'}${container.essential === false ? ', non-essential' : ''})`));
+      });
+    });
+  }
+  console.log('');
+}
+
+definitionsCmd
+  .command('list')
+  .description('List job definitions')
+  .option('--name <name>', 'Filter by definition name')
+  .option('--status <status>', 'Filter by status (ACTIVE|INACTIVE)', 'ACTIVE')
+  .option('--all', 'Fetch every page of results')
+  .option('--limit <n>', 'Maximum number of results across all pages (default: 100, unlimited with --all)')
+  .option('--page-size <n>', 'Number of results requested per API call')
+  .option('--starting-token <token>', 'Resume from the nextToken of a previous listing')
+  .option('--tag-filter <key=value>', 'Only definitions with this tag; a bare key matches any value (repeatable)', collectValues)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const pages = listPages(
+        (pagination) => iterateDefinitions({ definitionName: options.name, status: options.status, ...pagination }),
+        options, 100
+      );
+
+      await printPages('Fetching job definitions...', pages, [
+        { key: 'jobDefinitionName', label: 'Name' },
+        { key: 'revision', label: 'Rev', format: (v) => String(v || '') },
+        { key: 'type', label: 'Type' },
+        { key: 'status', label: 'Status' },
+        { key: 'platformCapabilities', label: 'Platform', format: (v) => (v?.length ? v : ['EC2']).join(','), wide: true },
+        { key: 'image', label: 'Image', format: (_, def) => definitionImage(def) || '', wide: true }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+definitionsCmd
+  .command('register')
+  .description('Register a job definition (container, multi-node parallel, EKS or ECS)')
+  .option('--name <name>', 'Job definition name')
+  .option('--file <path>', 'Complete RegisterJobDefinition request as JSON or YAML; flags override it')
+  .option('--type <type>', 'Job type (container|multinode; default: container, or multinode with node flags)')
+  .option('--container <json>', 'Container properties as JSON')
+  .option('--image <image>', 'Container image')
+  .option('--command <cmd>', 'Command as a JSON array or a space-separated string')
+  .option('--vcpus <n>', 'vCPUs (resourceRequirements VCPU)')
+  .option('--memory <mib>', 'Memory in MiB (resourceRequirements MEMORY)')
+  .option('--gpus <n>', 'GPUs (resourceRequirements GPU)')
+  .option('--env <key=value>', 'Environment variable (repeatable)', collectValues)
+  .option('--job-role-arn <arn>', 'IAM role the job assumes')
+  .option('--execution-role-arn <arn>', 'Task execution role (required on Fargate)')
+  .option('--platform <platform>', 'Platform capability (EC2|FARGATE)')
+  .option('--fargate-platform-version <version>', 'Fargate platform version (e.g. LATEST)')
+  .option('--assign-public-ip', 'Assign a public IP to Fargate tasks')
+  .option('--num-nodes <n>', 'Multi-node: number of nodes')
+  .option('--main-node <index>', 'Multi-node: index of the main node (default 0)')
+  .option('--node-range <range=json>', 'Multi-node: node range and its container JSON, e.g. 0:3={"image":"img"} (repeatable)', collectValues)
+  .option('--node-properties <json>', 'Multi-node: nodeProperties as JSON')
+  .option('--eks-properties <json>', 'EKS: eksProperties as JSON')
+  .option('--service-account <name>', 'EKS: pod service account name')
+  .option('--ecs-properties <json>', 'ECS: ecsProperties as JSON')
+  .option('--parameters <json>', 'Default parameters as JSON')
+  .option('--retries <n>', 'Retry strategy attempts (1-10)')
+  .option('--timeout <seconds>', 'Attempt duration timeout in seconds')
+  .option('--propagate-tags', 'Propagate tags to the ECS task')
+  .option('--scheduling-priority <n>', 'Scheduling priority for fair-share queues')
+  .option('--tag <key=value>', 'Tag to apply to the definition (repeatable)', collectValues)
+  .option('--strict', 'Treat validation warnings as errors')
+  .option('--no-validate', 'Skip local validation')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+
+    let request;
+    try { request = buildDefinitionRequest(options); } catch (error) { fail(error); }
+    if (options.validate) enforceValidation(validateDefinition(request), options);
+
+    try {
+      const result = await withSpinner('Registering job definition...', () =>
+        registerDefinition({ ...request, definitionName: request.jobDefinitionName })
+      );
+
+      if (customOutput()) {
+        printOutput(result);
+        return;
+      }
+
+      printSuccess(`Job definition '${request.jobDefinitionName}' registered`);
+      if (result) {
+        console.log('ARN:      ', result.jobDefinitionArn || 'N/A');
+        console.log('Revision: ', result.revision !== undefined ? String(result.revision) : 'N/A');
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+definitionsCmd
+  .command('validate <file>')
+  .description('Check a job definition file (JSON or YAML) locally without registering it')
+  .option('--strict', 'Treat warnings as errors')
+  .option('--json', 'Output issues as JSON')
+  .action((file, options) => {
+    let issues;
+    try {
+      issues = validateDefinition(readStructuredFile(file));
+    } catch (error) {
+      fail(error);
+    }
+
+    const failed = hasBlockingIssues(issues, options.strict);
+    if (customOutput()) {
+      printOutput({ valid: !failed, issues });
+    } else if (issues.length === 0) {
+      printSuccess(`${file} is valid`);
+    } else {
+      printIssues(issues);
+      if (!failed) printSuccess(`${file} is valid (${summarizeIssues(issues)})`);
+    }
+    if (failed) fail(new ValidationError(`${file}: ${summarizeIssues(issues)}`));
+  });
+
+definitionsCmd
+  .command('describe <definition-name>')
+  .description('Describe a job definition (name, name:revision or ARN)')
+  .option('--json', 'Output as JSON')
+  .action(async (definitionName, options) => {
+    await requireAuth();
+    try {
+      const definitions = await withSpinner(`Fetching definition ${definitionName}...`, () =>
+        describeDefinitions([definitionName])
+      );
+
+      if (customOutput()) {
+        printOutput(definitions);
+        return;
+      }
+
+      if (!definitions || definitions.length === 0) {
+        throw new NotFoundError('Job definition not found');
+      }
+
+      // Newest ACTIVE revision first; fall back to the newest of any status
+      printDefinitionDetails(definitions.find(def => def.status === 'ACTIVE') || definitions[0]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+definitionsCmd
+  .command('history <name>')
+  .description('List every revision of a job definition, newest first')
+  .option('--status <status>', 'Only revisions with this status (ACTIVE|INACTIVE)')
+  .option('--limit <n>', 'Show at most N revisions')
+  .option('--json', 'Output as JSON')
+  .action(async (name, options) => {
+    await requireAuth();
+    try {
+      let revisions = await withSpinner(`Fetching revisions of ${name}...`, () => describeDefinitions([name]));
+      if (options.status) revisions = revisions.filter(def => def.status === options.status.toUpperCase());
+      if (options.limit) revisions = revisions.slice(0, parseInt(options.limit));
+
+      if (revisions.length === 0 && !customOutput()) {
+        throw new NotFoundError(`No revisions of ${name} found`);
+      }
+
+      printOutput(revisions, [
+        { key: 'revision', label: 'Rev', format: (v) => String(v) },
+        { key: 'status', label: 'Status' },
+        { key: 'type', label: 'Type' },
+        { key: 'platformCapabilities', label: 'Platform', format: (v) => (v?.length ? v : ['EC2']).join(',') },
+        { key: 'image', label: 'Image', format: (_, def) => definitionImage(def) || '' },
+        { key: 'vcpus', label: 'vCPUs', format: (_, def) => String(containerResources(def.containerProperties || {}).vcpus ?? '') },
+        { key: 'memory', label: 'Memory', format: (_, def) => String(containerResources(def.containerProperties || {}).memory ?? '') },
+        { key: 'retryStrategy', label: 'Retries', format: (v) => String(v?.attempts ?? '') },
+        { key: 'timeout', label: 'Timeout', format: (v) => v?.attemptDurationSeconds ? `${v.attemptDurationSeconds}s` : '' }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+definitionsCmd
+  .command('diff <from> [to]')
+  .description('Compare two revisions (name:rev, or a name for its latest ACTIVE revision), or one against a local file')
+  .option('--file <path>', 'Compare <from> against a local RegisterJobDefinition request (JSON or YAML)')
+  .option('--json', 'Output the changes as JSON')
+  .action(async (from, to, options) => {
+    if (!to === !options.file) {
+      fail(new ValidationError('Give a second revision or --file <path>, e.g. definitions diff etl:3 etl:5'));
+    }
+    await requireAuth();
+    try {
+      const before = await withSpinner(`Fetching ${from}...`, () => fetchDefinition(from));
+      const after = options.file
+        ? readStructuredFile(options.file, `--file ${options.file}`)
+        : await withSpinner(`Fetching ${to}...`, () => fetchDefinition(to));
+      const changes = diffValues(comparableDefinition(before), comparableDefinition(after));
+
+      if (customOutput()) {
+        printOutput(changes);
+        return;
+      }
+
+      console.log(chalk.bold(`${definitionLabel(before)} → ${options.file || definitionLabel(after)}\n`));
+      if (changes.length === 0) {
+        console.log('No differences.');
+        return;
+      }
+      printDiff(changes);
+      console.log(chalk.dim(`\n${changes.length} change(s)`));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+definitionsCmd
+  .command('deregister <definition>')
+  .description('Deregister a revision (name:rev or ARN), or every ACTIVE revision of a name')
+  .option('--keep-latest <n>', 'With a bare name: keep the newest N ACTIVE revisions and deregister the rest')
+  .option('--concurrency <n>', 'Parallel DeregisterJobDefinition calls', '5')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--json', 'Output results as JSON')
+  .action(async (reference, options) => {
+    const exact = reference.includes(':');
+    if (exact && options.keepLatest !== undefined) {
+      fail(new ValidationError('--keep-latest takes a bare definition name, not a revision'));
+    }
+    await requireAuth();
+
+    try {
+      let targets;
+      if (exact) {
+        targets = [{ reference }];
+      } else {
+        const keep = options.keepLatest !== undefined ? parseInt(options.keepLatest) : 0;
+        const active = await withSpinner(`Fetching revisions of ${reference}...`, () =>
+          listDefinitions({ definitionName: reference, status: 'ACTIVE' })
+        );
+        const stale = active.sort((a, b) => b.revision - a.revision).slice(keep);
+        if (stale.length === 0) {
+          if (customOutput()) printOutput([]);
+          else console.log(chalk.yellow(`Nothing to deregister (${active.length} active revision(s), keeping ${keep}).`));
+          return;
+        }
+        if (!customOutput() && !program.opts().dryRun) {
+          printTable(stale, [
+            { key: 'jobDefinitionName', label: 'Name' },
+            { key: 'revision', label: 'Rev', format: (v) => String(v) },
+            { key: 'image', label: 'Image', format: (_, def) => definitionImage(def) || '' }
+          ]);
+        }
+        if (keep && !customOutput() && !program.opts().dryRun) console.log(chalk.dim(`Keeping the newest ${Math.min(keep, active.length)} active revision(s).`));
+        if (!await confirmBulk('deregister', `${stale.length} revision(s) of ${reference}`, options)) return;
+        targets = stale.map(def => ({ reference: definitionLabel(def) }));
+      }
+
+      if (program.opts().dryRun) {
+        await previewCalls(async () => {
+          for (const { reference: target } of targets) await deregisterDefinition(target);
+        });
+      }
+
+      const concurrency = Math.max(1, parseInt(options.concurrency) || 5);
+      const results = await mapWithConcurrency(targets, concurrency, async ({ reference: target }) => {
+        try {
+          await deregisterDefinition(target);
+          if (!customOutput()) printSuccess(`Deregistered ${target}`);
+          return { jobDefinition: target, ok: true };
+        } catch (error) {
+          if (!customOutput()) printError(`${target}: ${error.message}`);
+          return { jobDefinition: target, ok: false, error: error.message };
+        }
+      });
+
+      const failed = results.filter(result => !result.ok).length;
+      if (customOutput()) {
+        printOutput(results);
+      } else if (results.length > 1) {
+        console.log(`\n${results.length - failed} deregistered, ${failed} failed`);
+      }
+      if (failed) process.exit(PARTIAL_FAILURE_EXIT_CODE);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// COMPUTE ENVIRONMENTS
+// ============================================================
+
+const computeEnvsCmd = program.command('compute-envs').description('Manage AWS Batch compute environments');
+
+function formatVcpus(resources) {
+  if (!resources) return '';
+  const min = resources.minvCpus ?? '-';
+  const desired = resources.desiredvCpus ?? '-';
+  const max = resources.maxvCpus ?? '-';
+  return `${min}/${desired}/${max}`;
+}
+
+computeEnvsCmd
+  .command('list')
+  .description('List compute environments')
+  .option('--all', 'Fetch every page of results')
+  .option('--limit <n>', 'Maximum number of results across all pages (default: 100, unlimited with --all)')
+  .option('--page-size <n>', 'Number of results requested per API call')
+  .option('--starting-token <token>', 'Resume from the nextToken of a previous listing')
+  .option('--tag-filter <key=value>', 'Only compute environments with this tag; a bare key matches any value (repeatable)', collectValues)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const pages = listPages(iterateComputeEnvironments, options, 100);
+
+      await printPages('Fetching compute environments...', pages, [
+        { key: 'computeEnvironmentName', label: 'Name' },
+        { key: 'type', label: 'Type' },
+        { key: 'computeResources', label: 'Resources', format: (v) => v?.type || '' },
+        { key: 'state', label: 'State' },
+        { key: 'status', label: 'Status' },
+        { key: 'vcpus', label: 'vCPUs (min/desired/max)', format: (_, row) => formatVcpus(row.computeResources) },
+        { key: 'computeResources.instanceTypes', label: 'Instance Types', format: (v) => (v || []).join(','), wide: true },
+        { key: 'computeResources.allocationStrategy', label: 'Allocation', wide: true }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+computeEnvsCmd
+  .command('get <name>')
+  .description('Get compute environment details')
+  .option('--json', 'Output as JSON')
+  .action(async (name, options) => {
+    await requireAuth();
+    try {
+      const env = await withSpinner(`Fetching compute environment ${name}...`, () => getComputeEnvironment(name));
+
+      if (!env) {
+        throw new NotFoundError('Compute environment not found');
+      }
+
+      if (customOutput()) {
+        printOutput(env);
+        return;
+      }
+
+      const resources = env.computeResources;
+      console.log(chalk.bold('\nCompute Environment Details\n'));
+      console.log('Name:               ', chalk.cyan(env.computeEnvironmentName));
+      console.log('ARN:                ', env.computeEnvironmentArn || 'N/A');
+      console.log('Type:               ', env.type || 'N/A');
+      console.log('State:              ', env.state || 'N/A');
+      console.log('Status:             ', env.status || 'N/A');
+      if (env.statusReason) console.log('Status Reason:      ', chalk.dim(env.statusReason));
+      if (env.serviceRole) console.log('Service Role:       ', env.serviceRole);
+      if (env.unmanagedvCpus !== undefined) console.log('Unmanaged vCPUs:    ', String(env.unmanagedvCpus));
+      if (resources) {
+        console.log('Resource Type:      ', resources.type || 'N/A');
+        if (resources.allocationStrategy) console.log('Allocation Strategy:', resources.allocationStrategy);
+        if (resources.minvCpus !== undefined) console.log('Min vCPUs:          ', String(resources.minvCpus));
+        if (resources.desiredvCpus !== undefined) console.log('Desired vCPUs:      ', String(resources.desiredvCpus));
+        console.log('Max vCPUs:          ', resources.maxvCpus !== undefined ? String(resources.maxvCpus) : 'N/A');
+        if (resources.instanceTypes?.length) console.log('Instance Types:     ', resources.instanceTypes.join(', '));
+        if (resources.bidPercentage !== undefined) console.log('Bid Percentage:     ', `${resources.bidPercentage}%`);
+        console.log('Subnets:            ', resources.subnets?.length ? resources.subnets.join(', ') : 'N/A');
+        console.log('Security Groups:    ', resources.securityGroupIds?.length ? resources.securityGroupIds.join(', ') : 'N/A');
+        if (resources.instanceRole) console.log('Instance Role:      ', resources.instanceRole);
+      }
+      console.log('');
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+computeEnvsCmd
+  .command('create')
+  .description('Create a new compute environment')
+  .requiredOption('--name <name>', 'Compute environment name')
+  .option('--type <type>', 'Environment type (MANAGED|UNMANAGED)', 'MANAGED')
+  .option('--state <state>', 'Environment state (ENABLED|DISABLED)', 'ENABLED')
+  .option('--resource-type <type>', 'Compute resource type (EC2|SPOT|FARGATE|FARGATE_SPOT)')
+  .option('--allocation-strategy <strategy>', 'Allocation strategy (BEST_FIT|BEST_FIT_PROGRESSIVE|SPOT_CAPACITY_OPTIMIZED|SPOT_PRICE_CAPACITY_OPTIMIZED)')
+  .option('--min-vcpus <n>', 'Minimum vCPUs')
+  .option('--max-vcpus <n>', 'Maximum vCPUs')
+  .option('--desired-vcpus <n>', 'Desired vCPUs')
+  .option('--instance-types <types>', 'Comma-separated instance types (e.g. optimal,c5.large)')
+  .option('--subnets <ids>', 'Comma-separated subnet IDs')
+  .option('--security-groups <ids>', 'Comma-separated security group IDs')
+  .option('--instance-role <role>', 'ECS instance profile name or ARN (EC2/SPOT)')
+  .option('--bid-percentage <n>', 'Maximum Spot price as a percentage of On-Demand (SPOT)')
+  .option('--spot-fleet-role <arn>', 'Spot Fleet IAM role ARN (SPOT)')
+  .option('--service-role <arn>', 'Batch service role ARN')
+  .option('--unmanaged-vcpus <n>', 'vCPUs reserved for an UNMANAGED environment')
+  .option('--tag <key=value>', 'Tag to apply to the compute environment (repeatable)', collectValues)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+
+    const type = options.type.toUpperCase();
+    let computeResources;
+    if (type === 'MANAGED') {
+      if (!options.resourceType || options.maxVcpus === undefined || !options.subnets) {
+        fail(new ValidationError('MANAGED compute environments require --resource-type, --max-vcpus and --subnets'));
+      }
+      try { computeResources = buildComputeResources(options); } catch (error) { fail(error); }
+    }
+
+    try {
+      const result = await withSpinner('Creating compute environment...', () =>
+        createComputeEnvironment({
+          computeEnvironmentName: options.name,
+          type,
+          state: options.state,
+          serviceRole: options.serviceRole,
+          unmanagedvCpus: options.unmanagedVcpus !== undefined ? parseInt(options.unmanagedVcpus) : undefined,
+          computeResources,
+          tags: options.tag && parseKeyValues(options.tag, '--tag')
+        })
+      );
+
+      if (customOutput()) {
+        printOutput(result);
+        return;
+      }
+
+      printSuccess(`Compute environment '${options.name}' created`);
+      if (result) {
+        console.log('ARN: ', result.computeEnvironmentArn || 'N/A');
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+computeEnvsCmd
+  .command('update <name>')
+  .description('Update a compute environment')
+  .option('--state <state>', 'Environment state (ENABLED|DISABLED)')
+  .option('--allocation-strategy <strategy>', 'Allocation strategy')
+  .option('--min-vcpus <n>', 'Minimum vCPUs')
+  .option('--max-vcpus <n>', 'Maximum vCPUs')
+  .option('--desired-vcpus <n>', 'Desired vCPUs')
+  .option('--instance-types <types>', 'Comma-separated instance types')
+  .option('--subnets <ids>', 'Comma-separated subnet IDs')
+  .option('--security-groups <ids>', 'Comma-separated security group IDs')
+  .option('--instance-role <role>', 'ECS instance profile name or ARN')
+  .option('--bid-percentage <n>', 'Maximum Spot price as a percentage of On-Demand')
+  .option('--service-role <arn>', 'Batch service role ARN')
+  .option('--unmanaged-vcpus <n>', 'vCPUs reserved for an UNMANAGED environment')
+  .option('--json', 'Output as JSON')
+  .action(async (name, options) => {
+    await requireAuth();
+
+    let computeResources;
+    try { computeResources = buildComputeResources(options); } catch (error) { fail(error); }
+
+    try {
+      const result = await withSpinner(`Updating compute environment ${name}...`, () =>
+        updateComputeEnvironment({
+          computeEnvironmentName: name,
+          state: options.state,
+          serviceRole: options.serviceRole,
+          unmanagedvCpus: options.unmanagedVcpus !== undefined ? parseInt(options.unmanagedVcpus) : undefined,
+          computeResources
+        })
+      );
+
+      if (customOutput()) {
+        printOutput(result);
+        return;
+      }
+
+      printSuccess(`Compute environment '${name}' updated`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+computeEnvsCmd
+  .command('delete <name>')
+  .description('Delete a compute environment (it must be DISABLED and detached from all queues)')
+  .option('--json', 'Output as JSON')
+  .action(async (name, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner(`Deleting compute environment ${name}...`, () =>
+        deleteComputeEnvironment(name)
+      );
+
+      if (customOutput()) {
+        printOutput(result || {});
+        return;
+      }
+
+      printSuccess(`Compute environment '${name}' deleted`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// PIPELINES
+// ============================================================
+
+const pipelineCmd = program.command('pipeline').description('Submit and track multi-step job pipelines');
+
+pipelineCmd
+  .command('run <file>')
+  .description('Submit every step of a pipeline file in dependency order')
+  .option('--manifest <path>', 'Where to write the run manifest (default: next to the pipeline file)')
+  .option('--json', 'Output the run manifest as JSON')
+  .action(async (file, options) => {
+    let pipeline, ordered;
+    try {
+      pipeline = loadPipeline(file);
+      validatePipeline(pipeline);
+      ordered = topologicalOrder(pipeline.steps);
+    } catch (error) {
+      fail(error);
+    }
+
+    await requireAuth();
+
+    const startedAt = new Date().toISOString();
+    const manifestPath = options.manifest || defaultManifestPath(pipeline, startedAt);
+    const manifest = { pipeline: pipeline.name, file: pipeline.file, startedAt, steps: {} };
+    const jobIds = {};
+
+    // Later steps depend on job IDs that a dry run never gets; show placeholders
+    if (program.opts().dryRun) {
+      await previewCalls(async () => {
+        for (const step of ordered) {
+          await submitJob(buildStepRequest(pipeline, step, jobIds));
+          jobIds[step.name] = `<${step.name} job ID>`;
+        }
+      });
+    }
+
+    for (const step of ordered) {
+      try {
+        const request = buildStepRequest(pipeline, step, jobIds);
+        const result = await withSpinner(`Submitting step ${step.name}...`, () => submitJob(request));
+        await recordJob(request, result, null, { source: 'pipeline' });
+        jobIds[step.name] = result.jobId;
+        manifest.steps[step.name] = {
+          jobId: result.jobId,
+          jobName: result.jobName || request.jobName,
+          needs: step.needs.map(need => need.step)
+        };
+        // Rewrite after every step so a failed run still records what was submitted
+        writeManifest(manifestPath, manifest);
+        if (!customOutput()) console.log(`${chalk.green('✓')} ${step.name} → ${chalk.cyan(result.jobId)}`);
+      } catch (error) {
+        error.message = `Step '${step.name}' failed: ${error.message}`;
+        const recorded = Object.keys(manifest.steps).length > 0;
+        fail(error, {
+          details: { step: step.name, ...(recorded && { manifest: manifestPath }) },
+          hints: recorded ? [`Submitted steps are recorded in ${manifestPath}`, chalk.cyan(`  awsbatch pipeline cancel ${manifestPath}`)] : []
+        });
+      }
+    }
+
+    if (customOutput()) {
+      printOutput({ manifest: manifestPath, ...manifest });
+      return;
+    }
+
+    printSuccess(`Pipeline '${pipeline.name}' submitted (${ordered.length} step(s))`);
+    console.log('Manifest: ', manifestPath);
+  });
+
+pipelineCmd
+  .command('status <manifest>')
+  .description('Show the status of every job in a pipeline run')
+  .option('--json', 'Output as JSON')
+  .action(async (manifestPath, options) => {
+    await requireAuth();
+    try {
+      const manifest = readManifest(manifestPath);
+      const steps = Object.entries(manifest.steps);
+      const jobs = await withSpinner('Fetching pipeline jobs...', () => describeJobs(steps.map(([, step]) => step.jobId)));
+      const byId = new Map(jobs.map(job => [job.jobId, job]));
+      const rows = steps.map(([name, step]) => ({ step: name, ...step, job: byId.get(step.jobId) }));
+
+      if (customOutput()) {
+        printOutput(rows.map(({ job, ...row }) => ({ ...row, status: job?.status, job })));
+        return;
+      }
+
+      console.log(chalk.bold(`\nPipeline ${manifest.pipeline}`) + chalk.dim(` (started ${new Date(manifest.startedAt).toLocaleString()})\n`));
+      printTable(rows, [
+        { key: 'step', label: 'Step' },
+        { key: 'jobId', label: 'Job ID' },
+        { key: 'status', label: 'Status', format: (_, row) => row.job?.status || 'NOT FOUND' },
+        { key: 'needs', label: 'Needs', format: (v) => (v || []).join(', ') },
+        { key: 'startedAt', label: 'Started', format: (_, row) => row.job?.startedAt ? new Date(row.job.startedAt).toLocaleString() : '' },
+        { key: 'stoppedAt', label: 'Stopped', format: (_, row) => row.job?.stoppedAt ? new Date(row.job.stoppedAt).toLocaleString() : '' },
+        { key: 'exitCode', label: 'Exit Code', format: (_, row) => row.job?.container?.exitCode ?? '' }
+      ]);
+
+      const counts = {};
+      rows.forEach(row => { const status = row.job?.status || 'NOT FOUND'; counts[status] = (counts[status] || 0) + 1; });
+      console.log(Object.entries(counts).map(([status, count]) => statusColor(status)(`${status} ${count}`)).join('  '));
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+pipelineCmd
+  .command('cancel <manifest>')
+  .description('Terminate every unfinished job in a pipeline run')
+  .option('--reason <reason>', 'Termination reason', 'Pipeline cancelled via CLI')
+  .option('--json', 'Output as JSON')
+  .action(async (manifestPath, options) => {
+    await requireAuth();
+    try {
+      const manifest = readManifest(manifestPath);
+      const steps = Object.entries(manifest.steps);
+      const jobs = await withSpinner('Fetching pipeline jobs...', () => describeJobs(steps.map(([, step]) => step.jobId)));
+      const statuses = new Map(jobs.map(job => [job.jobId, job.status]));
+
+      const unfinished = steps.filter(([, step]) => !TERMINAL_STATUSES.includes(statuses.get(step.jobId)));
+      if (program.opts().dryRun) {
+        await previewCalls(async () => {
+          for (const [, step] of unfinished) await terminateJob(step.jobId, options.reason);
+        });
+      }
+
+      const results = [];
+      for (const [name, step] of steps) {
+        const status = statuses.get(step.jobId);
+        if (TERMINAL_STATUSES.includes(status)) {
+          results.push({ step: name, jobId: step.jobId, action: 'skipped', status });
+          continue;
+        }
+        try {
+          await terminateJob(step.jobId, options.reason);
+          results.push({ step: name, jobId: step.jobId, action: 'terminated', status });
+        } catch (error) {
+          results.push({ step: name, jobId: step.jobId, action: 'failed', status, error: error.message });
+        }
+      }
+
+      if (customOutput()) {
+        printOutput(results);
+      } else {
+        results.forEach(result => {
+          if (result.action === 'terminated') console.log(`${chalk.green('✓')} ${result.step} (${result.jobId}) terminated`);
+          else if (result.action === 'skipped') console.log(chalk.dim(`- ${result.step} (${result.jobId}) already ${result.status}`));
+          else console.log(`${chalk.red('✗')} ${result.step} (${result.jobId}): ${result.error}`);
+        });
+      }
+      if (results.some(result => result.action === 'failed')) process.exit(PARTIAL_FAILURE_EXIT_CODE);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// TAGS
+// ============================================================
+
+const tagsCmd = program.command('tags').description('List, add and remove tags on Batch resources');
+
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(:\d+)?$/i;
+
+const TAGGABLE = {
+  queue: async (name) => (await getQueue(name))?.jobQueueArn,
+  'compute-env': async (name) => (await getComputeEnvironment(name))?.computeEnvironmentArn,
+  definition: async (ref) => (await resolveDefinition(ref))?.jobDefinitionArn,
+  job: async (id) => (await describeJobs([id]))[0]?.jobArn,
+  'scheduling-policy': async (name) => (await getSchedulingPolicy(name))?.arn
+};
+
+/**
+ * Resolve a resource name to its ARN. ARNs pass through; job IDs and
+ * `name:revision` references are recognised by shape; other names are looked
+ * up as every named resource type and must match exactly one.
+ */
+async function resolveResourceArn(reference, type) {
+  if (reference.startsWith('arn:')) return reference;
+  if (type) {
+    const resolve = TAGGABLE[type];
+    if (!resolve) throw new ValidationError(`Unknown --type '${type}'. Use one of: ${Object.keys(TAGGABLE).join(', ')}`);
+    const arn = await resolve(reference);
+    if (!arn) throw new NotFoundError(`No ${type} named '${reference}'`);
+    return arn;
+  }
+  if (JOB_ID.test(reference)) return resolveResourceArn(reference, 'job');
+  if (reference.includes(':')) return resolveResourceArn(reference, 'definition');
+
+  const candidates = ['queue', 'compute-env', 'definition', 'scheduling-policy'];
+  const arns = await Promise.all(candidates.map(kind => TAGGABLE[kind](reference)));
+  const matches = candidates.filter((_, i) => arns[i]);
+  if (matches.length === 0) throw new NotFoundError(`No queue, compute environment, definition or scheduling policy named '${reference}'`);
+  if (matches.length > 1) throw new ValidationError(`'${reference}' names a ${matches.join(' and a ')}; pass --type or the ARN`);
+  return arns[candidates.indexOf(matches[0])];
+}
+
+tagsCmd
+  .command('list <resource>')
+  .description('List the tags on a queue, compute environment, definition, job or scheduling policy')
+  .option('--type <type>', 'Resource type when a name is ambiguous (queue|compute-env|definition|job|scheduling-policy)')
+  .option('--json', 'Output as JSON')
+  .action(async (resource, options) => {
+    await requireAuth();
+    try {
+      const { arn, tags } = await withSpinner('Fetching tags...', async () => {
+        const arn = await resolveResourceArn(resource, options.type);
+        return { arn, tags: await listTagsForResource(arn) };
+      });
+
+      if (customOutput()) {
+        printOutput({ resourceArn: arn, tags });
+        return;
+      }
+
+      console.log(chalk.dim(arn));
+      printTable(Object.entries(tags).map(([key, value]) => ({ key, value })), [
+        { key: 'key', label: 'Key' },
+        { key: 'value', label: 'Value' }
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+tagsCmd
+  .command('add <resource> <tags...>')
+  .description('Add or overwrite tags (key=value) on a resource')
+  .option('--type <type>', 'Resource type when a name is ambiguous (queue|compute-env|definition|job|scheduling-policy)')
+  .action(async (resource, pairs, options) => {
+    await requireAuth();
+    try {
+      const tags = parseKeyValues(pairs, 'tag');
+      const arn = await withSpinner('Tagging resource...', async () => {
+        const arn = await resolveResourceArn(resource, options.type);
+        await tagResource(arn, tags);
+        return arn;
+      });
+      printSuccess(`Tagged ${arn.split(':').pop()} with ${Object.keys(tags).join(', ')}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+tagsCmd
+  .command('remove <resource> <keys...>')
+  .description('Remove tags by key from a resource')
+  .option('--type <type>', 'Resource type when a name is ambiguous (queue|compute-env|definition|job|scheduling-policy)')
+  .action(async (resource, keys, options) => {
+    await requireAuth();
+    try {
+      const arn = await withSpinner('Removing tags...', async () => {
+        const arn = await resolveResourceArn(resource, options.type);
+        await untagResource(arn, keys);
+        return arn;
+      });
+      printSuccess(`Removed ${keys.join(', ')} from ${arn.split(':').pop()}`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// PLAN / APPLY
+// ============================================================
+
+const PLAN_CHANGES_EXIT_CODE = 2;
+
+const PLAN_MARKERS = {
+  create: chalk.green('+ create '),
+  update: chalk.yellow('~ update '),
+  replace: chalk.red('! replace'),
+  delete: chalk.red('- delete '),
+  noop: chalk.dim('= no-op  ')
+};
+
+function printPlan(plan) {
+  console.log(chalk.bold(`\nPlan for ${plan.file}\n`));
+  const width = Math.max(...plan.actions.map(item => item.label.length));
+  for (const item of plan.actions) {
+    const note = item.section === 'jobDefinitions' && item.action === 'update' ? chalk.dim(' (new revision)') : '';
+    console.log(`${PLAN_MARKERS[item.action]}  ${item.label.padEnd(width)}  ${chalk.cyan(item.name)}${note}`);
+    printDiff(item.changes, '      ');
+  }
+  const { create, update, replace, delete: remove, noop } = plan.summary;
+  console.log(`\n${create} to create, ${update} to update, ${remove} to delete, ${replace} to replace, ${noop} unchanged`);
+}
+
+async function planFromOptions(options) {
+  const stack = loadStack(options.file);
+  const state = await withSpinner('Reading current state...', () => fetchState(stack, { prune: options.prune }));
+  return buildPlan(stack, state, { prune: options.prune });
+}
+
+program
+  .command('plan')
+  .description('Compare a stack file with AWS and show what apply would change (exit 0: in sync, 2: changes pending, any other code: an error, see Exit Codes in the README)')
+  .requiredOption('-f, --file <path>', 'Stack file (YAML or JSON) declaring compute environments, scheduling policies, queues and definitions')
+  .option('--prune', 'Also plan deletion of resources the file does not declare (only for the sections it has)')
+  .option('--json', 'Output the plan as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const plan = await planFromOptions(options);
+      if (customOutput()) {
+        printOutput(plan);
+      } else {
+        printPlan(plan);
+      }
+      if (hasChanges(plan)) process.exit(PLAN_CHANGES_EXIT_CODE);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+program
+  .command('apply')
+  .description('Create, update (and with --prune delete) resources so AWS matches a stack file')
+  .requiredOption('-f, --file <path>', 'Stack file (YAML or JSON)')
+  .option('--prune', 'Delete resources the file does not declare (only for the sections it has)')
+  .option('--wait-timeout <seconds>', 'How long to wait for each compute environment or queue to settle', '900')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (options) => {
+    if (program.opts().dryRun) {
+      fail(new ValidationError('apply cannot dry-run calls that depend on resources it would create. Run awsbatch plan to preview the changes.'));
+    }
+    await requireAuth();
+    try {
+      const plan = await planFromOptions(options);
+      printPlan(plan);
+      if (!hasChanges(plan)) {
+        printSuccess('Nothing to apply; AWS matches the stack');
+        return;
+      }
+
+      assertApplicable(plan);
+      const pending = plan.actions.filter(item => item.action !== 'noop').length;
+      if (!await confirmBulk('apply', `${pending} change(s)`, options)) return;
+      console.log('');
+
+      await applyPlan(plan, {
+        timeout: parseFloat(options.waitTimeout) * 1000,
+        log: (line) => console.log(chalk.dim(line)),
+        onAction: (item, error) => {
+          const done = { create: 'created', update: 'updated', delete: 'deleted' }[item.action];
+          if (!error) printSuccess(`${item.label} ${chalk.cyan(item.name)} ${done}`);
+        }
+      });
+      printSuccess(`Applied ${pending} change(s)`);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+program
+  .command('mock-server')
+  .description('Run an in-memory AWS Batch endpoint for offline tests (state is lost on exit)')
+  .option('--port <n>', 'Port to listen on', '4566')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('--region <region>', 'Region used in ARNs', 'us-east-1')
+  .option('--tick <ms>', 'Time between job status transitions', '1000')
+  .option('--run-time <ms>', 'How long jobs stay RUNNING (per job: MOCK_RUNTIME_MS env var)', '3000')
+  .option('--access-key-id <id>', 'Access key requests must be signed with', 'test')
+  .option('--secret-access-key <key>', 'Secret key requests must be signed with', 'test')
+  .option('--no-verify-signature', 'Accept unsigned or wrongly signed requests')
+  .option('--quiet', 'Do not log requests')
+  .action(async (options) => {
+    try {
+      const { url } = await startMockServer({
+        port: parseInt(options.port),
+        host: options.host,
+        region: options.region,
+        tick: parseInt(options.tick),
+        runTime: parseInt(options.runTime),
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey,
+        verify: options.verifySignature,
+        log: options.quiet ? undefined : (line) => console.log(chalk.dim(`${new Date().toISOString()} ${line}`))
+      });
+      printSuccess(`Mock AWS Batch listening on ${chalk.cyan(url)}`);
+      console.log(chalk.dim(`  export AWS_ENDPOINT_URL_BATCH=${url} AWS_ACCESS_KEY_ID=${options.accessKeyId} AWS_SECRET_ACCESS_KEY=${options.verifySignature ? options.secretAccessKey : '...'}`));
+      console.log(chalk.dim('  Press Ctrl+C to stop.'));
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      fail(error.code === 'EADDRINUSE' ? new Error(`Port ${options.port} is already in use`) : error);
     }
   });
 
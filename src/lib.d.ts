@@ -0,0 +1,505 @@
+// Type declarations for the library entry point (src/lib.js).
+// Request and response shapes follow the AWS Batch API; only the commonly
+// used fields are spelled out, the rest pass through as-is.
+
+export interface Credentials {
+  accessKeyId: string;
+  secretAccessKey: string;
+  sessionToken?: string;
+  /** ISO timestamp; providers refresh credentials shortly before it */
+  expiration?: string;
+}
+
+export type CredentialProvider = () => Promise<Credentials>;
+
+export interface RetryInfo {
+  method: string;
+  path: string;
+  /** e.g. "HTTP 429 TooManyRequestsException" or "ECONNRESET" */
+  reason: string;
+  /** The attempt about to be made, counting from 1 */
+  attempt: number;
+  maxAttempts: number;
+  /** Milliseconds until the retry */
+  delay: number;
+}
+
+export interface BatchClientOptions<D extends boolean = boolean> {
+  /** Default: $AWS_REGION, $AWS_DEFAULT_REGION or us-east-1 */
+  region?: string;
+  /** Static credentials or an async provider. Default: environment variables, then the shared-config profile */
+  credentials?: Credentials | CredentialProvider;
+  /** Shared-config profile for the default provider */
+  profile?: string;
+  /** Role for the default provider to assume */
+  roleArn?: string;
+  externalId?: string;
+  /** Batch endpoint. Default: https://batch.<region>.amazonaws.com */
+  endpoint?: string;
+  /** CloudWatch Logs endpoint. Default: https://logs.<region>.amazonaws.com */
+  logsEndpoint?: string;
+  /** Retries for throttled, 5xx and network failures. Default 3 */
+  maxRetries?: number;
+  /** Per-attempt HTTP timeout in milliseconds. Default 30000 */
+  requestTimeout?: number;
+  /** Resolve mutating calls with a DryRunResult instead of sending them */
+  dryRun?: D;
+  onRetry?: (info: RetryInfo) => void;
+}
+
+export interface CredentialProviderOptions {
+  profile?: string;
+  roleArn?: string;
+  externalId?: string;
+  /** MFA code for profiles with mfa_serial; prompted on a TTY otherwise */
+  mfaToken?: string;
+  /** Region for STS calls. Default us-east-1 */
+  region?: string;
+  stsEndpoint?: string;
+  /** Directory for cached AssumeRole sessions; no disk cache when omitted */
+  cacheDir?: string;
+  /** Static credentials to use when the chain finds none */
+  fallback?: Credentials;
+}
+
+export interface DryRunResult {
+  dryRun: true;
+  /** e.g. SubmitJob */
+  operation: string;
+  method: string;
+  url: string;
+  body: Record<string, unknown> | null;
+}
+
+export interface Page<T> {
+  items: T[];
+  /** Resumes after the last returned item; undefined on the final page */
+  nextToken?: string;
+}
+
+export interface PaginationOptions {
+  /** maxResults per request */
+  pageSize?: number;
+  /** nextToken from an earlier page */
+  startingToken?: string;
+  /** Stop after this many items */
+  limit?: number;
+}
+
+export type JobStatus = 'SUBMITTED' | 'PENDING' | 'RUNNABLE' | 'STARTING' | 'RUNNING' | 'SUCCEEDED' | 'FAILED';
+export type Tags = Record<string, string>;
+
+export interface KeyValuePair {
+  name: string;
+  value: string;
+}
+
+export interface ResourceRequirement {
+  type: 'VCPU' | 'MEMORY' | 'GPU';
+  value: string;
+}
+
+export interface ContainerOverrides {
+  command?: string[];
+  environment?: KeyValuePair[];
+  resourceRequirements?: ResourceRequirement[];
+  instanceType?: string;
+  [key: string]: unknown;
+}
+
+export interface JobDependency {
+  jobId: string;
+  type?: 'N_TO_N' | 'SEQUENTIAL';
+}
+
+export interface EvaluateOnExit {
+  action: 'RETRY' | 'EXIT';
+  onExitCode?: string;
+  onReason?: string;
+  onStatusReason?: string;
+}
+
+export interface RetryStrategy {
+  attempts?: number;
+  evaluateOnExit?: EvaluateOnExit[];
+}
+
+export interface SubmitJobRequest {
+  jobName: string;
+  jobQueue: string;
+  jobDefinition: string;
+  parameters?: Record<string, string>;
+  containerOverrides?: ContainerOverrides;
+  arrayProperties?: { size: number };
+  dependsOn?: JobDependency[];
+  retryStrategy?: RetryStrategy;
+  timeout?: { attemptDurationSeconds: number };
+  tags?: Tags;
+  propagateTags?: boolean;
+  shareIdentifier?: string;
+  schedulingPriorityOverride?: number;
+  nodeOverrides?: Record<string, unknown>;
+  eksPropertiesOverride?: Record<string, unknown>;
+  ecsPropertiesOverride?: Record<string, unknown>;
+}
+
+export interface SubmitJobResponse {
+  jobId: string;
+  jobName: string;
+  jobArn?: string;
+}
+
+export interface AttemptDetail {
+  container?: { exitCode?: number; reason?: string; logStreamName?: string; [key: string]: unknown };
+  startedAt?: number;
+  stoppedAt?: number;
+  statusReason?: string;
+}
+
+export interface JobDetail {
+  jobId: string;
+  jobName: string;
+  jobArn?: string;
+  jobQueue: string;
+  jobDefinition: string;
+  status: JobStatus;
+  statusReason?: string;
+  createdAt?: number;
+  startedAt?: number;
+  stoppedAt?: number;
+  attempts?: AttemptDetail[];
+  dependsOn?: JobDependency[];
+  arrayProperties?: { size?: number; index?: number; statusSummary?: Partial<Record<JobStatus, number>> };
+  container?: Record<string, unknown>;
+  tags?: Tags;
+  [key: string]: unknown;
+}
+
+export interface JobSummary {
+  jobId: string;
+  jobName: string;
+  jobArn?: string;
+  status: JobStatus;
+  statusReason?: string;
+  createdAt?: number;
+  startedAt?: number;
+  stoppedAt?: number;
+  container?: { exitCode?: number; reason?: string };
+  arrayProperties?: { size?: number; index?: number };
+  [key: string]: unknown;
+}
+
+export interface KeyValuesPair {
+  name: string;
+  values: string[];
+}
+
+export interface ListJobsOptions extends PaginationOptions {
+  jobQueue?: string;
+  jobStatus?: JobStatus;
+  arrayJobId?: string;
+  /** e.g. [{ name: 'JOB_NAME', values: ['etl*'] }] */
+  filters?: KeyValuesPair[];
+}
+
+export interface ComputeEnvironmentOrder {
+  order: number;
+  computeEnvironment: string;
+}
+
+export interface JobQueue {
+  jobQueueName: string;
+  jobQueueArn: string;
+  state: 'ENABLED' | 'DISABLED';
+  status?: string;
+  statusReason?: string;
+  priority: number;
+  computeEnvironmentOrder: ComputeEnvironmentOrder[];
+  schedulingPolicyArn?: string;
+  tags?: Tags;
+  [key: string]: unknown;
+}
+
+export interface CreateQueueRequest {
+  queueName: string;
+  state?: 'ENABLED' | 'DISABLED';
+  priority?: number;
+  computeEnvironmentOrder?: ComputeEnvironmentOrder[];
+  schedulingPolicyArn?: string;
+  tags?: Tags;
+}
+
+export type UpdateQueueRequest = Omit<CreateQueueRequest, 'tags'>;
+
+export interface JobDefinition {
+  jobDefinitionName: string;
+  jobDefinitionArn: string;
+  revision: number;
+  status?: 'ACTIVE' | 'INACTIVE';
+  type: 'container' | 'multinode';
+  containerProperties?: Record<string, unknown>;
+  nodeProperties?: Record<string, unknown>;
+  tags?: Tags;
+  [key: string]: unknown;
+}
+
+export interface ListDefinitionsOptions extends PaginationOptions {
+  definitionName?: string;
+  status?: 'ACTIVE' | 'INACTIVE';
+}
+
+export interface RegisterDefinitionRequest {
+  definitionName: string;
+  type?: 'container' | 'multinode';
+  parameters?: Record<string, string>;
+  containerProperties?: Record<string, unknown>;
+  nodeProperties?: Record<string, unknown>;
+  eksProperties?: Record<string, unknown>;
+  ecsProperties?: Record<string, unknown>;
+  platformCapabilities?: ('EC2' | 'FARGATE')[];
+  retryStrategy?: RetryStrategy;
+  timeout?: { attemptDurationSeconds: number };
+  propagateTags?: boolean;
+  schedulingPriority?: number;
+  tags?: Tags;
+}
+
+export interface RegisterDefinitionResponse {
+  jobDefinitionName: string;
+  jobDefinitionArn: string;
+  revision: number;
+}
+
+export interface ComputeEnvironment {
+  computeEnvironmentName: string;
+  computeEnvironmentArn: string;
+  type: 'MANAGED' | 'UNMANAGED';
+  state: 'ENABLED' | 'DISABLED';
+  status?: string;
+  statusReason?: string;
+  serviceRole?: string;
+  computeResources?: Record<string, unknown>;
+  tags?: Tags;
+  [key: string]: unknown;
+}
+
+export interface CreateComputeEnvironmentRequest {
+  computeEnvironmentName: string;
+  type?: 'MANAGED' | 'UNMANAGED';
+  state?: 'ENABLED' | 'DISABLED';
+  serviceRole?: string;
+  unmanagedvCpus?: number;
+  computeResources?: Record<string, unknown>;
+  tags?: Tags;
+}
+
+export type UpdateComputeEnvironmentRequest = Omit<CreateComputeEnvironmentRequest, 'type' | 'tags'>;
+
+export interface ShareAttributes {
+  shareIdentifier: string;
+  weightFactor?: number;
+}
+
+export interface FairsharePolicy {
+  shareDecaySeconds?: number;
+  computeReservation?: number;
+  shareDistribution?: ShareAttributes[];
+}
+
+export interface SchedulingPolicy {
+  name: string;
+  arn: string;
+  fairsharePolicy?: FairsharePolicy;
+  tags?: Tags;
+}
+
+export interface LogEvent {
+  timestamp: number;
+  message: string;
+  ingestionTime?: number;
+  logStreamName?: string;
+}
+
+export interface GetLogEventsRequest {
+  logGroupName: string;
+  logStreamName: string;
+  startTime?: number;
+  nextToken?: string;
+  /** Default true */
+  startFromHead?: boolean;
+}
+
+export interface GetLogEventsResponse {
+  events: LogEvent[];
+  nextForwardToken?: string;
+  nextBackwardToken?: string;
+}
+
+export interface FilterLogEventsRequest {
+  logGroupName: string;
+  logStreamNames?: string[];
+  filterPattern?: string;
+  startTime?: number;
+  nextToken?: string;
+}
+
+export interface FilterLogEventsResponse {
+  events: LogEvent[];
+  nextToken?: string;
+}
+
+/**
+ * What a mutating call resolves with: the response, or a DryRunResult for a
+ * client built with `dryRun: true` (either one when dryRun is only known as boolean).
+ */
+type Mutation<T, D extends boolean> = Promise<D extends true ? DryRunResult : T>;
+
+export class BatchClient<D extends boolean = false> {
+  constructor(options?: BatchClientOptions<D>);
+
+  readonly region: string;
+  readonly endpoint: string;
+  readonly logsEndpoint: string;
+  readonly maxRetries: number;
+  readonly requestTimeout: number;
+  readonly dryRun: D;
+
+  /** Send a signed request to a Batch REST path, e.g. request('POST', '/v1/describejobs', { jobs }) */
+  request<T = any>(method: 'GET' | 'POST' | 'DELETE', path: string, data?: Record<string, unknown> | null): Promise<T>;
+  paginate<T = any>(path: string, body: Record<string, unknown>, resultKey: string, options?: PaginationOptions & { maxPageSize?: number }): AsyncGenerator<Page<T>, void>;
+
+  submitJob(request: SubmitJobRequest): Mutation<SubmitJobResponse, D>;
+  /** Any number of IDs; sent 100 per call */
+  describeJobs(jobIds: string[]): Promise<JobDetail[]>;
+  iterateJobs(options?: ListJobsOptions): AsyncGenerator<Page<JobSummary>, void>;
+  /** Default limit 50 */
+  listJobs(options?: ListJobsOptions): Promise<JobSummary[]>;
+  terminateJob(jobId: string, reason?: string): Mutation<Record<string, never>, D>;
+  cancelJob(jobId: string, reason?: string): Mutation<Record<string, never>, D>;
+
+  iterateQueues(options?: PaginationOptions): AsyncGenerator<Page<JobQueue>, void>;
+  listQueues(options?: PaginationOptions): Promise<JobQueue[]>;
+  getQueue(queueName: string): Promise<JobQueue | null>;
+  createQueue(request: CreateQueueRequest): Mutation<{ jobQueueName: string; jobQueueArn: string }, D>;
+  updateQueue(request: UpdateQueueRequest): Mutation<{ jobQueueName: string; jobQueueArn: string }, D>;
+  deleteQueue(queueName: string): Mutation<Record<string, never>, D>;
+
+  iterateDefinitions(options?: ListDefinitionsOptions): AsyncGenerator<Page<JobDefinition>, void>;
+  listDefinitions(options?: ListDefinitionsOptions): Promise<JobDefinition[]>;
+  /** A bare name matches every revision; name:revision or an ARN matches one */
+  describeDefinitions(references: string[]): Promise<JobDefinition[]>;
+  /** name:revision or an ARN, or a bare name for its latest ACTIVE revision */
+  resolveDefinition(reference: string): Promise<JobDefinition | null>;
+  registerDefinition(request: RegisterDefinitionRequest): Mutation<RegisterDefinitionResponse, D>;
+  deregisterDefinition(reference: string): Mutation<Record<string, never>, D>;
+
+  iterateComputeEnvironments(options?: PaginationOptions): AsyncGenerator<Page<ComputeEnvironment>, void>;
+  listComputeEnvironments(options?: PaginationOptions): Promise<ComputeEnvironment[]>;
+  getComputeEnvironment(computeEnvironmentName: string): Promise<ComputeEnvironment | null>;
+  createComputeEnvironment(request: CreateComputeEnvironmentRequest): Mutation<{ computeEnvironmentName: string; computeEnvironmentArn: string }, D>;
+  updateComputeEnvironment(request: UpdateComputeEnvironmentRequest): Mutation<{ computeEnvironmentName: string; computeEnvironmentArn: string }, D>;
+  deleteComputeEnvironment(computeEnvironmentName: string): Mutation<Record<string, never>, D>;
+
+  /** Pages of { arn } only; listSchedulingPolicies describes them */
+  iterateSchedulingPolicies(options?: PaginationOptions): AsyncGenerator<Page<{ arn: string }>, void>;
+  describeSchedulingPolicies(arns: string[]): Promise<SchedulingPolicy[]>;
+  listSchedulingPolicies(options?: PaginationOptions): Promise<SchedulingPolicy[]>;
+  /** A policy name or ARN */
+  getSchedulingPolicy(reference: string): Promise<SchedulingPolicy | null>;
+  createSchedulingPolicy(request: { name: string; fairsharePolicy?: FairsharePolicy; tags?: Tags }): Mutation<{ name: string; arn: string }, D>;
+  updateSchedulingPolicy(request: { arn: string; fairsharePolicy?: FairsharePolicy }): Mutation<Record<string, never>, D>;
+  deleteSchedulingPolicy(arn: string): Mutation<Record<string, never>, D>;
+
+  listTagsForResource(resourceArn: string): Promise<Tags>;
+  tagResource(resourceArn: string, tags: Tags): Mutation<Record<string, never>, D>;
+  untagResource(resourceArn: string, tagKeys: string[]): Mutation<Record<string, never>, D>;
+
+  getLogEvents(request: GetLogEventsRequest): Promise<GetLogEventsResponse>;
+  filterLogEvents(request: FilterLogEventsRequest): Promise<FilterLogEventsResponse>;
+}
+
+/** The default credential chain as a caching async provider. */
+export function createCredentialProvider(options?: CredentialProviderOptions): CredentialProvider;
+
+export interface ErrorDetails {
+  /** AWS error code (__type), e.g. ClientException */
+  code?: string;
+  status?: number;
+  /** x-amzn-RequestId of the failed call */
+  requestId?: string;
+  /** e.g. AWS Batch, CloudWatch Logs, STS */
+  service?: string;
+}
+
+export interface ErrorJSON extends ErrorDetails {
+  type: string;
+  kind: 'validation' | 'not_found' | 'auth' | 'throttling' | 'client' | 'server' | 'network' | 'error';
+  message: string;
+  exitCode: number;
+}
+
+export class CliError extends Error {
+  constructor(message: string, details?: ErrorDetails);
+  code?: string;
+  status?: number;
+  requestId?: string;
+  service?: string;
+  static readonly kind: ErrorJSON['kind'];
+  static readonly exitCode: number;
+  toJSON(): ErrorJSON;
+}
+
+export class ValidationError extends CliError {}
+export class NotFoundError extends CliError {}
+export class AuthError extends CliError {}
+export class ThrottlingError extends CliError {}
+export class ClientError extends CliError {}
+export class ServerError extends CliError {}
+export class NetworkError extends CliError {}
+
+/** The CLI exit code for an error: its class's code, or 1 */
+export function exitCodeFor(error: unknown): number;
+
+export interface SignRequestOptions {
+  method: string;
+  url: string;
+  headers?: Record<string, string>;
+  body?: string;
+  service: string;
+  region: string;
+  credentials: Credentials;
+  date?: Date;
+  signedHeaders?: string[];
+  payloadHash?: string;
+  contentSha256?: boolean;
+  uriEscapePath?: boolean;
+  normalizePath?: boolean;
+}
+
+export function signRequest(options: SignRequestOptions): {
+  headers: Record<string, string>;
+  canonicalRequest: string;
+  stringToSign: string;
+  signature: string;
+};
+
+export function presignUrl(options: Omit<SignRequestOptions, 'body' | 'signedHeaders' | 'contentSha256'> & { expiresIn?: number }): string;
+
+export interface MockServerOptions {
+  /** Default 4566; 0 picks a free port */
+  port?: number;
+  host?: string;
+  region?: string;
+  /** Milliseconds between job state transitions */
+  tick?: number;
+  /** Default RUNNING time in milliseconds */
+  runTime?: number;
+  accessKeyId?: string;
+  secretAccessKey?: string;
+  /** Check SigV4 signatures. Default true */
+  verify?: boolean;
+  log?: (line: string) => void;
+}
+
+/** Start the in-memory AWS Batch endpoint used by `awsbatch mock-server`. */
+export function startMockServer(options?: MockServerOptions): Promise<{ url: string; close(): Promise<void> }>;
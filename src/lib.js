@@ -0,0 +1,21 @@
+/**
+ * Library entry point (package `main`). Importing it has no side effects;
+ * the CLI lives in src/index.js and is started by bin/awsbatch.js.
+ *
+ *   import { BatchClient, NotFoundError } from '@ktmcp-cli/awsbatch';
+ */
+export { BatchClient } from './client.js';
+export { createCredentialProvider } from './credentials.js';
+export {
+  CliError,
+  ValidationError,
+  NotFoundError,
+  AuthError,
+  ThrottlingError,
+  ClientError,
+  ServerError,
+  NetworkError,
+  exitCodeFor
+} from './errors.js';
+export { signRequest, presignUrl } from './signer.js';
+export { startMockServer } from './mock-server.js';
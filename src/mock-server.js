@@ -0,0 +1,714 @@
+import http from 'http';
+import crypto from 'crypto';
+import { verifySignature } from './signer.js';
+
+/**
+ * An in-memory AWS Batch endpoint for offline tests. It implements the
+ * /v1/* operations this CLI calls, moves jobs through their lifecycle on a
+ * timer, honours dependsOn and array jobs, and checks SigV4 signatures.
+ *
+ * A job's outcome is read from its container environment:
+ *   MOCK_EXIT_CODE      exit code of every attempt (default 0)
+ *   MOCK_RUNTIME_MS     how long the job stays RUNNING (default --run-time)
+ *   MOCK_FAIL_INDEXES   array children that exit 1, e.g. "2,5"
+ */
+
+const ACCOUNT_ID = '123456789012';
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const TERMINAL = ['SUCCEEDED', 'FAILED'];
+
+class BatchError extends Error {
+  constructor(message, code = 'ClientException', status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function required(body, ...keys) {
+  const missing = keys.filter(key => body[key] === undefined || body[key] === null || body[key] === '');
+  if (missing.length) throw new BatchError(`${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+}
+
+function checkName(name, what) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new BatchError(`${what} name '${name}' is invalid: use up to 128 letters, numbers, hyphens and underscores`);
+  }
+}
+
+// nextToken is the offset into the filtered listing
+function paginate(items, body, key) {
+  const start = body.nextToken ? Number(Buffer.from(body.nextToken, 'base64').toString()) : 0;
+  if (!Number.isInteger(start) || start < 0) throw new BatchError('Invalid nextToken');
+  const size = body.maxResults || 100;
+  const page = items.slice(start, start + size);
+  const next = start + size < items.length ? Buffer.from(String(start + size)).toString('base64') : undefined;
+  return { [key]: page, ...(next && { nextToken: next }) };
+}
+
+function mergeByKey(base = [], overrides = [], key) {
+  const merged = new Map(base.map(item => [item[key], item]));
+  overrides.forEach(item => merged.set(item[key], item));
+  return [...merged.values()];
+}
+
+// ============================================================
+// State
+// ============================================================
+
+export function createMockBatch({ region = 'us-east-1', runTime = 3000, now = () => Date.now() } = {}) {
+  const computeEnvironments = new Map();
+  const queues = new Map();
+  const definitions = [];
+  const policies = new Map();
+  const jobs = new Map();
+  const tags = new Map();
+
+  const arn = (type, name) => `arn:aws:batch:${region}:${ACCOUNT_ID}:${type}/${name}`;
+
+  function setTags(resourceArn, values) {
+    if (values && Object.keys(values).length) tags.set(resourceArn, { ...tags.get(resourceArn), ...values });
+  }
+
+  function withTags(resource, resourceArn) {
+    const current = tags.get(resourceArn);
+    return current ? { ...resource, tags: { ...current } } : resource;
+  }
+
+  function find(map, reference, arnKey, what) {
+    const found = map.get(reference) || [...map.values()].find(item => item[arnKey] === reference);
+    if (!found && what) throw new BatchError(`${what} ${reference} does not exist`);
+    return found;
+  }
+
+  function findPolicy(reference) {
+    const policy = policies.get(reference) || [...policies.values()].find(item => item.name === reference);
+    if (!policy) throw new BatchError(`Scheduling policy ${reference} does not exist`);
+    return policy;
+  }
+
+  function findDefinition(reference) {
+    const [name, revision] = reference.startsWith('arn:')
+      ? reference.split('/').pop().split(':')
+      : reference.split(':');
+    const matches = definitions.filter(def => def.jobDefinitionName === name);
+    const found = revision
+      ? matches.find(def => def.revision === Number(revision))
+      : matches.filter(def => def.status === 'ACTIVE').sort((a, b) => b.revision - a.revision)[0];
+    if (!found) throw new BatchError(`Job definition ${reference} does not exist`);
+    return found;
+  }
+
+  function findJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) throw new BatchError(`Job ${jobId} does not exist`);
+    return job;
+  }
+
+  function checkComputeEnvironmentOrder(order = []) {
+    order.forEach(entry => find(computeEnvironments, entry.computeEnvironment, 'computeEnvironmentArn', 'Compute environment'));
+    return order.map(entry => ({
+      order: entry.order,
+      computeEnvironment: find(computeEnvironments, entry.computeEnvironment, 'computeEnvironmentArn').computeEnvironmentArn
+    }));
+  }
+
+  // ------------------------------------------------------------
+  // Compute environments, queues, definitions, policies, tags
+  // ------------------------------------------------------------
+
+  const operations = {
+    createcomputeenvironment(body) {
+      required(body, 'computeEnvironmentName', 'type');
+      checkName(body.computeEnvironmentName, 'Compute environment');
+      if (computeEnvironments.has(body.computeEnvironmentName)) {
+        throw new BatchError(`Object already exists: ${body.computeEnvironmentName}`);
+      }
+      const computeEnvironmentArn = arn('compute-environment', body.computeEnvironmentName);
+      const { tags: requestTags, ...fields } = body;
+      computeEnvironments.set(body.computeEnvironmentName, {
+        ...fields,
+        computeEnvironmentArn,
+        state: body.state || 'ENABLED',
+        status: 'VALID',
+        statusReason: 'ComputeEnvironment Healthy'
+      });
+      setTags(computeEnvironmentArn, requestTags);
+      return { computeEnvironmentName: body.computeEnvironmentName, computeEnvironmentArn };
+    },
+
+    describecomputeenvironments(body) {
+      const selected = body.computeEnvironments?.length
+        ? body.computeEnvironments.map(ref => find(computeEnvironments, ref, 'computeEnvironmentArn')).filter(Boolean)
+        : [...computeEnvironments.values()];
+      return paginate(selected.map(ce => withTags(ce, ce.computeEnvironmentArn)), body, 'computeEnvironments');
+    },
+
+    updatecomputeenvironment(body) {
+      required(body, 'computeEnvironment');
+      const ce = find(computeEnvironments, body.computeEnvironment, 'computeEnvironmentArn', 'Compute environment');
+      if (body.state) ce.state = body.state;
+      if (body.serviceRole) ce.serviceRole = body.serviceRole;
+      if (body.unmanagedvCpus !== undefined) ce.unmanagedvCpus = body.unmanagedvCpus;
+      if (body.computeResources) ce.computeResources = { ...ce.computeResources, ...body.computeResources };
+      return { computeEnvironmentName: ce.computeEnvironmentName, computeEnvironmentArn: ce.computeEnvironmentArn };
+    },
+
+    deletecomputeenvironment(body) {
+      required(body, 'computeEnvironment');
+      const ce = find(computeEnvironments, body.computeEnvironment, 'computeEnvironmentArn', 'Compute environment');
+      if (ce.state !== 'DISABLED') throw new BatchError('Cannot delete, found existing JobQueue relationship or compute environment is ENABLED');
+      const inUse = [...queues.values()].some(queue =>
+        queue.computeEnvironmentOrder.some(entry => entry.computeEnvironment === ce.computeEnvironmentArn));
+      if (inUse) throw new BatchError('Cannot delete, found existing JobQueue relationship');
+      computeEnvironments.delete(ce.computeEnvironmentName);
+      tags.delete(ce.computeEnvironmentArn);
+      return {};
+    },
+
+    createjobqueue(body) {
+      required(body, 'jobQueueName', 'priority');
+      checkName(body.jobQueueName, 'Job queue');
+      if (queues.has(body.jobQueueName)) throw new BatchError(`Object already exists: ${body.jobQueueName}`);
+      const computeEnvironmentOrder = checkComputeEnvironmentOrder(body.computeEnvironmentOrder);
+      if (body.schedulingPolicyArn) findPolicy(body.schedulingPolicyArn);
+      const jobQueueArn = arn('job-queue', body.jobQueueName);
+      queues.set(body.jobQueueName, {
+        jobQueueName: body.jobQueueName,
+        jobQueueArn,
+        state: body.state || 'ENABLED',
+        status: 'VALID',
+        statusReason: 'JobQueue Healthy',
+        priority: body.priority,
+        computeEnvironmentOrder,
+        ...(body.schedulingPolicyArn && { schedulingPolicyArn: body.schedulingPolicyArn })
+      });
+      setTags(jobQueueArn, body.tags);
+      return { jobQueueName: body.jobQueueName, jobQueueArn };
+    },
+
+    describejobqueues(body) {
+      const selected = body.jobQueues?.length
+        ? body.jobQueues.map(ref => find(queues, ref, 'jobQueueArn')).filter(Boolean)
+        : [...queues.values()];
+      return paginate(selected.map(queue => withTags(queue, queue.jobQueueArn)), body, 'jobQueues');
+    },
+
+    updatejobqueue(body) {
+      required(body, 'jobQueue');
+      const queue = find(queues, body.jobQueue, 'jobQueueArn', 'Job queue');
+      if (body.state) queue.state = body.state;
+      if (body.priority !== undefined) queue.priority = body.priority;
+      if (body.computeEnvironmentOrder) queue.computeEnvironmentOrder = checkComputeEnvironmentOrder(body.computeEnvironmentOrder);
+      if (body.schedulingPolicyArn) queue.schedulingPolicyArn = findPolicy(body.schedulingPolicyArn).arn;
+      return { jobQueueName: queue.jobQueueName, jobQueueArn: queue.jobQueueArn };
+    },
+
+    deletejobqueue(body) {
+      required(body, 'jobQueue');
+      const queue = find(queues, body.jobQueue, 'jobQueueArn', 'Job queue');
+      if (queue.state !== 'DISABLED') throw new BatchError('Job queue must be DISABLED before it can be deleted');
+      queues.delete(queue.jobQueueName);
+      tags.delete(queue.jobQueueArn);
+      return {};
+    },
+
+    registerjobdefinition(body) {
+      required(body, 'jobDefinitionName', 'type');
+      checkName(body.jobDefinitionName, 'Job definition');
+      const revision = Math.max(0, ...definitions.filter(def => def.jobDefinitionName === body.jobDefinitionName).map(def => def.revision)) + 1;
+      const jobDefinitionArn = arn('job-definition', `${body.jobDefinitionName}:${revision}`);
+      const { tags: requestTags, ...fields } = body;
+      definitions.push({ ...fields, jobDefinitionArn, revision, status: 'ACTIVE', containerOrchestrationType: body.eksProperties ? 'EKS' : 'ECS' });
+      setTags(jobDefinitionArn, requestTags);
+      return { jobDefinitionName: body.jobDefinitionName, jobDefinitionArn, revision };
+    },
+
+    describejobdefinitions(body) {
+      let selected = definitions;
+      if (body.jobDefinitions?.length) {
+        selected = body.jobDefinitions.flatMap(ref => {
+          try {
+            return [findDefinition(ref)];
+          } catch {
+            return [];
+          }
+        });
+      }
+      if (body.jobDefinitionName) selected = selected.filter(def => def.jobDefinitionName === body.jobDefinitionName);
+      if (body.status) selected = selected.filter(def => def.status === body.status);
+      return paginate(selected.map(def => withTags(def, def.jobDefinitionArn)), body, 'jobDefinitions');
+    },
+
+    deregisterjobdefinition(body) {
+      required(body, 'jobDefinition');
+      if (!body.jobDefinition.includes(':')) throw new BatchError('jobDefinition must be name:revision or an ARN');
+      findDefinition(body.jobDefinition).status = 'INACTIVE';
+      return {};
+    },
+
+    createschedulingpolicy(body) {
+      required(body, 'name');
+      checkName(body.name, 'Scheduling policy');
+      if ([...policies.values()].some(policy => policy.name === body.name)) throw new BatchError(`Object already exists: ${body.name}`);
+      const policyArn = arn('scheduling-policy', body.name);
+      policies.set(policyArn, { name: body.name, arn: policyArn, ...(body.fairsharePolicy && { fairsharePolicy: body.fairsharePolicy }) });
+      setTags(policyArn, body.tags);
+      return { name: body.name, arn: policyArn };
+    },
+
+    listschedulingpolicies(body) {
+      return paginate([...policies.values()].map(policy => ({ arn: policy.arn })), body, 'schedulingPolicies');
+    },
+
+    describeschedulingpolicies(body) {
+      required(body, 'arns');
+      return {
+        schedulingPolicies: body.arns
+          .map(policyArn => policies.get(policyArn))
+          .filter(Boolean)
+          .map(policy => withTags(policy, policy.arn))
+      };
+    },
+
+    updateschedulingpolicy(body) {
+      required(body, 'arn');
+      const policy = findPolicy(body.arn);
+      if (body.fairsharePolicy) policy.fairsharePolicy = body.fairsharePolicy;
+      return {};
+    },
+
+    deleteschedulingpolicy(body) {
+      required(body, 'arn');
+      const policy = findPolicy(body.arn);
+      if ([...queues.values()].some(queue => queue.schedulingPolicyArn === policy.arn)) {
+        throw new BatchError(`Scheduling policy ${policy.name} is attached to a job queue`);
+      }
+      policies.delete(policy.arn);
+      tags.delete(policy.arn);
+      return {};
+    },
+
+    submitjob: (body) => submitJob(body),
+
+    describejobs(body) {
+      required(body, 'jobs');
+      if (body.jobs.length > 100) throw new BatchError('DescribeJobs accepts at most 100 job IDs');
+      return { jobs: body.jobs.map(jobId => jobs.get(jobId)).filter(Boolean).map(describeJob) };
+    },
+
+    listjobs(body) {
+      let selected;
+      if (body.arrayJobId) {
+        const parent = findJob(body.arrayJobId);
+        selected = (parent.children || []).map(childId => jobs.get(childId));
+      } else {
+        required(body, 'jobQueue');
+        const queue = find(queues, body.jobQueue, 'jobQueueArn', 'Job queue');
+        selected = [...jobs.values()].filter(job => job.jobQueue === queue.jobQueueArn && !job.parentId);
+      }
+
+      // As in Batch, filters replace the default RUNNING status
+      if (body.filters?.length) {
+        selected = selected.filter(job => body.filters.every(filter => matchesFilter(job, filter)));
+      } else {
+        selected = selected.filter(job => job.status === (body.jobStatus || 'RUNNING'));
+      }
+      selected.sort((a, b) => b.createdAt - a.createdAt);
+      return paginate(selected.map(summarizeJob), body, 'jobSummaryList');
+    },
+
+    terminatejob(body) {
+      required(body, 'jobId', 'reason');
+      stopJob(findJob(body.jobId), body.reason, TERMINAL);
+      return {};
+    },
+
+    canceljob(body) {
+      required(body, 'jobId', 'reason');
+      // Jobs that have reached STARTING are left alone, as in Batch
+      stopJob(findJob(body.jobId), body.reason, [...TERMINAL, 'STARTING', 'RUNNING']);
+      return {};
+    }
+  };
+
+  function taggable(resourceArn) {
+    const exists = [...computeEnvironments.values()].some(ce => ce.computeEnvironmentArn === resourceArn) ||
+      [...queues.values()].some(queue => queue.jobQueueArn === resourceArn) ||
+      definitions.some(def => def.jobDefinitionArn === resourceArn) ||
+      policies.has(resourceArn) ||
+      [...jobs.values()].some(job => job.jobArn === resourceArn);
+    if (!exists) throw new BatchError(`Resource ${resourceArn} does not exist`, 'ClientException', 404);
+  }
+
+  function tagOperation(method, resourceArn, body, query) {
+    taggable(resourceArn);
+    if (method === 'GET') return { tags: { ...tags.get(resourceArn) } };
+    if (method === 'POST') {
+      required(body, 'tags');
+      setTags(resourceArn, body.tags);
+      return {};
+    }
+    const keys = query.getAll('tagKeys');
+    if (!keys.length) throw new BatchError('tagKeys is required');
+    const remaining = { ...tags.get(resourceArn) };
+    keys.forEach(key => delete remaining[key]);
+    tags.set(resourceArn, remaining);
+    return {};
+  }
+
+  // ------------------------------------------------------------
+  // Jobs
+  // ------------------------------------------------------------
+
+  function containerFor(definition, overrides = {}) {
+    if (!definition.containerProperties) return undefined;
+    const base = definition.containerProperties;
+    return {
+      ...base,
+      ...(overrides.command && { command: overrides.command }),
+      ...(overrides.instanceType && { instanceType: overrides.instanceType }),
+      ...(overrides.vcpus !== undefined && { vcpus: overrides.vcpus }),
+      ...(overrides.memory !== undefined && { memory: overrides.memory }),
+      environment: mergeByKey(base.environment, overrides.environment, 'name'),
+      resourceRequirements: mergeByKey(base.resourceRequirements, overrides.resourceRequirements, 'type')
+    };
+  }
+
+  function submitJob(body) {
+    required(body, 'jobName', 'jobQueue', 'jobDefinition');
+    checkName(body.jobName, 'Job');
+    const queue = find(queues, body.jobQueue, 'jobQueueArn', 'Job queue');
+    if (queue.state !== 'ENABLED') throw new BatchError(`Job queue ${queue.jobQueueName} is DISABLED`);
+    const definition = findDefinition(body.jobDefinition);
+    if (definition.status !== 'ACTIVE') throw new BatchError(`Job definition ${body.jobDefinition} is INACTIVE`);
+    (body.dependsOn || []).filter(dep => dep.jobId).forEach(dep => findJob(dep.jobId));
+
+    const size = body.arrayProperties?.size;
+    if (size !== undefined && (!Number.isInteger(size) || size < 2 || size > 10000)) {
+      throw new BatchError('arrayProperties.size must be between 2 and 10000');
+    }
+
+    const jobId = crypto.randomUUID();
+    const job = {
+      jobArn: arn('job', jobId),
+      jobName: body.jobName,
+      jobId,
+      jobQueue: queue.jobQueueArn,
+      status: 'SUBMITTED',
+      attempts: [],
+      createdAt: now(),
+      dependsOn: body.dependsOn || [],
+      jobDefinition: definition.jobDefinitionArn,
+      parameters: { ...definition.parameters, ...body.parameters },
+      container: containerFor(definition, body.containerOverrides),
+      ...(definition.nodeProperties && { nodeProperties: { ...definition.nodeProperties, ...body.nodeOverrides } }),
+      retryStrategy: body.retryStrategy || definition.retryStrategy,
+      timeout: body.timeout || definition.timeout,
+      propagateTags: body.propagateTags ?? definition.propagateTags,
+      platformCapabilities: definition.platformCapabilities,
+      ...(body.shareIdentifier && { shareIdentifier: body.shareIdentifier }),
+      ...((body.schedulingPriorityOverride ?? definition.schedulingPriority) !== undefined && {
+        schedulingPriority: body.schedulingPriorityOverride ?? definition.schedulingPriority
+      })
+    };
+    jobs.set(jobId, job);
+    setTags(job.jobArn, { ...(job.propagateTags && tags.get(definition.jobDefinitionArn)), ...body.tags });
+
+    if (size) {
+      job.arrayProperties = { size, statusSummary: {} };
+      job.children = [];
+      const sequential = job.dependsOn.some(dep => dep.type === 'SEQUENTIAL' && !dep.jobId);
+      for (let index = 0; index < size; index++) {
+        const childId = `${jobId}:${index}`;
+        const dependsOn = job.dependsOn.filter(dep => dep.jobId).map(dep => (
+          dep.type === 'N_TO_N' ? { jobId: `${dep.jobId}:${index}`, type: 'N_TO_N' } : dep
+        ));
+        if (sequential && index > 0) dependsOn.push({ jobId: `${jobId}:${index - 1}`, type: 'SEQUENTIAL' });
+        jobs.set(childId, {
+          ...job,
+          jobArn: arn('job', childId),
+          jobId: childId,
+          parentId: jobId,
+          attempts: [],
+          dependsOn,
+          arrayProperties: { index },
+          children: undefined
+        });
+        job.children.push(childId);
+      }
+    }
+    return { jobArn: job.jobArn, jobName: job.jobName, jobId };
+  }
+
+  function matchesFilter(job, { name, values = [] }) {
+    const value = values[0];
+    if (name === 'JOB_NAME') {
+      return value.endsWith('*') ? job.jobName.startsWith(value.slice(0, -1)) : job.jobName === value;
+    }
+    if (name === 'JOB_DEFINITION') {
+      const [defName, revision] = value.startsWith('arn:') ? value.split('/').pop().split(':') : value.split(':');
+      const [jobDefName, jobRevision] = job.jobDefinition.split('/').pop().split(':');
+      return defName.endsWith('*') ? jobDefName.startsWith(defName.slice(0, -1)) : defName === jobDefName && (!revision || revision === jobRevision);
+    }
+    if (name === 'BEFORE_CREATED_AT') return job.createdAt < Number(value);
+    if (name === 'AFTER_CREATED_AT') return job.createdAt > Number(value);
+    throw new BatchError(`Unknown filter ${name}`);
+  }
+
+  function describeJob(job) {
+    const { children, parentId, runUntil, ...visible } = job;
+    if (children) {
+      const statusSummary = {};
+      children.forEach(childId => {
+        const status = jobs.get(childId).status;
+        statusSummary[status] = (statusSummary[status] || 0) + 1;
+      });
+      visible.arrayProperties = { ...job.arrayProperties, statusSummary };
+    }
+    return withTags(visible, job.jobArn);
+  }
+
+  function summarizeJob(job) {
+    return {
+      jobArn: job.jobArn,
+      jobId: job.jobId,
+      jobName: job.jobName,
+      createdAt: job.createdAt,
+      status: job.status,
+      ...(job.statusReason && { statusReason: job.statusReason }),
+      ...(job.startedAt && { startedAt: job.startedAt }),
+      ...(job.stoppedAt && { stoppedAt: job.stoppedAt }),
+      ...(job.container?.exitCode !== undefined && { container: { exitCode: job.container.exitCode } }),
+      ...(job.arrayProperties && { arrayProperties: { size: job.arrayProperties.size, index: job.arrayProperties.index } }),
+      jobDefinition: job.jobDefinition
+    };
+  }
+
+  function finish(job, status, statusReason) {
+    job.status = status;
+    job.statusReason = statusReason;
+    job.stoppedAt = now();
+    delete job.runUntil;
+  }
+
+  function stopJob(job, reason, untouched) {
+    if (job.children) {
+      // The parent settles on the next tick, once its children have
+      job.children.forEach(childId => stopJob(jobs.get(childId), reason, untouched));
+      return;
+    }
+    if (untouched.includes(job.status)) return;
+    if (job.status === 'RUNNING' || job.status === 'STARTING') endAttempt(job, 143, reason);
+    finish(job, 'FAILED', reason);
+  }
+
+  // ------------------------------------------------------------
+  // Lifecycle
+  // ------------------------------------------------------------
+
+  function environmentValue(job, name) {
+    return job.container?.environment?.find(pair => pair.name === name)?.value;
+  }
+
+  function exitCodeFor(job) {
+    const failIndexes = environmentValue(job, 'MOCK_FAIL_INDEXES');
+    const index = job.arrayProperties?.index;
+    if (failIndexes && index !== undefined && failIndexes.split(',').map(Number).includes(index)) return 1;
+    return Number(environmentValue(job, 'MOCK_EXIT_CODE') || 0);
+  }
+
+  function endAttempt(job, exitCode, reason) {
+    const attempt = job.attempts[job.attempts.length - 1];
+    if (!attempt) return;
+    attempt.stoppedAt = now();
+    attempt.container.exitCode = exitCode;
+    if (reason) attempt.statusReason = reason;
+    if (job.container) job.container = { ...job.container, exitCode, ...(reason && { reason }) };
+  }
+
+  // evaluateOnExit rules are checked in order; without a match, retry
+  function shouldRetry(job, exitCode) {
+    const { attempts = 1, evaluateOnExit = [] } = job.retryStrategy || {};
+    if (job.attempts.length >= attempts) return false;
+    const glob = (pattern, value) => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`).test(String(value ?? ''));
+    const rule = evaluateOnExit.find(candidate =>
+      (!candidate.onExitCode || glob(candidate.onExitCode, exitCode)) &&
+      (!candidate.onReason || glob(candidate.onReason, '')) &&
+      (!candidate.onStatusReason || glob(candidate.onStatusReason, 'Essential container in task exited')));
+    return !rule || rule.action.toUpperCase() === 'RETRY';
+  }
+
+  // Dependencies are met when every job depended on has succeeded
+  function dependencyState(job) {
+    const deps = job.dependsOn.filter(dep => dep.jobId).map(dep => jobs.get(dep.jobId)).filter(Boolean);
+    if (deps.some(dep => dep.status === 'FAILED')) return 'failed';
+    if (deps.every(dep => dep.status === 'SUCCEEDED')) return 'met';
+    return 'waiting';
+  }
+
+  function advance(job) {
+    const queue = [...queues.values()].find(item => item.jobQueueArn === job.jobQueue);
+    switch (job.status) {
+      case 'SUBMITTED':
+      case 'PENDING': {
+        const deps = dependencyState(job);
+        if (deps === 'failed') finish(job, 'FAILED', 'Dependent Job failed');
+        else if (deps === 'met') job.status = 'RUNNABLE';
+        else job.status = 'PENDING';
+        break;
+      }
+      case 'RUNNABLE':
+        if (queue?.state === 'ENABLED') job.status = 'STARTING';
+        break;
+      case 'STARTING': {
+        const taskId = crypto.randomBytes(16).toString('hex');
+        const definitionName = job.jobDefinition.split('/').pop().split(':')[0];
+        job.status = 'RUNNING';
+        job.startedAt ??= now();
+        job.runUntil = now() + Number(environmentValue(job, 'MOCK_RUNTIME_MS') ?? runTime);
+        if (job.container) job.container = { ...job.container, logStreamName: `${definitionName}/default/${taskId}`, taskArn: `arn:aws:ecs:${region}:${ACCOUNT_ID}:task/mock/${taskId}` };
+        job.attempts.push({ container: { logStreamName: job.container?.logStreamName, taskArn: job.container?.taskArn }, startedAt: now() });
+        break;
+      }
+      case 'RUNNING': {
+        const attemptStart = job.attempts[job.attempts.length - 1].startedAt;
+        const timeoutSeconds = job.timeout?.attemptDurationSeconds;
+        if (timeoutSeconds && now() - attemptStart >= timeoutSeconds * 1000) {
+          endAttempt(job, 137, 'Job attempt duration exceeded timeout');
+          if (shouldRetry(job, 137)) job.status = 'RUNNABLE';
+          else finish(job, 'FAILED', 'Job attempt duration exceeded timeout');
+          break;
+        }
+        if (now() < job.runUntil) break;
+        const exitCode = exitCodeFor(job);
+        endAttempt(job, exitCode);
+        if (exitCode === 0) finish(job, 'SUCCEEDED', 'Essential container in task exited');
+        else if (shouldRetry(job, exitCode)) job.status = 'RUNNABLE';
+        else finish(job, 'FAILED', 'Essential container in task exited');
+        break;
+      }
+      default:
+    }
+  }
+
+  // An array parent runs once any child starts and ends when all have
+  function advanceParent(job) {
+    const children = job.children.map(childId => jobs.get(childId));
+    if (children.every(child => TERMINAL.includes(child.status))) {
+      const failed = children.some(child => child.status === 'FAILED');
+      finish(job, failed ? 'FAILED' : 'SUCCEEDED', failed ? 'Array Child Job failed' : undefined);
+    } else if (children.some(child => ['STARTING', 'RUNNING'].includes(child.status) || TERMINAL.includes(child.status))) {
+      job.status = 'RUNNING';
+      job.startedAt ??= now();
+    } else if (job.status === 'SUBMITTED') {
+      job.status = 'PENDING';
+    }
+  }
+
+  /** Move every unfinished job one step along its lifecycle. */
+  function tick() {
+    const pending = [...jobs.values()].filter(job => !TERMINAL.includes(job.status));
+    pending.filter(job => !job.children).forEach(advance);
+    pending.filter(job => job.children).forEach(advanceParent);
+  }
+
+  function handle(method, pathname, query, body) {
+    const tagged = pathname.match(/^\/v1\/tags\/(.+)$/);
+    if (tagged) return tagOperation(method, decodeURIComponent(tagged[1]), body, query);
+    const operation = operations[pathname.replace(/^\/v1\//, '')];
+    if (!pathname.startsWith('/v1/') || !operation || method !== 'POST') {
+      throw new BatchError(`Unknown operation ${method} ${pathname}`, 'UnknownOperationException', 404);
+    }
+    return operation(body);
+  }
+
+  return { handle, tick };
+}
+
+// ============================================================
+// HTTP server
+// ============================================================
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, payload, errorType) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'x-amzn-RequestId': crypto.randomUUID(),
+    ...(errorType && { 'x-amzn-ErrorType': errorType })
+  });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Start the mock on `host:port`. Jobs advance one lifecycle step every
+ * `tick` ms and stay RUNNING for `runTime` ms. Requests must be signed with
+ * `accessKeyId`/`secretAccessKey` unless `verify` is false. Resolves to
+ * `{ url, close }` once listening.
+ */
+export function startMockServer({
+  port = 4566,
+  host = '127.0.0.1',
+  region = 'us-east-1',
+  tick = 1000,
+  runTime = 3000,
+  accessKeyId = 'test',
+  secretAccessKey = 'test',
+  verify = true,
+  log = () => {}
+} = {}) {
+  const batch = createMockBatch({ region, runTime });
+  const timer = setInterval(batch.tick, tick);
+
+  const server = http.createServer(async (req, res) => {
+    const raw = await readBody(req);
+    const url = new URL(req.url, `http://${req.headers.host || `${host}:${port}`}`);
+    let status = 200;
+    try {
+      if (verify) {
+        const failure = verifySignature(
+          { method: req.method, url: `http://${req.headers.host}${req.url}`, headers: req.headers, body: raw },
+          key => (key === accessKeyId ? secretAccessKey : undefined),
+          { service: 'batch' }
+        );
+        if (failure) throw new BatchError(failure.message, failure.code, 403);
+      }
+      let body = {};
+      if (raw) {
+        try {
+          body = JSON.parse(raw);
+        } catch {
+          throw new BatchError('Request body is not valid JSON', 'SerializationException');
+        }
+      }
+      send(res, 200, batch.handle(req.method, url.pathname, url.searchParams, body));
+    } catch (error) {
+      status = error.status || 500;
+      const code = error.code || 'ServerException';
+      send(res, status, { __type: code, message: error.message }, code);
+    }
+    log(`${req.method} ${url.pathname} ${status}`);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        close: () => new Promise(done => {
+          clearInterval(timer);
+          server.close(done);
+        })
+      });
+    });
+  });
+}
@@ -0,0 +1,260 @@
+import chalk from 'chalk';
+import YAML from 'yaml';
+import { compileQuery } from './query.js';
+import { ValidationError } from './errors.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'yaml', 'csv', 'tsv', 'text'];
+
+const MAX_CELL_WIDTH = 40;
+
+const settings = {
+  format: 'table',
+  columns: null,
+  query: null,
+  truncate: true,
+  wide: false
+};
+
+// ============================================================
+// Configuration
+// ============================================================
+
+// Split on commas that are not inside brackets, parentheses or quotes, so
+// `--columns 'id=jobId,tags=join(`,`, keys(tags))'` keeps the function intact
+function splitColumns(spec) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of spec) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if ('[({'.includes(ch)) {
+      depth++;
+    } else if ('])}'.includes(ch)) {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+// `jobId`, `container.exitCode` or `Exit=container.exitCode`
+function parseColumns(spec) {
+  return splitColumns(spec).map(entry => {
+    const labelled = entry.match(/^([A-Za-z_][\w -]*)=(?!=)(.+)$/);
+    const [label, expression] = labelled ? [labelled[1].trim(), labelled[2].trim()] : [entry, entry];
+    const get = compileQuery(expression);
+    return { label, value: (row) => get(row) };
+  });
+}
+
+/**
+ * Apply the global output options. Expressions are compiled here so a bad
+ * --query or --columns fails before any request is made.
+ */
+export function configureOutput({ format = 'table', columns, query, truncate = true, wide = false, color = true } = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown output format '${format}'. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  settings.format = format;
+  settings.columns = columns ? parseColumns(columns) : null;
+  settings.query = query ? compileQuery(query) : null;
+  settings.truncate = truncate;
+  settings.wide = wide;
+  if (!color || process.env.NO_COLOR) chalk.level = 0;
+}
+
+export function outputFormat() {
+  return settings.format;
+}
+
+/**
+ * True when --output, --columns or --query replace a command's own
+ * human-readable layout; commands then hand their data to printOutput and
+ * keep progress messages off stdout.
+ */
+export function customOutput() {
+  return settings.format !== 'table' || Boolean(settings.columns || settings.query);
+}
+
+// ============================================================
+// Columns and cells
+// ============================================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function valueAt(row, path) {
+  return path.split('.').reduce((value, key) => (isObject(value) ? value[key] : undefined), row);
+}
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// A command's column spec is `{ key, label, format?, wide? }`; `key` may be a
+// dotted path and `wide` columns appear only with --wide
+function fromSpec(col) {
+  return {
+    label: col.label,
+    value: (row) => (col.format ? col.format(valueAt(row, col.key), row) : valueAt(row, col.key))
+  };
+}
+
+function columnsFor(rows, defaults) {
+  if (settings.columns) return settings.columns;
+
+  const visible = (defaults || []).filter(col => settings.wide || !col.wide);
+  // A --query that reshapes the rows makes the command's columns meaningless
+  const fits = !settings.query || rows.some(row => isObject(row) && visible.some(col => valueAt(row, col.key) !== undefined));
+  if (visible.length && fits) return visible.map(fromSpec);
+
+  if (!rows.some(isObject)) return [{ label: 'Value', value: (row) => row }];
+  const keys = [...new Set(rows.filter(isObject).flatMap(row => Object.keys(row)))];
+  return keys.map(key => ({ label: key, value: (row) => row?.[key] }));
+}
+
+// --columns with json/yaml selects and renames fields
+function project(result) {
+  if (!settings.columns) return result;
+  const pick = (row) => Object.fromEntries(settings.columns.map(col => [col.label, col.value(row) ?? null]));
+  if (Array.isArray(result)) return result.map(pick);
+  return isObject(result) ? pick(result) : result;
+}
+
+// ============================================================
+// Renderers
+// ============================================================
+
+function csvField(value) {
+  return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function tsvField(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r?\n/g, '\\n');
+}
+
+function delimitedLine(row, columns, format) {
+  const values = columns.map(col => cell(col.value(row)));
+  return format === 'csv' ? values.map(csvField).join(',') : values.map(tsvField).join('\t');
+}
+
+function delimitedHeader(columns, format) {
+  if (format === 'text') return null;
+  const labels = columns.map(col => col.label);
+  return format === 'csv' ? labels.map(csvField).join(',') : labels.map(tsvField).join('\t');
+}
+
+function renderTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log(chalk.yellow('No results found.'));
+    return;
+  }
+
+  const cells = rows.map(row => columns.map(col => cell(col.value(row))));
+  const widths = columns.map((col, i) => {
+    const widest = Math.max(col.label.length, ...cells.map(line => line[i].length));
+    return settings.truncate ? Math.min(widest, MAX_CELL_WIDTH) : widest;
+  });
+
+  const header = columns.map((col, i) => col.label.padEnd(widths[i])).join('  ');
+  console.log(chalk.bold(chalk.cyan(header)));
+  console.log(chalk.dim('─'.repeat(header.length)));
+  cells.forEach(line => {
+    console.log(line.map((value, i) => value.substring(0, widths[i]).padEnd(widths[i])).join('  '));
+  });
+
+  console.log(chalk.dim(`\n${rows.length} result(s)`));
+}
+
+/**
+ * Print rows as a table in the default layout. Honours --columns, --wide and
+ * --no-truncate; commands call this only when customOutput() is false or
+ * for tables that accompany their own detail view.
+ */
+export function printTable(rows, columns) {
+  renderTable(rows || [], columnsFor(rows || [], columns));
+}
+
+/**
+ * Print a command's result in the selected format after applying --query.
+ * `columns` is the command's default column spec for tabular formats; detail
+ * views pass none and get one column per top-level field.
+ */
+export function printOutput(data, columns) {
+  const result = settings.query ? settings.query(data) : data;
+
+  if (settings.format === 'json') {
+    console.log(JSON.stringify(project(result), null, 2));
+    return;
+  }
+  if (settings.format === 'yaml') {
+    process.stdout.write(YAML.stringify(project(result) ?? null));
+    return;
+  }
+  if (!Array.isArray(result) && !isObject(result)) {
+    if (result !== null && result !== undefined) console.log(cell(result));
+    return;
+  }
+
+  const rows = Array.isArray(result) ? result : [result];
+  const cols = columnsFor(rows, columns);
+  if (settings.format === 'table') {
+    renderTable(rows, cols);
+    return;
+  }
+  const header = delimitedHeader(cols, settings.format);
+  if (header !== null) console.log(header);
+  rows.forEach(row => console.log(delimitedLine(row, cols, settings.format)));
+}
+
+/** Whether printPageStream can write pages as they arrive (no --query, not a table). */
+export function canStreamPages() {
+  return settings.format !== 'table' && !settings.query;
+}
+
+/**
+ * Write `{ items, nextToken }` pages as they arrive so large listings are
+ * never held in memory. Returns the last nextToken seen.
+ */
+export async function printPageStream(pages, columns) {
+  const { format } = settings;
+  let count = 0;
+  let cols = null;
+  let nextToken;
+
+  // The opening bracket waits for the first page, so a failed first request
+  // leaves stdout empty rather than half an array
+  for await (const page of pages) {
+    nextToken = page.nextToken;
+    for (const item of page.items) {
+      if (format === 'json') {
+        process.stdout.write((count ? ',\n' : '[\n') + JSON.stringify(project(item), null, 2).replace(/^/gm, '  '));
+      } else if (format === 'yaml') {
+        process.stdout.write(YAML.stringify([project(item)]));
+      } else {
+        if (!cols) {
+          cols = columnsFor(page.items, columns);
+          const header = delimitedHeader(cols, format);
+          if (header !== null) console.log(header);
+        }
+        console.log(delimitedLine(item, cols, format));
+      }
+      count++;
+    }
+  }
+  if (format === 'json') process.stdout.write(count ? '\n]\n' : '[]\n');
+  if (format === 'yaml' && count === 0) process.stdout.write('[]\n');
+  return nextToken;
+}
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import { readStructuredFile, unreadableFile } from './files.js';
+import { ValidationError } from './errors.js';
+
+const STEP_NAME = /^[A-Za-z0-9_-]{1,100}$/;
+const DEPENDENCY_TYPES = ['N_TO_N', 'SEQUENTIAL'];
+const MAX_DEPENDENCIES = 20;
+
+// ============================================================
+// Loading
+// ============================================================
+
+// `needs` entries are "step" or "step:N_TO_N", or { step, type }
+function normalizeNeed(need) {
+  if (need && typeof need === 'object') {
+    return { step: String(need.step), type: need.type ? String(need.type).toUpperCase() : undefined };
+  }
+  const [step, type] = String(need).split(':');
+  return { step, type: type ? type.toUpperCase() : undefined };
+}
+
+/**
+ * Read a pipeline file (YAML or JSON). Steps may be a mapping of
+ * name -> spec or a list of specs with a `name` field; `defaults` are merged
+ * into every step.
+ */
+export function loadPipeline(file) {
+  const doc = readStructuredFile(file);
+  if (!doc || typeof doc !== 'object' || !doc.steps) {
+    throw new ValidationError(`${file} must define a top-level 'steps' mapping or list`);
+  }
+
+  const entries = Array.isArray(doc.steps)
+    ? doc.steps.map(step => [step?.name, step])
+    : Object.entries(doc.steps);
+  const defaults = doc.defaults || {};
+
+  const steps = entries.map(([name, spec]) => {
+    const merged = { ...defaults, ...spec };
+    const needs = merged.needs === undefined ? [] : [].concat(merged.needs);
+    return {
+      name: name === undefined ? undefined : String(name),
+      jobName: merged.jobName,
+      queue: merged.queue,
+      definition: merged.definition,
+      parameters: { ...defaults.parameters, ...spec?.parameters },
+      containerOverrides: merged.containerOverrides,
+      arraySize: merged.arraySize,
+      retries: merged.retries,
+      timeout: merged.timeout,
+      tags: { ...defaults.tags, ...spec?.tags },
+      needs: needs.map(normalizeNeed)
+    };
+  });
+
+  return {
+    name: doc.name || path.basename(file).replace(/\.(ya?ml|json)$/i, ''),
+    file: path.resolve(file),
+    steps
+  };
+}
+
+// ============================================================
+// Validation and ordering
+// ============================================================
+
+function findCycle(steps) {
+  const byName = new Map(steps.map(step => [step.name, step]));
+  const state = new Map();
+  const stack = [];
+
+  function visit(name) {
+    state.set(name, 'visiting');
+    stack.push(name);
+    for (const need of byName.get(name).needs) {
+      if (!byName.has(need.step)) continue;
+      if (state.get(need.step) === 'visiting') return [...stack.slice(stack.indexOf(need.step)), need.step];
+      if (!state.has(need.step)) {
+        const cycle = visit(need.step);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(name, 'done');
+    return null;
+  }
+
+  for (const step of steps) {
+    if (!state.has(step.name)) {
+      const cycle = visit(step.name);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check step names, required fields, `needs` references and that the graph
+ * is acyclic. Throws one error listing every problem found.
+ */
+export function validatePipeline(pipeline) {
+  const errors = [];
+  const names = new Set();
+
+  pipeline.steps.forEach((step, i) => {
+    const label = step.name ? `step '${step.name}'` : `step #${i + 1}`;
+    if (!step.name || !STEP_NAME.test(step.name)) {
+      errors.push(`${label}: name must be 1-100 letters, numbers, hyphens or underscores`);
+    } else if (names.has(step.name)) {
+      errors.push(`${label}: duplicate step name`);
+    }
+    names.add(step.name);
+    if (!step.queue) errors.push(`${label}: missing 'queue'`);
+    if (!step.definition) errors.push(`${label}: missing 'definition'`);
+    if (step.needs.length > MAX_DEPENDENCIES) {
+      errors.push(`${label}: at most ${MAX_DEPENDENCIES} entries in 'needs' (AWS Batch dependsOn limit)`);
+    }
+    step.needs.forEach(need => {
+      if (need.type && !DEPENDENCY_TYPES.includes(need.type)) {
+        errors.push(`${label}: unknown dependency type '${need.type}' (use N_TO_N or SEQUENTIAL)`);
+      }
+    });
+  });
+
+  pipeline.steps.forEach(step => {
+    step.needs.forEach(need => {
+      if (need.step === step.name) errors.push(`step '${step.name}': cannot need itself`);
+      else if (!names.has(need.step)) errors.push(`step '${step.name}': needs unknown step '${need.step}'`);
+    });
+  });
+
+  if (errors.length === 0) {
+    const cycle = findCycle(pipeline.steps);
+    if (cycle) errors.push(`dependency cycle: ${cycle.join(' -> ')}`);
+  }
+
+  if (errors.length) {
+    throw new ValidationError(`Invalid pipeline ${pipeline.file}:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Kahn's algorithm, keeping declaration order among steps that are ready at
+ * the same time so submissions are predictable.
+ */
+export function topologicalOrder(steps) {
+  const remaining = new Map(steps.map(step => [step.name, new Set(step.needs.map(need => need.step))]));
+  const ordered = [];
+  while (remaining.size) {
+    const ready = steps.find(step => remaining.get(step.name)?.size === 0);
+    if (!ready) throw new ValidationError('Pipeline has a dependency cycle');
+    ordered.push(ready);
+    remaining.delete(ready.name);
+    remaining.forEach(needs => needs.delete(ready.name));
+  }
+  return ordered;
+}
+
+/**
+ * Turn a step into a SubmitJob request, resolving `needs` to the job IDs
+ * already submitted for earlier steps.
+ */
+export function buildStepRequest(pipeline, step, jobIds) {
+  // Batch only accepts string parameter and tag values; YAML yields numbers and dates too
+  const strings = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, v instanceof Date ? v.toISOString().slice(0, 10) : String(v)]));
+  return {
+    jobName: step.jobName || `${pipeline.name}-${step.name}`,
+    jobQueue: step.queue,
+    jobDefinition: step.definition,
+    ...(Object.keys(step.parameters).length && { parameters: strings(step.parameters) }),
+    ...(step.containerOverrides && { containerOverrides: step.containerOverrides }),
+    ...(step.arraySize && { arrayProperties: { size: parseInt(step.arraySize) } }),
+    ...(step.retries && { retryStrategy: { attempts: parseInt(step.retries) } }),
+    ...(step.timeout && { timeout: { attemptDurationSeconds: parseInt(step.timeout) } }),
+    ...(Object.keys(step.tags).length && { tags: strings(step.tags) }),
+    dependsOn: step.needs.map(need => ({ jobId: jobIds[need.step], ...(need.type && { type: need.type }) }))
+  };
+}
+
+// ============================================================
+// Run manifests
+// ============================================================
+
+export function defaultManifestPath(pipeline, startedAt) {
+  const stamp = startedAt.replace(/[:.]/g, '-');
+  return path.join(path.dirname(pipeline.file), `${pipeline.name}.run-${stamp}.json`);
+}
+
+export function writeManifest(file, manifest) {
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+export function readManifest(file) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw error instanceof SyntaxError
+      ? new ValidationError(`Cannot read run manifest ${file}: ${error.message}`)
+      : unreadableFile(`run manifest ${file}`, error);
+  }
+  if (!manifest?.steps || typeof manifest.steps !== 'object') {
+    throw new ValidationError(`${file} is not a pipeline run manifest`);
+  }
+  return manifest;
+}
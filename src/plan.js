@@ -0,0 +1,463 @@
+import path from 'path';
+import { readStructuredFile } from './files.js';
+import { validateDefinition } from './validate.js';
+import { comparableDefinition, diffValues } from './diff.js';
+import { ValidationError, WaitTimeoutError } from './errors.js';
+import {
+  listComputeEnvironments,
+  getComputeEnvironment,
+  createComputeEnvironment,
+  updateComputeEnvironment,
+  deleteComputeEnvironment,
+  listQueues,
+  getQueue,
+  createQueue,
+  updateQueue,
+  deleteQueue,
+  listDefinitions,
+  registerDefinition,
+  deregisterDefinition,
+  listSchedulingPolicies,
+  createSchedulingPolicy,
+  updateSchedulingPolicy,
+  deleteSchedulingPolicy
+} from './api.js';
+
+// Apply order: policies and compute environments before the queues that use
+// them; pruning runs in reverse
+const KINDS = [
+  { section: 'schedulingPolicies', label: 'scheduling policy' },
+  { section: 'computeEnvironments', label: 'compute environment' },
+  { section: 'jobQueues', label: 'job queue' },
+  { section: 'jobDefinitions', label: 'job definition' }
+];
+const NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
+// Lists whose order carries no meaning
+const SET_FIELDS = ['subnets', 'securityGroupIds', 'instanceTypes', 'platformCapabilities'];
+
+// Fields that may hold a bare name or a full ARN
+const ARN_FIELDS = ['serviceRole', 'instanceRole', 'spotIamFleetRole', 'schedulingPolicy'];
+
+// Changing these requires deleting and recreating the compute environment
+const CE_IMMUTABLE = ['type', 'computeResources.type'];
+
+function arnName(value) {
+  return typeof value === 'string' && value.startsWith('arn:') ? value.slice(value.lastIndexOf('/') + 1) : value;
+}
+
+// ============================================================
+// Loading
+// ============================================================
+
+function sectionEntries(doc, section) {
+  const value = doc[section];
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.map(spec => [spec?.name, spec]);
+  if (typeof value === 'object') return Object.entries(value);
+  throw new ValidationError(`'${section}' must be a mapping of name -> spec or a list`);
+}
+
+/**
+ * Read a stack file: top-level `computeEnvironments`, `schedulingPolicies`,
+ * `jobQueues` and `jobDefinitions`, each a mapping of name -> spec (or a list
+ * of specs with `name`). Throws one error listing every problem found.
+ */
+export function loadStack(file) {
+  const doc = readStructuredFile(file);
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new ValidationError(`${file} must be a mapping with ${KINDS.map(kind => kind.section).join(', ')}`);
+  }
+
+  const errors = [];
+  const known = KINDS.map(kind => kind.section);
+  Object.keys(doc).filter(key => !known.includes(key)).forEach(key => {
+    errors.push(`unknown top-level key '${key}' (expected ${known.join(', ')})`);
+  });
+
+  const stack = { file: path.resolve(file), name: path.basename(file), sections: {} };
+  for (const { section } of KINDS) {
+    if (!(section in doc)) continue;
+    const names = new Set();
+    stack.sections[section] = sectionEntries(doc, section).map(([name, spec]) => {
+      const label = `${section}.${name}`;
+      if (!name || !NAME.test(String(name))) errors.push(`${label}: name must be 1-128 letters, numbers, hyphens or underscores`);
+      else if (names.has(name)) errors.push(`${label}: declared twice`);
+      names.add(name);
+      const { name: _, ...rest } = spec || {};
+      return { name: String(name), spec: rest };
+    });
+  }
+
+  for (const { name, spec } of stack.sections.jobQueues || []) {
+    if (!Array.isArray(spec.computeEnvironments) || spec.computeEnvironments.length === 0) {
+      errors.push(`jobQueues.${name}: 'computeEnvironments' must list at least one compute environment, in order`);
+    }
+  }
+  for (const { name, spec } of stack.sections.jobDefinitions || []) {
+    validateDefinition(desiredDefinition(name, spec))
+      .filter(issue => issue.level === 'error')
+      .forEach(issue => errors.push(`jobDefinitions.${name}: ${issue.path.replace(/^\$\.?/, '') || '(definition)'}: ${issue.message}`));
+  }
+
+  if (errors.length) {
+    throw new ValidationError(`Invalid stack ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return stack;
+}
+
+// ============================================================
+// Desired and current state in comparable form
+// ============================================================
+
+function desiredDefinition(name, spec) {
+  return { jobDefinitionName: name, type: 'container', ...spec };
+}
+
+function desired(section, name, spec) {
+  switch (section) {
+    case 'computeEnvironments':
+      return { type: 'MANAGED', state: 'ENABLED', ...spec };
+    case 'jobQueues':
+      return { state: 'ENABLED', priority: 1, ...spec, computeEnvironments: spec.computeEnvironments.map(arnName) };
+    case 'jobDefinitions':
+      return comparableDefinition(desiredDefinition(name, spec));
+    default:
+      return { ...spec };
+  }
+}
+
+function current(section, resource) {
+  switch (section) {
+    case 'computeEnvironments':
+      return {
+        type: resource.type,
+        state: resource.state,
+        serviceRole: resource.serviceRole,
+        unmanagedvCpus: resource.unmanagedvCpus,
+        computeResources: resource.computeResources
+      };
+    case 'jobQueues':
+      return {
+        state: resource.state,
+        priority: resource.priority,
+        computeEnvironments: [...(resource.computeEnvironmentOrder || [])]
+          .sort((a, b) => a.order - b.order)
+          .map(entry => arnName(entry.computeEnvironment)),
+        schedulingPolicy: arnName(resource.schedulingPolicyArn)
+      };
+    case 'jobDefinitions':
+      return comparableDefinition(resource);
+    default:
+      return { fairsharePolicy: resource.fairsharePolicy };
+  }
+}
+
+/**
+ * Keep only the fields the stack declares, so values AWS fills in (ARNs,
+ * status, defaults) are not reported as drift. Sets are sorted and ARNs
+ * reduced to names on both sides.
+ */
+function project(actual, wanted, key) {
+  if (ARN_FIELDS.includes(key)) return arnName(actual);
+  if (SET_FIELDS.includes(key) && Array.isArray(actual)) return [...actual].map(String).sort();
+  if (!wanted || typeof wanted !== 'object' || Array.isArray(wanted) || !actual || typeof actual !== 'object') return actual;
+  return Object.fromEntries(Object.keys(wanted).map(k => [k, project(actual[k], wanted[k], k)]));
+}
+
+function normalize(value, key) {
+  if (ARN_FIELDS.includes(key)) return arnName(value);
+  if (SET_FIELDS.includes(key) && Array.isArray(value)) return [...value].map(String).sort();
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalize(v, k)]));
+}
+
+// Tags are only sent on create (job definitions carry them in every revision)
+function withoutTags(spec) {
+  const { tags, ...rest } = spec;
+  return rest;
+}
+
+// ============================================================
+// Planning
+// ============================================================
+
+function latestRevisions(definitions) {
+  const latest = new Map();
+  for (const def of definitions) {
+    if (def.status !== 'ACTIVE') continue;
+    const seen = latest.get(def.jobDefinitionName);
+    if (!seen || def.revision > seen.revision) latest.set(def.jobDefinitionName, def);
+  }
+  return latest;
+}
+
+const byName = (items, key) => new Map(items.map(item => [item[key], item]));
+const live = (status) => !['DELETING', 'DELETED'].includes(status);
+
+/**
+ * Describe what exists for every section the stack declares. Without --prune
+ * only the declared job definitions are fetched; the other listings are
+ * small enough to read whole.
+ */
+export async function fetchState(stack, { prune = false } = {}) {
+  const sections = stack.sections;
+  const state = {};
+  if (sections.schedulingPolicies || sections.jobQueues) {
+    state.schedulingPolicies = byName(await listSchedulingPolicies(), 'name');
+  }
+  if (sections.computeEnvironments || sections.jobQueues) {
+    state.computeEnvironments = byName((await listComputeEnvironments()).filter(ce => live(ce.status)), 'computeEnvironmentName');
+  }
+  if (sections.jobQueues) {
+    state.jobQueues = byName((await listQueues()).filter(queue => live(queue.status)), 'jobQueueName');
+  }
+  if (sections.jobDefinitions) {
+    const definitions = prune
+      ? await listDefinitions({ status: 'ACTIVE' })
+      : (await Promise.all(sections.jobDefinitions.map(({ name }) => listDefinitions({ definitionName: name, status: 'ACTIVE' })))).flat();
+    state.jobDefinitions = latestRevisions(definitions);
+  }
+  return state;
+}
+
+/**
+ * Compare the stack with the fetched state. Each action is
+ * `{ section, label, name, action, changes, spec, resource }` where action is
+ * create, update, replace (not applied automatically), delete or noop.
+ */
+export function buildPlan(stack, state, { prune = false } = {}) {
+  const actions = [];
+  const errors = [];
+
+  for (const { section, label } of KINDS) {
+    const declared = stack.sections[section];
+    if (!declared) continue;
+    const existing = state[section];
+
+    for (const { name, spec } of declared) {
+      const resource = existing.get(name);
+      const wanted = normalize(desired(section, name, spec));
+      if (!resource) {
+        actions.push({ section, label, name, action: 'create', changes: [], spec });
+        continue;
+      }
+
+      // A definition is compared whole, so removing a field registers a new revision
+      const compared = section === 'jobDefinitions' ? wanted : withoutTags(wanted);
+      const actual = section === 'jobDefinitions' ? normalize(current(section, resource)) : project(current(section, resource), compared);
+      const changes = diffValues(actual, compared);
+      let action = changes.length ? 'update' : 'noop';
+      if (section === 'computeEnvironments' && changes.some(change => CE_IMMUTABLE.includes(change.path))) action = 'replace';
+      actions.push({ section, label, name, action, changes, spec, resource });
+    }
+
+    if (prune) {
+      const names = new Set(declared.map(entry => entry.name));
+      for (const [name, resource] of existing) {
+        if (!names.has(name)) actions.push({ section, label, name, action: 'delete', changes: [], resource });
+      }
+    }
+  }
+
+  // Queues must reference compute environments and policies that will exist.
+  // Existing policies are resolved to ARNs here, as queues only take ARNs
+  const policyArns = {};
+  for (const { name, spec } of stack.sections.jobQueues || []) {
+    const declaredCes = new Set((stack.sections.computeEnvironments || []).map(entry => entry.name));
+    for (const ce of spec.computeEnvironments || []) {
+      const ceName = arnName(ce);
+      if (!declaredCes.has(ceName) && !state.computeEnvironments.has(ceName)) {
+        errors.push(`jobQueues.${name}: compute environment '${ceName}' is neither declared nor existing`);
+      }
+      if (prune && !declaredCes.has(ceName) && stack.sections.computeEnvironments) {
+        errors.push(`jobQueues.${name}: compute environment '${ceName}' would be removed by --prune`);
+      }
+    }
+    const policy = arnName(spec.schedulingPolicy);
+    const declaredPolicies = new Set((stack.sections.schedulingPolicies || []).map(entry => entry.name));
+    if (policy && !declaredPolicies.has(policy) && !state.schedulingPolicies.has(policy)) {
+      errors.push(`jobQueues.${name}: scheduling policy '${policy}' is neither declared nor existing`);
+    }
+    if (policy && state.schedulingPolicies.has(policy)) policyArns[policy] = state.schedulingPolicies.get(policy).arn;
+  }
+  if (errors.length) {
+    throw new ValidationError(`Cannot plan ${stack.name}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const count = (action) => actions.filter(item => item.action === action).length;
+  return {
+    file: stack.file,
+    actions,
+    policyArns,
+    summary: { create: count('create'), update: count('update'), replace: count('replace'), delete: count('delete'), noop: count('noop') }
+  };
+}
+
+export function hasChanges(plan) {
+  return plan.actions.some(item => item.action !== 'noop');
+}
+
+// ============================================================
+// Applying
+// ============================================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll until `done(resource)` holds. Compute environment and queue changes
+ * are asynchronous: a new compute environment must be VALID before a queue
+ * can use it, and a queue must finish updating before it can be deleted.
+ */
+async function waitFor(what, fetch, done, { timeout, interval, log }) {
+  const deadline = Date.now() + timeout;
+  let announced = false;
+  while (true) {
+    const resource = await fetch();
+    if (done(resource)) return resource;
+    if (resource?.status === 'INVALID') {
+      throw new ValidationError(`${what} is INVALID: ${resource.statusReason || 'no reason given'}`);
+    }
+    if (Date.now() > deadline) throw new WaitTimeoutError(`Timed out waiting for ${what} (status ${resource?.status || 'unknown'})`);
+    if (!announced) log(`  waiting for ${what}...`);
+    announced = true;
+    await sleep(interval);
+  }
+}
+
+function computeEnvironmentOrder(names) {
+  return names.map((computeEnvironment, i) => ({ order: i + 1, computeEnvironment }));
+}
+
+function changedFields(item) {
+  return new Set(item.changes.map(change => change.path.split(/[.[]/)[0]));
+}
+
+async function applyAction(item, context) {
+  const { name, spec } = item;
+  const { policyArns, wait, log } = context;
+  const settled = (resource) => resource?.status === 'VALID';
+
+  switch (`${item.section}:${item.action}`) {
+    case 'schedulingPolicies:create': {
+      const result = await createSchedulingPolicy({ name, fairsharePolicy: spec.fairsharePolicy, tags: spec.tags });
+      policyArns.set(name, result?.arn);
+      return;
+    }
+    case 'schedulingPolicies:update':
+      await updateSchedulingPolicy({ arn: item.resource.arn, fairsharePolicy: spec.fairsharePolicy });
+      return;
+    case 'schedulingPolicies:delete':
+      await deleteSchedulingPolicy(item.resource.arn);
+      return;
+
+    case 'computeEnvironments:create':
+      await createComputeEnvironment({ computeEnvironmentName: name, ...spec });
+      await wait(`compute environment ${name}`, () => getComputeEnvironment(name), settled);
+      return;
+    case 'computeEnvironments:update': {
+      const fields = changedFields(item);
+      await updateComputeEnvironment({
+        computeEnvironmentName: name,
+        ...(fields.has('state') && { state: spec.state }),
+        ...(fields.has('serviceRole') && { serviceRole: spec.serviceRole }),
+        ...(fields.has('unmanagedvCpus') && { unmanagedvCpus: spec.unmanagedvCpus }),
+        ...(fields.has('computeResources') && { computeResources: spec.computeResources })
+      });
+      await wait(`compute environment ${name}`, () => getComputeEnvironment(name), settled);
+      return;
+    }
+    case 'computeEnvironments:delete':
+      if (item.resource.state !== 'DISABLED') {
+        await updateComputeEnvironment({ computeEnvironmentName: name, state: 'DISABLED' });
+        await wait(`compute environment ${name} to disable`, () => getComputeEnvironment(name), settled);
+      }
+      await deleteComputeEnvironment(name);
+      return;
+
+    case 'jobQueues:create':
+    case 'jobQueues:update': {
+      const policy = spec.schedulingPolicy && (spec.schedulingPolicy.startsWith('arn:') ? spec.schedulingPolicy : policyArns.get(spec.schedulingPolicy));
+      // Without its ARN the queue would silently be created or left FIFO
+      if (spec.schedulingPolicy && !policy) {
+        throw new ValidationError(`Scheduling policy '${spec.schedulingPolicy}' of job queue ${name} could not be resolved to an ARN`);
+      }
+      const request = {
+        queueName: name,
+        state: spec.state || 'ENABLED',
+        priority: spec.priority ?? 1,
+        computeEnvironmentOrder: computeEnvironmentOrder(spec.computeEnvironments),
+        schedulingPolicyArn: policy
+      };
+      if (item.action === 'create') await createQueue({ ...request, tags: spec.tags });
+      else await updateQueue(request);
+      await wait(`job queue ${name}`, () => getQueue(name), settled);
+      return;
+    }
+    case 'jobQueues:delete':
+      if (item.resource.state !== 'DISABLED') {
+        await updateQueue({ queueName: name, state: 'DISABLED' });
+        await wait(`job queue ${name} to disable`, () => getQueue(name), settled);
+      }
+      await deleteQueue(name);
+      // Compute environments cannot be deleted while a queue still uses them
+      await wait(`job queue ${name} to be deleted`, () => getQueue(name), (queue) => !queue || queue.status === 'DELETED');
+      return;
+
+    case 'jobDefinitions:create':
+    case 'jobDefinitions:update': {
+      const def = desiredDefinition(name, spec);
+      const result = await registerDefinition({ ...def, definitionName: name });
+      log(`  registered ${name}:${result?.revision ?? '?'}`);
+      return;
+    }
+    case 'jobDefinitions:delete':
+      for (const def of await listDefinitions({ definitionName: name, status: 'ACTIVE' })) {
+        await deregisterDefinition(`${name}:${def.revision}`);
+      }
+      return;
+
+    default:
+      throw new Error(`Cannot ${item.action} ${item.label} ${name}`);
+  }
+}
+
+export function assertApplicable(plan) {
+  const blocked = plan.actions.filter(item => item.action === 'replace');
+  if (blocked.length) {
+    throw new ValidationError(`Cannot apply: ${blocked.map(item => `${item.label} ${item.name}`).join(', ')} must be replaced (${CE_IMMUTABLE.join(', ')} cannot be updated). Delete and recreate it, or revert the change.`);
+  }
+}
+
+/**
+ * Execute a plan: creates and updates in dependency order, then deletions in
+ * reverse. Stops at the first failure; `onAction(item, error)` is called after
+ * each step.
+ */
+export async function applyPlan(plan, { timeout = 15 * 60 * 1000, interval = 10000, log = () => {}, onAction = () => {} } = {}) {
+  assertApplicable(plan);
+
+  const policyArns = new Map(Object.entries(plan.policyArns || {}));
+  const context = {
+    policyArns,
+    log,
+    wait: (what, fetch, done) => waitFor(what, fetch, done, { timeout, interval, log })
+  };
+
+  const rank = (item) => KINDS.findIndex(kind => kind.section === item.section);
+  const changes = plan.actions.filter(item => ['create', 'update'].includes(item.action)).sort((a, b) => rank(a) - rank(b));
+  // Reverse order: queues go before the compute environments and policies they use
+  const deletions = plan.actions.filter(item => item.action === 'delete').sort((a, b) => rank(b) - rank(a));
+
+  for (const item of [...changes, ...deletions]) {
+    try {
+      await applyAction(item, context);
+      onAction(item);
+    } catch (error) {
+      onAction(item, error);
+      // Keep the typed error (and its exit code and request ID)
+      error.message = `Failed to ${item.action} ${item.label} ${item.name}: ${error.message}`;
+      throw error;
+    }
+  }
+}
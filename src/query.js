@@ -0,0 +1,500 @@
+/**
+ * A JMESPath subset for --query and --columns: fields, `@`, indexes and
+ * slices, `[*]` / `*` / `[]` projections, `[?filter]`, multiselect lists and
+ * hashes, pipes, comparisons, `&&` `||` `!`, literals ('raw', `json`, bare
+ * numbers) and the common functions (length, sort_by, contains, ...).
+ */
+
+import { ValidationError } from './errors.js';
+
+// ============================================================
+// Lexer
+// ============================================================
+
+const SYMBOLS = {
+  '.': 'Dot', '*': 'Star', ',': 'Comma', ':': 'Colon', '{': 'Lbrace', '}': 'Rbrace',
+  ']': 'Rbracket', ')': 'Rparen', '@': 'Current'
+};
+
+function queryError(expression, message) {
+  return new ValidationError(`Invalid query '${expression}': ${message}`);
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+  const push = (type, value, length = 1) => {
+    tokens.push({ type, value, position: i });
+    i += length;
+  };
+
+  while (i < expression.length) {
+    const ch = expression[i];
+    const next = expression[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const [word] = expression.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      push('UnquotedIdentifier', word, word.length);
+    } else if (/[0-9-]/.test(ch)) {
+      const match = expression.slice(i).match(/^-?\d+(\.\d+)?/);
+      if (!match) throw queryError(expression, `unexpected '-' at position ${i}`);
+      push('Number', Number(match[0]), match[0].length);
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      let end = i + 1;
+      while (end < expression.length && expression[end] !== ch) end += expression[end] === '\\' ? 2 : 1;
+      if (end >= expression.length) throw queryError(expression, `unterminated ${ch} at position ${i}`);
+      const body = expression.slice(i + 1, end);
+      const length = end - i + 1;
+      if (ch === "'") {
+        push('Literal', body.replace(/\\'/g, "'"), length);
+      } else if (ch === '"') {
+        push('QuotedIdentifier', JSON.parse(`"${body}"`), length);
+      } else {
+        const text = body.replace(/\\`/g, '`');
+        let value;
+        try {
+          value = JSON.parse(text);
+        } catch {
+          // JMESPath's legacy form: an unquoted string inside backticks
+          value = text.trim();
+        }
+        push('Literal', value, length);
+      }
+    } else if (ch === '[') {
+      if (next === ']') push('Flatten', '[]', 2);
+      else if (next === '?') push('Filter', '[?', 2);
+      else push('Lbracket', '[');
+    } else if (ch === '(') {
+      push('Lparen', '(');
+    } else if (ch === '|') {
+      if (next === '|') push('Or', '||', 2);
+      else push('Pipe', '|');
+    } else if (ch === '&') {
+      if (next === '&') push('And', '&&', 2);
+      else push('Expref', '&');
+    } else if (ch === '!') {
+      if (next === '=') push('NE', '!=', 2);
+      else push('Not', '!');
+    } else if (ch === '=') {
+      if (next !== '=') throw queryError(expression, `use '==' for comparison at position ${i}`);
+      push('EQ', '==', 2);
+    } else if (ch === '<' || ch === '>') {
+      const type = ch === '<' ? 'LT' : 'GT';
+      if (next === '=') push(`${type}E`, ch + '=', 2);
+      else push(type, ch);
+    } else if (SYMBOLS[ch]) {
+      push(SYMBOLS[ch], ch);
+    } else {
+      throw queryError(expression, `unexpected '${ch}' at position ${i}`);
+    }
+  }
+  tokens.push({ type: 'EOF', position: expression.length });
+  return tokens;
+}
+
+// ============================================================
+// Parser (Pratt, after the JMESPath reference grammar)
+// ============================================================
+
+const BINDING_POWER = {
+  EOF: 0, UnquotedIdentifier: 0, QuotedIdentifier: 0, Literal: 0, Number: 0, Current: 0, Expref: 0,
+  Rbracket: 0, Rparen: 0, Comma: 0, Rbrace: 0, Colon: 0,
+  Pipe: 1, Or: 2, And: 3,
+  EQ: 5, NE: 5, LT: 5, LTE: 5, GT: 5, GTE: 5,
+  Flatten: 9, Star: 20, Filter: 21, Dot: 40, Not: 45, Lbrace: 50, Lbracket: 55, Lparen: 60
+};
+
+const COMPARATORS = ['EQ', 'NE', 'LT', 'LTE', 'GT', 'GTE'];
+const IDENTITY = { type: 'Identity' };
+
+function parse(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[index + offset].type;
+  const advance = () => tokens[index++];
+  const fail = (token, message) =>
+    queryError(expression, `${message} at position ${token.position}`);
+  const expect = (type) => {
+    const token = advance();
+    const symbol = Object.keys(SYMBOLS).find(key => SYMBOLS[key] === type);
+    if (token.type !== type) throw fail(token, `expected '${symbol}', found ${token.type === 'EOF' ? 'end of query' : `'${token.value}'`}`);
+    return token;
+  };
+
+  function parseExpression(rbp) {
+    let left = nud(advance());
+    while (rbp < BINDING_POWER[peek()]) {
+      left = led(advance(), left);
+    }
+    return left;
+  }
+
+  function nud(token) {
+    switch (token.type) {
+      case 'Literal':
+      case 'Number':
+        return { type: 'Literal', value: token.value };
+      case 'UnquotedIdentifier':
+        return { type: 'Field', name: token.value };
+      case 'QuotedIdentifier':
+        if (peek() === 'Lparen') throw fail(token, 'quoted identifiers cannot be function names');
+        return { type: 'Field', name: token.value };
+      case 'Current':
+        return { type: 'Current' };
+      case 'Not':
+        return { type: 'Not', child: parseExpression(BINDING_POWER.Not) };
+      case 'Expref':
+        return { type: 'ExpressionReference', child: parseExpression(BINDING_POWER.Expref) };
+      case 'Star': {
+        const right = peek() === 'Rbracket' ? IDENTITY : parseProjectionRHS(BINDING_POWER.Star);
+        return { type: 'ValueProjection', left: IDENTITY, right };
+      }
+      case 'Filter':
+        return led(token, IDENTITY);
+      case 'Lbrace':
+        return parseMultiSelectHash();
+      case 'Flatten': {
+        const left = { type: 'Flatten', child: IDENTITY };
+        return { type: 'Projection', left, right: parseProjectionRHS(BINDING_POWER.Flatten) };
+      }
+      case 'Lbracket':
+        if (peek() === 'Number' || peek() === 'Colon') {
+          return projectIfSlice(IDENTITY, parseIndexExpression());
+        }
+        if (peek() === 'Star' && peek(1) === 'Rbracket') {
+          advance();
+          advance();
+          return { type: 'Projection', left: IDENTITY, right: parseProjectionRHS(BINDING_POWER.Star) };
+        }
+        return parseMultiSelectList();
+      case 'Lparen': {
+        const inner = parseExpression(0);
+        expect('Rparen');
+        return inner;
+      }
+      default:
+        throw fail(token, token.type === 'EOF' ? 'unexpected end of query' : `unexpected '${token.value}'`);
+    }
+  }
+
+  function led(token, left) {
+    switch (token.type) {
+      case 'Dot':
+        if (peek() !== 'Star') {
+          return { type: 'Subexpression', left, right: parseDotRHS(BINDING_POWER.Dot) };
+        }
+        advance();
+        return { type: 'ValueProjection', left, right: parseProjectionRHS(BINDING_POWER.Dot) };
+      case 'Pipe':
+        return { type: 'Pipe', left, right: parseExpression(BINDING_POWER.Pipe) };
+      case 'Or':
+        return { type: 'Or', left, right: parseExpression(BINDING_POWER.Or) };
+      case 'And':
+        return { type: 'And', left, right: parseExpression(BINDING_POWER.And) };
+      case 'Lparen': {
+        if (left.type !== 'Field') throw fail(token, 'only a function name can be called');
+        const args = [];
+        while (peek() !== 'Rparen') {
+          args.push(parseExpression(0));
+          if (peek() === 'Comma') advance();
+          else if (peek() !== 'Rparen') throw fail(tokens[index], "expected ',' or ')'");
+        }
+        expect('Rparen');
+        return { type: 'Function', name: left.name, args };
+      }
+      case 'Filter': {
+        const condition = parseExpression(0);
+        expect('Rbracket');
+        const right = peek() === 'Flatten' ? IDENTITY : parseProjectionRHS(BINDING_POWER.Filter);
+        return { type: 'FilterProjection', left, right, condition };
+      }
+      case 'Flatten':
+        return {
+          type: 'Projection',
+          left: { type: 'Flatten', child: left },
+          right: parseProjectionRHS(BINDING_POWER.Flatten)
+        };
+      case 'Lbracket':
+        if (peek() === 'Number' || peek() === 'Colon') {
+          return projectIfSlice(left, parseIndexExpression());
+        }
+        expect('Star');
+        expect('Rbracket');
+        return { type: 'Projection', left, right: parseProjectionRHS(BINDING_POWER.Star) };
+      default:
+        if (COMPARATORS.includes(token.type)) {
+          return { type: 'Comparator', operator: token.type, left, right: parseExpression(BINDING_POWER[token.type]) };
+        }
+        throw fail(token, `unexpected '${token.value}'`);
+    }
+  }
+
+  function parseIndexExpression() {
+    const parts = [null, null, null];
+    let position = 0;
+    while (peek() !== 'Rbracket') {
+      const token = advance();
+      if (token.type === 'Colon') {
+        position++;
+        if (position > 2) throw fail(token, 'too many colons in slice');
+      } else if (token.type === 'Number') {
+        parts[position] = token.value;
+      } else {
+        throw fail(token, `unexpected '${token.value ?? token.type}' in index`);
+      }
+    }
+    expect('Rbracket');
+    return position === 0
+      ? { type: 'Index', value: parts[0] }
+      : { type: 'Slice', start: parts[0], stop: parts[1], step: parts[2] };
+  }
+
+  function projectIfSlice(left, right) {
+    const node = { type: 'IndexExpression', left, right };
+    if (right.type !== 'Slice') return node;
+    return { type: 'Projection', left: node, right: parseProjectionRHS(BINDING_POWER.Star) };
+  }
+
+  function parseProjectionRHS(rbp) {
+    const next = peek();
+    if (BINDING_POWER[next] < 10) return IDENTITY;
+    if (next === 'Lbracket' || next === 'Filter') return parseExpression(rbp);
+    if (next === 'Dot') {
+      advance();
+      return parseDotRHS(rbp);
+    }
+    throw fail(tokens[index], `unexpected '${tokens[index].value}' after projection`);
+  }
+
+  function parseDotRHS(rbp) {
+    const next = peek();
+    if (['UnquotedIdentifier', 'QuotedIdentifier', 'Star'].includes(next)) return parseExpression(rbp);
+    if (next === 'Lbracket') {
+      advance();
+      return parseMultiSelectList();
+    }
+    if (next === 'Lbrace') {
+      advance();
+      return parseMultiSelectHash();
+    }
+    throw fail(tokens[index], "expected a field, '[' or '{' after '.'");
+  }
+
+  function parseMultiSelectList() {
+    const children = [];
+    do {
+      children.push(parseExpression(0));
+    } while (peek() === 'Comma' && advance());
+    expect('Rbracket');
+    return { type: 'MultiSelectList', children };
+  }
+
+  function parseMultiSelectHash() {
+    const pairs = [];
+    do {
+      const key = advance();
+      if (key.type !== 'UnquotedIdentifier' && key.type !== 'QuotedIdentifier') throw fail(key, 'expected a key name');
+      expect('Colon');
+      pairs.push({ key: key.value, value: parseExpression(0) });
+    } while (peek() === 'Comma' && advance());
+    expect('Rbrace');
+    return { type: 'MultiSelectHash', pairs };
+  }
+
+  const ast = parseExpression(0);
+  if (peek() !== 'EOF') throw fail(tokens[index], `unexpected '${tokens[index].value}'`);
+  return ast;
+}
+
+// ============================================================
+// Interpreter
+// ============================================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFalse(value) {
+  return value === null || value === undefined || value === false || value === '' ||
+    (Array.isArray(value) && value.length === 0) || (isObject(value) && Object.keys(value).length === 0);
+}
+
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value?.type === 'ExpressionReference') return 'expref';
+  return typeof value;
+}
+
+function compare(operator, left, right) {
+  if (operator === 'EQ') return JSON.stringify(left) === JSON.stringify(right);
+  if (operator === 'NE') return JSON.stringify(left) !== JSON.stringify(right);
+  // Ordering is defined for numbers; strings compare too so ISO timestamps can be filtered
+  const comparable = (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+  if (!comparable) return null;
+  switch (operator) {
+    case 'LT': return left < right;
+    case 'LTE': return left <= right;
+    case 'GT': return left > right;
+    default: return left >= right;
+  }
+}
+
+function slice(list, start, stop, step) {
+  const size = list.length;
+  const by = step ?? 1;
+  if (by === 0) throw new ValidationError('Invalid query: slice step cannot be 0');
+  const clamp = (value, fallback) => {
+    if (value === null) return fallback;
+    if (value < 0) return Math.max(by < 0 ? -1 : 0, size + value);
+    return Math.min(value, by < 0 ? size - 1 : size);
+  };
+  const from = clamp(start, by < 0 ? size - 1 : 0);
+  const to = clamp(stop, by < 0 ? -1 : size);
+  const result = [];
+  for (let i = from; by > 0 ? i < to : i > to; i += by) result.push(list[i]);
+  return result;
+}
+
+function evaluate(node, value) {
+  switch (node.type) {
+    case 'Identity':
+    case 'Current':
+      return value;
+    case 'Literal':
+      return node.value;
+    case 'Field':
+      return isObject(value) ? (value[node.name] ?? null) : null;
+    case 'Subexpression':
+    case 'IndexExpression':
+    case 'Pipe':
+      return evaluate(node.right, evaluate(node.left, value));
+    case 'Index': {
+      if (!Array.isArray(value)) return null;
+      const position = node.value < 0 ? value.length + node.value : node.value;
+      return value[position] ?? null;
+    }
+    case 'Slice':
+      return Array.isArray(value) ? slice(value, node.start, node.stop, node.step) : null;
+    case 'Projection': {
+      const base = evaluate(node.left, value);
+      if (!Array.isArray(base)) return null;
+      return base.map(item => evaluate(node.right, item)).filter(item => item !== null && item !== undefined);
+    }
+    case 'ValueProjection': {
+      const base = evaluate(node.left, value);
+      if (!isObject(base)) return null;
+      return Object.values(base).map(item => evaluate(node.right, item)).filter(item => item !== null && item !== undefined);
+    }
+    case 'FilterProjection': {
+      const base = evaluate(node.left, value);
+      if (!Array.isArray(base)) return null;
+      return base
+        .filter(item => !isFalse(evaluate(node.condition, item)))
+        .map(item => evaluate(node.right, item))
+        .filter(item => item !== null && item !== undefined);
+    }
+    case 'Flatten': {
+      const base = evaluate(node.child, value);
+      if (!Array.isArray(base)) return null;
+      return base.flatMap(item => (Array.isArray(item) ? item : [item]));
+    }
+    case 'Comparator':
+      return compare(node.operator, evaluate(node.left, value), evaluate(node.right, value));
+    case 'Or': {
+      const left = evaluate(node.left, value);
+      return isFalse(left) ? evaluate(node.right, value) : left;
+    }
+    case 'And': {
+      const left = evaluate(node.left, value);
+      return isFalse(left) ? left : evaluate(node.right, value);
+    }
+    case 'Not':
+      return isFalse(evaluate(node.child, value));
+    case 'MultiSelectList':
+      if (value === null || value === undefined) return null;
+      return node.children.map(child => evaluate(child, value));
+    case 'MultiSelectHash':
+      if (value === null || value === undefined) return null;
+      return Object.fromEntries(node.pairs.map(pair => [pair.key, evaluate(pair.value, value)]));
+    case 'ExpressionReference':
+      return node;
+    case 'Function':
+      return callFunction(node.name, node.args.map(arg => evaluate(arg, value)));
+    default:
+      throw new Error(`Unknown query node ${node.type}`);
+  }
+}
+
+// ============================================================
+// Functions
+// ============================================================
+
+function byExpression(name, list, ref) {
+  if (!Array.isArray(list) || ref?.type !== 'ExpressionReference') {
+    throw new ValidationError(`Invalid query: ${name}() takes an array and an &expression`);
+  }
+  return list.map(item => ({ item, key: evaluate(ref.child, item) }));
+}
+
+function sortKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const FUNCTIONS = {
+  abs: (n) => Math.abs(n),
+  avg: (list) => (list.length ? list.reduce((sum, n) => sum + n, 0) / list.length : null),
+  ceil: (n) => Math.ceil(n),
+  contains: (subject, search) => (Array.isArray(subject)
+    ? subject.some(item => JSON.stringify(item) === JSON.stringify(search))
+    : typeof subject === 'string' && subject.includes(search)),
+  ends_with: (subject, suffix) => typeof subject === 'string' && subject.endsWith(suffix),
+  floor: (n) => Math.floor(n),
+  join: (glue, list) => list.join(glue),
+  keys: (obj) => Object.keys(obj ?? {}),
+  length: (subject) => (typeof subject === 'string' || Array.isArray(subject) ? subject.length : Object.keys(subject ?? {}).length),
+  max: (list) => (list.length ? list.reduce((a, b) => (b > a ? b : a)) : null),
+  max_by: (list, ref) => byExpression('max_by', list, ref).reduce((a, b) => (!a || b.key > a.key ? b : a), null)?.item ?? null,
+  merge: (...objects) => Object.assign({}, ...objects),
+  min: (list) => (list.length ? list.reduce((a, b) => (b < a ? b : a)) : null),
+  min_by: (list, ref) => byExpression('min_by', list, ref).reduce((a, b) => (!a || b.key < a.key ? b : a), null)?.item ?? null,
+  not_null: (...values) => values.find(value => value !== null && value !== undefined) ?? null,
+  reverse: (subject) => (typeof subject === 'string' ? [...subject].reverse().join('') : [...subject].reverse()),
+  sort: (list) => [...list].sort(sortKeys),
+  sort_by: (list, ref) => byExpression('sort_by', list, ref).sort((a, b) => sortKeys(a.key, b.key)).map(entry => entry.item),
+  starts_with: (subject, prefix) => typeof subject === 'string' && subject.startsWith(prefix),
+  sum: (list) => list.reduce((sum, n) => sum + n, 0),
+  to_number: (value) => (typeof value === 'number' ? value : (Number.isNaN(Number(value)) ? null : Number(value))),
+  to_string: (value) => (typeof value === 'string' ? value : JSON.stringify(value)),
+  type: (value) => typeOf(value),
+  values: (obj) => Object.values(obj ?? {})
+};
+
+function callFunction(name, args) {
+  const fn = FUNCTIONS[name];
+  if (!fn) throw new ValidationError(`Invalid query: unknown function ${name}(). Available: ${Object.keys(FUNCTIONS).join(', ')}`);
+  const arrayFunctions = ['avg', 'join', 'max', 'min', 'sort', 'sum'];
+  if (arrayFunctions.includes(name) && !Array.isArray(args[name === 'join' ? 1 : 0])) return null;
+  return fn(...args);
+}
+
+// ============================================================
+// Public
+// ============================================================
+
+/**
+ * Parse an expression once and return a function that evaluates it against
+ * a value. Throws on syntax errors so bad input fails before any API call.
+ */
+export function compileQuery(expression) {
+  const ast = parse(expression);
+  return (value) => evaluate(ast, value);
+}
+
+export function search(value, expression) {
+  return compileQuery(expression)(value);
+}
@@ -0,0 +1,86 @@
+import { ValidationError } from './errors.js';
+
+// Batch sets these itself and rejects them in overrides
+const RESERVED_ENV = /^AWS_BATCH_/;
+const RESERVED_TAG = /^aws:/;
+
+function differs(a, b) {
+  return JSON.stringify(a) !== JSON.stringify(b);
+}
+
+/**
+ * The container overrides a job ran with: its effective container compared
+ * with the definition revision it used. Without the definition, every
+ * overridable field is carried over as-is.
+ */
+function containerOverridesFromJob(container, defined) {
+  const overrides = {};
+  if (!container) return overrides;
+
+  if (container.command?.length && (!defined || differs(container.command, defined.command))) {
+    overrides.command = container.command;
+  }
+
+  const definedEnv = new Map((defined?.environment || []).map(pair => [pair.name, pair.value]));
+  const environment = (container.environment || [])
+    .filter(pair => !RESERVED_ENV.test(pair.name) && definedEnv.get(pair.name) !== pair.value);
+  if (environment.length) overrides.environment = environment;
+
+  const definedResources = new Map((defined?.resourceRequirements || []).map(req => [req.type, req.value]));
+  const resourceRequirements = (container.resourceRequirements || [])
+    .filter(req => definedResources.get(req.type) !== req.value);
+  if (resourceRequirements.length) overrides.resourceRequirements = resourceRequirements;
+
+  // Definitions that still use the deprecated top-level fields
+  if (container.vcpus !== undefined && container.vcpus !== defined?.vcpus && !definedResources.has('VCPU')) overrides.vcpus = container.vcpus;
+  if (container.memory !== undefined && container.memory !== defined?.memory && !definedResources.has('MEMORY')) overrides.memory = container.memory;
+
+  if (container.instanceType && container.instanceType !== defined?.instanceType) overrides.instanceType = container.instanceType;
+  return overrides;
+}
+
+/**
+ * Rebuild the SubmitJob request for a described job: queue, exact definition
+ * revision, parameters, container overrides, array size, retry strategy,
+ * timeout, tags and fair-share settings. `dependsOn` is left out because it
+ * refers to jobs of the original run.
+ */
+export function requestFromJob(job, definition) {
+  const tags = Object.fromEntries(Object.entries(job.tags || {}).filter(([key]) => !RESERVED_TAG.test(key)));
+  const containerOverrides = job.container && !job.nodeProperties
+    ? containerOverridesFromJob(job.container, definition?.containerProperties)
+    : {};
+  const numNodes = job.nodeProperties?.numNodes;
+
+  return {
+    jobName: job.jobName,
+    jobQueue: job.jobQueue,
+    jobDefinition: job.jobDefinition,
+    ...(job.parameters && Object.keys(job.parameters).length && { parameters: job.parameters }),
+    ...(Object.keys(containerOverrides).length && { containerOverrides }),
+    ...(numNodes && numNodes !== definition?.nodeProperties?.numNodes && { nodeOverrides: { numNodes } }),
+    ...(job.arrayProperties?.size && { arrayProperties: { size: job.arrayProperties.size } }),
+    ...(job.retryStrategy && { retryStrategy: job.retryStrategy }),
+    ...(job.timeout && { timeout: job.timeout }),
+    ...(Object.keys(tags).length && { tags }),
+    ...(job.propagateTags && { propagateTags: true }),
+    ...(job.shareIdentifier && { shareIdentifier: job.shareIdentifier }),
+    ...(job.schedulingPriority !== undefined && { schedulingPriorityOverride: job.schedulingPriority })
+  };
+}
+
+/**
+ * The definition to resubmit against: the exact revision the job used, the
+ * latest ACTIVE one (`latest`, as a bare name) or a given revision number.
+ */
+export function definitionReference(job, revision) {
+  if (!revision) return job.jobDefinition;
+  const name = job.jobDefinition.split('/').pop().split(':')[0];
+  if (revision === 'latest') return name;
+  if (!/^\d+$/.test(revision)) throw new ValidationError(`Invalid --definition-revision '${revision}'. Use 'latest' or a revision number.`);
+  return `${name}:${revision}`;
+}
+
+export function childIndex(child) {
+  return child.arrayProperties?.index ?? Number(child.jobId.split(':').pop());
+}
@@ -0,0 +1,215 @@
+/**
+ * The subset of the AWS Batch API shapes the CLI sends, used to check
+ * requests locally before they reach AWS. Structures the CLI does not model
+ * field by field (log options, EKS security contexts, ...) are `object` with
+ * no `properties`, which accepts any keys.
+ */
+
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const object = { type: 'object' };
+const integer = (min, max) => ({ type: 'integer', min, max });
+const list = (items, max) => ({ type: 'array', items, max });
+const map = (values = string) => ({ type: 'map', values });
+const oneOf = (...values) => ({ type: 'string', enum: values });
+const ref = (name) => ({ ref: name });
+const shape = (properties, required = []) => ({ type: 'object', properties, required });
+
+export const shapes = {
+  KeyValuePair: shape({ name: string, value: string }),
+  ResourceRequirement: shape({ type: oneOf('GPU', 'VCPU', 'MEMORY'), value: string }, ['type', 'value']),
+  Secret: shape({ name: string, valueFrom: string }, ['name', 'valueFrom']),
+  Ulimit: shape({ name: string, softLimit: integer(), hardLimit: integer() }, ['name', 'softLimit', 'hardLimit']),
+  MountPoint: shape({ containerPath: string, readOnly: boolean, sourceVolume: string }),
+  Volume: shape({
+    name: string,
+    host: shape({ sourcePath: string }),
+    efsVolumeConfiguration: object
+  }),
+  LogConfiguration: shape({
+    logDriver: oneOf('json-file', 'syslog', 'journald', 'gelf', 'fluentd', 'awslogs', 'splunk', 'awsfirelens'),
+    options: map(),
+    secretOptions: list(ref('Secret'))
+  }, ['logDriver']),
+  LinuxParameters: shape({
+    devices: list(object),
+    initProcessEnabled: boolean,
+    sharedMemorySize: integer(),
+    tmpfs: list(object),
+    maxSwap: integer(),
+    swappiness: integer(0, 100)
+  }),
+  NetworkConfiguration: shape({ assignPublicIp: oneOf('ENABLED', 'DISABLED') }),
+  FargatePlatformConfiguration: shape({ platformVersion: string }),
+  EphemeralStorage: shape({ sizeInGiB: integer(21, 200) }, ['sizeInGiB']),
+  RuntimePlatform: shape({
+    operatingSystemFamily: oneOf('LINUX', 'WINDOWS_SERVER_2019_FULL', 'WINDOWS_SERVER_2019_CORE', 'WINDOWS_SERVER_2022_FULL', 'WINDOWS_SERVER_2022_CORE'),
+    cpuArchitecture: oneOf('X86_64', 'ARM64')
+  }),
+
+  ContainerProperties: shape({
+    image: string,
+    vcpus: integer(1),
+    memory: integer(4),
+    command: list(string),
+    jobRoleArn: string,
+    executionRoleArn: string,
+    volumes: list(ref('Volume')),
+    environment: list(ref('KeyValuePair')),
+    mountPoints: list(ref('MountPoint')),
+    readonlyRootFilesystem: boolean,
+    privileged: boolean,
+    ulimits: list(ref('Ulimit')),
+    user: string,
+    instanceType: string,
+    resourceRequirements: list(ref('ResourceRequirement')),
+    linuxParameters: ref('LinuxParameters'),
+    logConfiguration: ref('LogConfiguration'),
+    secrets: list(ref('Secret')),
+    networkConfiguration: ref('NetworkConfiguration'),
+    fargatePlatformConfiguration: ref('FargatePlatformConfiguration'),
+    ephemeralStorage: ref('EphemeralStorage'),
+    runtimePlatform: ref('RuntimePlatform'),
+    repositoryCredentials: shape({ credentialsParameter: string }, ['credentialsParameter']),
+    enableExecuteCommand: boolean
+  }),
+
+  NodeRangeProperty: shape({
+    targetNodes: string,
+    container: ref('ContainerProperties'),
+    instanceTypes: list(string),
+    ecsProperties: ref('EcsProperties'),
+    eksProperties: ref('EksProperties')
+  }, ['targetNodes']),
+  NodeProperties: shape({
+    numNodes: integer(1),
+    mainNode: integer(0),
+    nodeRangeProperties: list(ref('NodeRangeProperty'))
+  }, ['numNodes', 'mainNode', 'nodeRangeProperties']),
+
+  EksContainer: shape({
+    name: string,
+    image: string,
+    imagePullPolicy: oneOf('Always', 'IfNotPresent', 'Never'),
+    command: list(string),
+    args: list(string),
+    env: list(shape({ name: string, value: string }, ['name'])),
+    resources: shape({ limits: map(), requests: map() }),
+    volumeMounts: list(shape({ name: string, mountPath: string, subPath: string, readOnly: boolean })),
+    securityContext: object
+  }, ['image']),
+  EksVolume: shape({
+    name: string,
+    hostPath: shape({ path: string }),
+    emptyDir: shape({ medium: string, sizeLimit: string }),
+    secret: shape({ secretName: string, optional: boolean }),
+    persistentVolumeClaim: shape({ claimName: string, readOnly: boolean })
+  }, ['name']),
+  EksPodProperties: shape({
+    serviceAccountName: string,
+    hostNetwork: boolean,
+    dnsPolicy: oneOf('Default', 'ClusterFirst', 'ClusterFirstWithHostNet'),
+    imagePullSecrets: list(shape({ name: string })),
+    containers: list(ref('EksContainer')),
+    initContainers: list(ref('EksContainer')),
+    volumes: list(ref('EksVolume')),
+    metadata: shape({ labels: map(), annotations: map(), namespace: string }),
+    shareProcessNamespace: boolean
+  }),
+  EksProperties: shape({ podProperties: ref('EksPodProperties') }),
+
+  TaskContainerProperties: shape({
+    name: string,
+    image: string,
+    command: list(string),
+    essential: boolean,
+    environment: list(ref('KeyValuePair')),
+    resourceRequirements: list(ref('ResourceRequirement')),
+    dependsOn: list(shape({ containerName: string, condition: string })),
+    linuxParameters: ref('LinuxParameters'),
+    logConfiguration: ref('LogConfiguration'),
+    mountPoints: list(ref('MountPoint')),
+    privileged: boolean,
+    readonlyRootFilesystem: boolean,
+    repositoryCredentials: object,
+    secrets: list(ref('Secret')),
+    ulimits: list(ref('Ulimit')),
+    user: string,
+    firelensConfiguration: object
+  }, ['image']),
+  EcsTaskProperties: shape({
+    containers: list(ref('TaskContainerProperties')),
+    ephemeralStorage: ref('EphemeralStorage'),
+    executionRoleArn: string,
+    platformVersion: string,
+    ipcMode: string,
+    taskRoleArn: string,
+    pidMode: string,
+    networkConfiguration: ref('NetworkConfiguration'),
+    runtimePlatform: ref('RuntimePlatform'),
+    volumes: list(ref('Volume')),
+    enableExecuteCommand: boolean
+  }, ['containers']),
+  EcsProperties: shape({ taskProperties: list(ref('EcsTaskProperties'), 1) }, ['taskProperties']),
+
+  EvaluateOnExit: shape({
+    onStatusReason: string,
+    onReason: string,
+    onExitCode: string,
+    action: { type: 'string', enum: ['RETRY', 'EXIT'], caseInsensitive: true }
+  }, ['action']),
+  RetryStrategy: shape({ attempts: integer(1, 10), evaluateOnExit: list(ref('EvaluateOnExit'), 5) }),
+  JobTimeout: shape({ attemptDurationSeconds: integer(60) }),
+
+  RegisterJobDefinitionRequest: shape({
+    jobDefinitionName: string,
+    type: oneOf('container', 'multinode'),
+    parameters: map(),
+    schedulingPriority: integer(0, 9999),
+    containerProperties: ref('ContainerProperties'),
+    nodeProperties: ref('NodeProperties'),
+    retryStrategy: ref('RetryStrategy'),
+    propagateTags: boolean,
+    timeout: ref('JobTimeout'),
+    tags: map(),
+    platformCapabilities: list(oneOf('EC2', 'FARGATE')),
+    eksProperties: ref('EksProperties'),
+    ecsProperties: ref('EcsProperties')
+  }, ['jobDefinitionName', 'type']),
+
+  ContainerOverrides: shape({
+    vcpus: integer(1),
+    memory: integer(4),
+    command: list(string),
+    instanceType: string,
+    environment: list(ref('KeyValuePair')),
+    resourceRequirements: list(ref('ResourceRequirement'))
+  }),
+  SubmitJobRequest: shape({
+    jobName: string,
+    jobQueue: string,
+    jobDefinition: string,
+    shareIdentifier: string,
+    schedulingPriorityOverride: integer(0, 9999),
+    arrayProperties: shape({ size: integer(2, 10000) }),
+    dependsOn: list(shape({ jobId: string, type: oneOf('N_TO_N', 'SEQUENTIAL') }, ['jobId']), 20),
+    parameters: map(),
+    containerOverrides: ref('ContainerOverrides'),
+    nodeOverrides: shape({
+      numNodes: integer(1),
+      nodePropertyOverrides: list(shape({
+        targetNodes: string,
+        containerOverrides: ref('ContainerOverrides'),
+        ecsPropertiesOverride: object,
+        eksPropertiesOverride: object,
+        instanceTypes: list(string)
+      }, ['targetNodes']))
+    }),
+    retryStrategy: ref('RetryStrategy'),
+    propagateTags: boolean,
+    timeout: ref('JobTimeout'),
+    tags: map(),
+    eksPropertiesOverride: object,
+    ecsPropertiesOverride: object
+  }, ['jobName', 'jobQueue', 'jobDefinition'])
+};
@@ -0,0 +1,294 @@
+import crypto from 'crypto';
+
+/**
+ * AWS Signature Version 4, for any service and region: signed request
+ * headers, query-string presigned URLs and server-side verification.
+ * Canonicalisation follows the AWS SigV4 test suite: the path is URI-encoded
+ * as received (so an already-encoded path is encoded twice) and normalised
+ * for every service but S3, the query is decoded, re-encoded and sorted, and
+ * header values are trimmed with inner whitespace collapsed.
+ */
+
+export const ALGORITHM = 'AWS4-HMAC-SHA256';
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// Headers that proxies and HTTP clients may rewrite; never signed
+const UNSIGNABLE_HEADERS = ['authorization', 'connection', 'expect', 'keep-alive', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'user-agent', 'x-amzn-trace-id'];
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+function hmac(key, msg) {
+  return crypto.createHmac('sha256', key).update(msg).digest();
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value ?? '').digest('hex');
+}
+
+export function getSigningKey(secretKey, dateStamp, regionName, serviceName) {
+  const kDate = hmac('AWS4' + secretKey, dateStamp);
+  const kRegion = hmac(kDate, regionName);
+  const kService = hmac(kRegion, serviceName);
+  return hmac(kService, 'aws4_request');
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function formatAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '').slice(0, 15) + 'Z';
+}
+
+// Split a URL into host and the path and query exactly as they go on the
+// wire; `new URL()` would re-encode them
+function splitUrl(url) {
+  const match = /^([a-z][a-z0-9+.-]*):\/\/([^/?#]*)([^?#]*)(?:\?([^#]*))?/i.exec(url);
+  if (!match) throw new Error(`Cannot sign '${url}': not an absolute URL`);
+  const [, protocol, authority, path, query = ''] = match;
+  const host = authority.replace(/^[^@]*@/, '').toLowerCase();
+  const defaultPort = protocol.toLowerCase() === 'https' ? ':443' : protocol.toLowerCase() === 'http' ? ':80' : null;
+  return { host: defaultPort && host.endsWith(defaultPort) ? host.slice(0, -defaultPort.length) : host, path: path || '/', query };
+}
+
+// ============================================================
+// Canonical request
+// ============================================================
+
+// Drop empty and "." segments and resolve ".."; keeps a trailing slash
+function normalizePath(path) {
+  const segments = [];
+  for (const segment of path.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') segments.pop();
+    else segments.push(segment);
+  }
+  const normalized = `/${segments.join('/')}`;
+  return segments.length && path.endsWith('/') ? `${normalized}/` : normalized;
+}
+
+export function canonicalUri(path, { uriEscapePath = true, normalize = uriEscapePath } = {}) {
+  const resolved = normalize ? normalizePath(path) : path;
+  if (!uriEscapePath) return resolved;
+  return resolved.split('/').map(encodeRfc3986).join('/');
+}
+
+// Sorted by encoded key, then by value for repeated keys
+export function canonicalQuery(query) {
+  const pairs = typeof query === 'string'
+    ? query.split('&').filter(Boolean).map(pair => {
+      const eq = pair.indexOf('=');
+      return eq < 0 ? [safeDecode(pair), ''] : [safeDecode(pair.slice(0, eq)), safeDecode(pair.slice(eq + 1))];
+    })
+    : [...query];
+  return pairs
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * Lower-case the header names, drop the ones that must not be signed and
+ * normalise the values; repeated headers (array values) are joined with ','.
+ */
+function canonicalHeaders(headers, signedHeaders) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase();
+    if (value === undefined || value === null || UNSIGNABLE_HEADERS.includes(key)) continue;
+    if (signedHeaders && !signedHeaders.includes(key)) continue;
+    const values = (Array.isArray(value) ? value : [value]).map(item => String(item).trim().replace(/\s+/g, ' '));
+    result[key] = result[key] !== undefined ? `${result[key]},${values.join(',')}` : values.join(',');
+  }
+  return result;
+}
+
+function buildCanonicalRequest({ method, path, query, headers, payloadHash, uriEscapePath, normalize }) {
+  const names = Object.keys(headers).sort();
+  return {
+    signedHeaders: names.join(';'),
+    canonicalRequest: [
+      method.toUpperCase(),
+      canonicalUri(path, { uriEscapePath, normalize }),
+      canonicalQuery(query),
+      names.map(name => `${name}:${headers[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n')
+  };
+}
+
+function signCanonical({ canonicalRequest, amzDate, region, service, secretAccessKey }) {
+  const credentialScope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, credentialScope, hash(canonicalRequest)].join('\n');
+  const signingKey = getSigningKey(secretAccessKey, amzDate.slice(0, 8), region, service);
+  return { credentialScope, stringToSign, signature: hmac(signingKey, stringToSign).toString('hex') };
+}
+
+// ============================================================
+// Signing
+// ============================================================
+
+/**
+ * Sign a request and return the headers to send with it: the given headers
+ * plus X-Amz-Date, X-Amz-Security-Token (with session credentials),
+ * X-Amz-Content-Sha256 (with `contentSha256`) and Authorization.
+ *
+ * Every given header is signed along with host, unless `signedHeaders`
+ * lists the (lower-case) names to sign. S3 callers pass
+ * `uriEscapePath: false` and may pass `payloadHash: UNSIGNED_PAYLOAD`.
+ * `canonicalRequest` and `stringToSign` are returned for debugging.
+ */
+export function signRequest({
+  method,
+  url,
+  headers = {},
+  body = '',
+  service,
+  region,
+  credentials,
+  date = new Date(),
+  signedHeaders,
+  payloadHash = hash(body),
+  contentSha256 = false,
+  uriEscapePath = true,
+  normalizePath: normalize = uriEscapePath
+}) {
+  const { accessKeyId, secretAccessKey, sessionToken } = credentials;
+  const { host, path, query } = splitUrl(url);
+  const amzDate = formatAmzDate(date);
+
+  const sent = {
+    ...headers,
+    'X-Amz-Date': amzDate,
+    ...(sessionToken && { 'X-Amz-Security-Token': sessionToken }),
+    ...(contentSha256 && { 'X-Amz-Content-Sha256': payloadHash })
+  };
+  const hasHost = Object.keys(sent).some(name => name.toLowerCase() === 'host');
+  const toSign = canonicalHeaders(hasHost ? sent : { host, ...sent }, signedHeaders && ['host', 'x-amz-date', 'x-amz-security-token', 'x-amz-content-sha256', ...signedHeaders]);
+
+  const { canonicalRequest, signedHeaders: signedList } = buildCanonicalRequest({
+    method, path, query, headers: toSign, payloadHash, uriEscapePath, normalize
+  });
+  const { credentialScope, stringToSign, signature } = signCanonical({ canonicalRequest, amzDate, region, service, secretAccessKey });
+
+  return {
+    headers: {
+      ...sent,
+      Authorization: `${ALGORITHM} Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedList}, Signature=${signature}`
+    },
+    canonicalRequest,
+    stringToSign,
+    signature
+  };
+}
+
+/**
+ * Build a presigned URL: the signature travels in the X-Amz-* query
+ * parameters, so the URL can be used without credentials until `expiresIn`
+ * seconds (at most 7 days) have passed. Only host and the given `headers`
+ * are signed; a client using the URL must send those headers unchanged.
+ */
+export function presignUrl({
+  method = 'GET',
+  url,
+  headers = {},
+  service,
+  region,
+  credentials,
+  expiresIn = 900,
+  date = new Date(),
+  payloadHash = service === 's3' ? UNSIGNED_PAYLOAD : hash(''),
+  uriEscapePath = service !== 's3',
+  normalizePath: normalize = uriEscapePath
+}) {
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_PRESIGN_SECONDS) {
+    throw new Error(`Presigned URL expiry must be 1-${MAX_PRESIGN_SECONDS} seconds`);
+  }
+  const { accessKeyId, secretAccessKey, sessionToken } = credentials;
+  const { host, path, query } = splitUrl(url);
+  const amzDate = formatAmzDate(date);
+  const toSign = canonicalHeaders({ host, ...headers });
+  const credentialScope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+
+  const params = [
+    ['X-Amz-Algorithm', ALGORITHM],
+    ['X-Amz-Credential', `${accessKeyId}/${credentialScope}`],
+    ['X-Amz-Date', amzDate],
+    ['X-Amz-Expires', String(expiresIn)],
+    ['X-Amz-SignedHeaders', Object.keys(toSign).sort().join(';')],
+    ...(sessionToken ? [['X-Amz-Security-Token', sessionToken]] : [])
+  ];
+  const presignedQuery = [query, params.map(([key, value]) => `${key}=${encodeRfc3986(value)}`).join('&')].filter(Boolean).join('&');
+
+  const { canonicalRequest } = buildCanonicalRequest({
+    method, path, query: presignedQuery, headers: toSign, payloadHash, uriEscapePath, normalize
+  });
+  const { signature } = signCanonical({ canonicalRequest, amzDate, region, service, secretAccessKey });
+  return `${url.replace(/[?#].*$/, '')}?${presignedQuery}&X-Amz-Signature=${signature}`;
+}
+
+// ============================================================
+// Verification
+// ============================================================
+
+const AUTHORIZATION = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, ?SignedHeaders=([a-z0-9;-]+), ?Signature=([0-9a-f]{64})$/;
+const MAX_SKEW_MS = 15 * 60 * 1000;
+
+/**
+ * Check a received request's SigV4 Authorization header, the way a service
+ * endpoint would. `url` must carry the path and query as received.
+ * `lookupSecret(accessKeyId)` returns the secret key or nothing. Returns
+ * null when the signature is valid, else `{ code, message }` with the error
+ * the service would send.
+ */
+export function verifySignature({ method, url, headers, body }, lookupSecret, { service, now = Date.now() } = {}) {
+  const match = AUTHORIZATION.exec(headers.authorization || '');
+  if (!match) {
+    return { code: 'MissingAuthenticationTokenException', message: 'Missing or malformed SigV4 Authorization header.' };
+  }
+  const [, accessKeyId, dateStamp, region, scopeService, signedHeaderList, signature] = match;
+  const signedHeaders = signedHeaderList.split(';');
+
+  const amzDate = headers['x-amz-date'];
+  const signedAt = amzDate && Date.parse(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  if (!signedAt || !amzDate.startsWith(dateStamp)) {
+    return { code: 'IncompleteSignatureException', message: 'X-Amz-Date is missing or does not match the credential scope date.' };
+  }
+  if (Math.abs(now - signedAt) > MAX_SKEW_MS) {
+    return { code: 'InvalidSignatureException', message: `Signature expired: ${amzDate} is more than 15 minutes from the server time.` };
+  }
+  if (service && scopeService !== service) {
+    return { code: 'InvalidSignatureException', message: `Credential should be scoped to correct service: '${service}'.` };
+  }
+  if (!signedHeaders.includes('host') || signedHeaders.some(name => headers[name] === undefined)) {
+    return { code: 'IncompleteSignatureException', message: 'SignedHeaders must include host and only headers present in the request.' };
+  }
+
+  const secretAccessKey = lookupSecret(accessKeyId);
+  if (!secretAccessKey) {
+    return { code: 'UnrecognizedClientException', message: 'The security token included in the request is invalid.' };
+  }
+
+  const { path, query } = splitUrl(url);
+  const { canonicalRequest } = buildCanonicalRequest({
+    method,
+    path,
+    query,
+    headers: canonicalHeaders(headers, signedHeaders),
+    payloadHash: hash(body)
+  });
+  const expected = signCanonical({ canonicalRequest, amzDate, region, service: scopeService, secretAccessKey }).signature;
+  if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    return { code: 'InvalidSignatureException', message: 'The request signature we calculated does not match the signature you provided.' };
+  }
+  return null;
+}
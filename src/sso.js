@@ -0,0 +1,50 @@
+import axios from 'axios';
+import { traceRequest, traceResponse } from './debug.js';
+import { NetworkError, ServerError, errorFromResponse } from './errors.js';
+
+export function getSsoEndpoint(region) {
+  return process.env.AWS_ENDPOINT_URL_SSO || `https://portal.sso.${region}.amazonaws.com`;
+}
+
+/**
+ * Exchange the access token of an `aws sso login` session for the role's
+ * temporary credentials (SSO GetRoleCredentials). The call is authorized by
+ * the bearer token, not signed.
+ */
+export async function getRoleCredentials({ accessToken, accountId, roleName, region }) {
+  const query = new URLSearchParams({ role_name: roleName, account_id: accountId });
+  const url = `${getSsoEndpoint(region).replace(/\/$/, '')}/federation/credentials?${query}`;
+  const headers = { 'x-amz-sso_bearer_token': accessToken };
+
+  let response;
+  traceRequest({ method: 'GET', url, headers });
+  const startedAt = Date.now();
+  try {
+    response = await axios({ method: 'GET', url, headers });
+    traceResponse({ response, startedAt });
+  } catch (error) {
+    traceResponse({ response: error.response, error, startedAt });
+    if (error.response) {
+      const data = error.response.data || {};
+      throw errorFromResponse({
+        status: error.response.status,
+        code: String(data.__type || error.response.headers?.['x-amzn-errortype'] || '').split(':')[0] || undefined,
+        message: `SSO GetRoleCredentials failed for ${roleName} in ${accountId}: ${data.message || data.Message || `HTTP ${error.response.status}`}`,
+        requestId: error.response.headers?.['x-amzn-requestid'],
+        service: 'SSO'
+      });
+    }
+    throw new NetworkError(`No response from SSO at ${url}. Check your connection and sso_region.`, { code: error.code, service: 'SSO' });
+  }
+
+  const role = response.data?.roleCredentials;
+  if (!role?.accessKeyId || !role?.secretAccessKey) {
+    throw new ServerError(`SSO GetRoleCredentials for ${roleName} in ${accountId} returned no credentials`, { service: 'SSO' });
+  }
+  return {
+    accessKeyId: role.accessKeyId,
+    secretAccessKey: role.secretAccessKey,
+    sessionToken: role.sessionToken,
+    expiration: role.expiration ? new Date(role.expiration).toISOString() : undefined
+  };
+}
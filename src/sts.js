@@ -0,0 +1,83 @@
+import axios from 'axios';
+import { signRequest } from './signer.js';
+import { traceRequest, traceResponse } from './debug.js';
+import { NetworkError, ServerError, errorFromResponse } from './errors.js';
+
+// An explicit endpoint wins over AWS_ENDPOINT_URL_STS
+export function getStsEndpoint(region, endpoint) {
+  return endpoint || process.env.AWS_ENDPOINT_URL_STS || `https://sts.${region}.amazonaws.com`;
+}
+
+function xmlValue(xml, tag) {
+  const match = String(xml || '').match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Call STS AssumeRole with the given source credentials and return the
+ * temporary credentials it issues.
+ */
+export async function assumeRole({ roleArn, sessionName, externalId, durationSeconds, mfaSerial, tokenCode, region, endpoint }, source) {
+  const params = new URLSearchParams({
+    Action: 'AssumeRole',
+    Version: '2011-06-15',
+    RoleArn: roleArn,
+    RoleSessionName: sessionName
+  });
+  if (externalId) params.set('ExternalId', externalId);
+  if (durationSeconds) params.set('DurationSeconds', String(durationSeconds));
+  if (mfaSerial) {
+    params.set('SerialNumber', mfaSerial);
+    params.set('TokenCode', tokenCode);
+  }
+
+  const url = `${getStsEndpoint(region, endpoint).replace(/\/$/, '')}/`;
+  const body = params.toString();
+  const { headers, canonicalRequest } = signRequest({
+    method: 'POST',
+    url,
+    body,
+    service: 'sts',
+    region,
+    credentials: source,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' }
+  });
+
+  let response;
+  traceRequest({ method: 'POST', url, headers, body, canonicalRequest });
+  const startedAt = Date.now();
+  try {
+    response = await axios({
+      method: 'POST',
+      url,
+      data: body,
+      responseType: 'text',
+      headers
+    });
+    traceResponse({ response, startedAt });
+  } catch (error) {
+    traceResponse({ response: error.response, error, startedAt });
+    if (error.response) {
+      const message = xmlValue(error.response.data, 'Message') || `HTTP ${error.response.status}`;
+      throw errorFromResponse({
+        status: error.response.status,
+        code: xmlValue(error.response.data, 'Code'),
+        message: `STS AssumeRole failed for ${roleArn}: ${message}`,
+        requestId: xmlValue(error.response.data, 'RequestId') || error.response.headers?.['x-amzn-requestid'],
+        service: 'STS'
+      });
+    }
+    throw new NetworkError(`No response from STS at ${url}. Check your connection and stsEndpoint.`, { code: error.code, service: 'STS' });
+  }
+
+  const credentials = {
+    accessKeyId: xmlValue(response.data, 'AccessKeyId'),
+    secretAccessKey: xmlValue(response.data, 'SecretAccessKey'),
+    sessionToken: xmlValue(response.data, 'SessionToken'),
+    expiration: xmlValue(response.data, 'Expiration')
+  };
+  if (!credentials.accessKeyId || !credentials.secretAccessKey || !credentials.sessionToken) {
+    throw new ServerError(`STS AssumeRole for ${roleArn} returned no credentials`, { service: 'STS' });
+  }
+  return credentials;
+}
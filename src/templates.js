@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { getConfig, setConfig } from './config.js';
+import { readStructuredFile } from './files.js';
+import { shapes } from './schema.js';
+import { NotFoundError, ValidationError } from './errors.js';
+
+const TEMPLATE_NAME = /^[A-Za-z0-9_.-]{1,100}$/;
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+const PLACEHOLDER = /\$(\$?)\{([^}]+)\}/g;
+
+// ============================================================
+// Storage
+// ============================================================
+
+// Project templates live in ./.awsbatch/templates/<name>.yaml and take
+// precedence over the ones saved in the config store
+export function localTemplateDir() {
+  return path.join(process.cwd(), '.awsbatch', 'templates');
+}
+
+function localTemplateFile(name) {
+  const dir = localTemplateDir();
+  return EXTENSIONS.map(ext => path.join(dir, name + ext)).find(file => fs.existsSync(file)) || null;
+}
+
+function checkName(name) {
+  if (!TEMPLATE_NAME.test(name)) {
+    throw new ValidationError(`Invalid template name '${name}'. Use letters, numbers, '.', '-' and '_'.`);
+  }
+}
+
+/**
+ * A template is a SubmitJob request plus an optional `variables` map of
+ * name -> default (or { default, description, required }).
+ */
+function normalizeTemplate(name, doc, source) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new ValidationError(`Template '${name}' (${source}) must be a mapping of SubmitJob fields`);
+  }
+  const { variables = {}, description, ...request } = doc;
+  const normalized = Object.fromEntries(Object.entries(variables).map(([key, value]) => [
+    key,
+    value !== null && typeof value === 'object' ? value : { default: value }
+  ]));
+  return { name, source, description, variables: normalized, request };
+}
+
+export function listTemplates() {
+  const templates = new Map();
+  Object.entries(getConfig('templates') || {}).forEach(([name, doc]) => {
+    templates.set(name, normalizeTemplate(name, doc, 'config'));
+  });
+
+  const dir = localTemplateDir();
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter(file => EXTENSIONS.includes(path.extname(file)))
+      .forEach(file => {
+        const name = path.basename(file, path.extname(file));
+        const full = path.join(dir, file);
+        templates.set(name, normalizeTemplate(name, readStructuredFile(full), full));
+      });
+  }
+  return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function loadTemplate(name) {
+  checkName(name);
+  const file = localTemplateFile(name);
+  if (file) return normalizeTemplate(name, readStructuredFile(file), file);
+  const doc = (getConfig('templates') || {})[name];
+  if (!doc) throw new NotFoundError(`No template named '${name}'. See awsbatch templates list.`);
+  return normalizeTemplate(name, doc, 'config');
+}
+
+/** Save a template; returns where it was written. */
+export function saveTemplate(name, { request, variables, description }, { local = false } = {}) {
+  checkName(name);
+  const doc = {
+    ...(description && { description }),
+    ...request,
+    ...(variables && Object.keys(variables).length && { variables })
+  };
+  if (local) {
+    const dir = localTemplateDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const existing = localTemplateFile(name);
+    if (existing) fs.unlinkSync(existing);
+    const file = path.join(dir, `${name}.yaml`);
+    fs.writeFileSync(file, YAML.stringify(doc));
+    return file;
+  }
+  setConfig('templates', { ...getConfig('templates'), [name]: doc });
+  return 'config';
+}
+
+/** Delete a template from the project directory or the config store; returns where it was. */
+export function deleteTemplate(name, { local } = {}) {
+  checkName(name);
+  const file = localTemplateFile(name);
+  const stored = getConfig('templates') || {};
+  if (file && local !== false) {
+    fs.unlinkSync(file);
+    return file;
+  }
+  if (stored[name] && !local) {
+    const { [name]: _, ...rest } = stored;
+    setConfig('templates', rest);
+    return 'config';
+  }
+  throw new NotFoundError(`No template named '${name}'${local ? ` in ${localTemplateDir()}` : ''}`);
+}
+
+// ============================================================
+// Rendering
+// ============================================================
+
+/** Variable names a template refers to, in order of first use. */
+export function templateVariables(template) {
+  const names = new Set();
+  JSON.stringify(template.request).replace(PLACEHOLDER, (_, escaped, body) => {
+    if (!escaped && !body.startsWith('env:')) names.add(body.split(':-')[0].trim());
+    return '';
+  });
+  Object.keys(template.variables).forEach(name => names.add(name));
+  return [...names];
+}
+
+function renderString(value, lookup) {
+  return value.replace(PLACEHOLDER, (match, escaped, body) => {
+    // $${...} is a literal ${...}
+    if (escaped) return match.slice(1);
+    const split = body.indexOf(':-');
+    const key = (split < 0 ? body : body.slice(0, split)).trim();
+    const fallback = split < 0 ? undefined : body.slice(split + 2);
+    return lookup(key, fallback) ?? match;
+  });
+}
+
+function renderValue(value, lookup) {
+  if (typeof value === 'string') return renderString(value, lookup);
+  if (Array.isArray(value)) return value.map(item => renderValue(item, lookup));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, lookup)]));
+  }
+  return value;
+}
+
+// Placeholders always render to strings; turn them back into the integers
+// and booleans the SubmitJob shape expects (array size, retries, ...)
+function coerce(value, schema) {
+  const resolved = schema?.ref ? shapes[schema.ref] : schema;
+  if (!resolved || value === null || value === undefined) return value;
+  if (resolved.type === 'integer' && typeof value === 'string' && /^-?\d+$/.test(value.trim())) return Number(value);
+  if (resolved.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (resolved.type === 'array' && Array.isArray(value)) return value.map(item => coerce(item, resolved.items));
+  if (resolved.type === 'object' && resolved.properties && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, coerce(item, resolved.properties[key])]));
+  }
+  return value;
+}
+
+/**
+ * Render `${name}`, `${name:-default}` and `${env:NAME}` placeholders in a
+ * template's request. Values come from `vars`, then the template's variable
+ * defaults, then inline defaults. Throws listing every variable without a
+ * value, and for unset environment variables without a default.
+ */
+export function renderTemplate(template, vars = {}, env = process.env) {
+  const missing = new Set();
+  const unknown = Object.keys(vars).filter(name => !templateVariables(template).includes(name));
+  if (unknown.length) {
+    throw new ValidationError(`Template '${template.name}' has no variable ${unknown.join(', ')}. Variables: ${templateVariables(template).join(', ') || 'none'}`);
+  }
+
+  Object.entries(template.variables).forEach(([name, variable]) => {
+    if (variable.required && vars[name] === undefined) missing.add(name);
+  });
+
+  const lookup = (key, fallback) => {
+    if (key.startsWith('env:')) {
+      const name = key.slice(4);
+      const value = env[name] ?? fallback;
+      if (value === undefined) missing.add(`environment variable ${name}`);
+      return value;
+    }
+    const value = vars[key] ?? template.variables[key]?.default ?? fallback;
+    if (value === undefined || value === null) {
+      missing.add(key);
+      return undefined;
+    }
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  };
+
+  const request = coerce(renderValue(template.request, lookup), shapes.SubmitJobRequest);
+  if (missing.size) {
+    throw new ValidationError(`Template '${template.name}' needs a value for ${[...missing].join(', ')}. Pass --var name=value.`);
+  }
+  return request;
+}
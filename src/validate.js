@@ -0,0 +1,375 @@
+import { shapes } from './schema.js';
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const PARAM_REF = /Ref::([A-Za-z0-9_]+)/g;
+
+// Valid Fargate vCPU values and the memory (MiB) each one allows
+const FARGATE_MEMORY = new Map([
+  ['0.25', [512, 1024, 2048]],
+  ['0.5', range(1024, 4096, 1024)],
+  ['1', range(2048, 8192, 1024)],
+  ['2', range(4096, 16384, 1024)],
+  ['4', range(8192, 30720, 1024)],
+  ['8', range(16384, 61440, 4096)],
+  ['16', range(32768, 122880, 8192)]
+]);
+const FARGATE_LOG_DRIVERS = ['awslogs', 'splunk', 'awsfirelens'];
+
+function range(from, to, step) {
+  const values = [];
+  for (let value = from; value <= to; value += step) values.push(value);
+  return values;
+}
+
+function issue(issues, level, path, message, fix) {
+  issues.push({ level, path, message, ...(fix && { fix }) });
+}
+
+// ============================================================
+// Schema checks
+// ============================================================
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function closest(name, candidates) {
+  const lower = name.toLowerCase();
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance <= Math.min(3, Math.floor(candidate.length / 3)) && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  }
+  return best?.candidate;
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function checkShape(value, schema, path, issues) {
+  if (schema.ref) return checkShape(value, shapes[schema.ref], path, issues);
+  const actual = describeType(value);
+
+  switch (schema.type) {
+    case 'string':
+      if (actual !== 'string') {
+        issue(issues, 'error', path, `expected a string, got ${actual}`,
+          actual === 'number' || actual === 'boolean' ? `quote the value: "${value}"` : undefined);
+        return;
+      }
+      if (schema.enum && !schema.enum.includes(schema.caseInsensitive ? value.toUpperCase() : value)) {
+        const match = schema.enum.find(option => option.toLowerCase() === value.toLowerCase());
+        issue(issues, 'error', path, `'${value}' is not one of ${schema.enum.join(', ')}`,
+          match ? `use '${match}'` : `use one of: ${schema.enum.join(', ')}`);
+      }
+      return;
+    case 'boolean':
+      if (actual !== 'boolean') issue(issues, 'error', path, `expected true or false, got ${actual}`);
+      return;
+    case 'integer':
+      if (actual !== 'number' || !Number.isInteger(value)) {
+        issue(issues, 'error', path, `expected an integer, got ${actual === 'number' ? value : actual}`,
+          actual === 'string' && /^\d+$/.test(value) ? `drop the quotes: ${value}` : undefined);
+        return;
+      }
+      if (schema.min !== undefined && value < schema.min) issue(issues, 'error', path, `must be at least ${schema.min}, got ${value}`);
+      if (schema.max !== undefined && value > schema.max) issue(issues, 'error', path, `must be at most ${schema.max}, got ${value}`);
+      return;
+    case 'array':
+      if (actual !== 'array') {
+        issue(issues, 'error', path, `expected a list, got ${actual}`, actual !== 'object' ? `wrap it in a list: [${JSON.stringify(value)}]` : undefined);
+        return;
+      }
+      if (schema.max !== undefined && value.length > schema.max) issue(issues, 'error', path, `at most ${schema.max} entries allowed, got ${value.length}`);
+      value.forEach((item, i) => checkShape(item, schema.items, `${path}[${i}]`, issues));
+      return;
+    case 'map':
+      if (actual !== 'object') {
+        issue(issues, 'error', path, `expected a key/value object, got ${actual}`);
+        return;
+      }
+      Object.entries(value).forEach(([key, item]) => checkShape(item, schema.values, `${path}.${key}`, issues));
+      return;
+    case 'object':
+      if (actual !== 'object') {
+        issue(issues, 'error', path, `expected an object, got ${actual}`);
+        return;
+      }
+      if (!schema.properties) return;
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) issue(issues, 'error', `${path}.${key}`, 'required field is missing');
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        const property = schema.properties[key];
+        if (property) {
+          checkShape(item, property, `${path}.${key}`, issues);
+        } else {
+          const suggestion = closest(key, Object.keys(schema.properties));
+          issue(issues, 'error', `${path}.${key}`, 'unknown field', suggestion ? `did you mean '${suggestion}'?` : 'remove it');
+        }
+      }
+  }
+}
+
+// ============================================================
+// Semantic checks
+// ============================================================
+
+function resources(container = {}) {
+  return Object.fromEntries((container.resourceRequirements || []).map(r => [r.type, r.value]));
+}
+
+function checkResourceRequirements(container, path, issues) {
+  const seen = new Set();
+  (container.resourceRequirements || []).forEach((requirement, i) => {
+    if (!requirement || typeof requirement.value !== 'string') return;
+    if (seen.has(requirement.type)) {
+      issue(issues, 'error', `${path}.resourceRequirements[${i}]`, `duplicate ${requirement.type} requirement`, 'keep a single entry per type');
+    }
+    seen.add(requirement.type);
+    if (!/^\d+(\.\d+)?$/.test(requirement.value)) {
+      issue(issues, 'error', `${path}.resourceRequirements[${i}].value`, `'${requirement.value}' is not a number`,
+        requirement.type === 'MEMORY' ? 'give memory in MiB, e.g. "2048"' : undefined);
+    }
+  });
+}
+
+function checkDeprecatedResources(container, path, issues, level) {
+  for (const [field, type] of [['vcpus', 'VCPU'], ['memory', 'MEMORY']]) {
+    if (container[field] === undefined) continue;
+    issue(issues, level, `${path}.${field}`,
+      `'${field}' is deprecated${level === 'error' ? ' and not supported on Fargate' : ''}`,
+      `use resourceRequirements: [{ "type": "${type}", "value": "${container[field]}" }]`);
+  }
+}
+
+function checkFargateResources(container, path, issues) {
+  const { VCPU: vcpu, MEMORY: memory, GPU: gpu } = resources(container);
+  if (gpu !== undefined) issue(issues, 'error', `${path}.resourceRequirements`, 'GPU resources are not supported on Fargate', 'remove the GPU requirement or use EC2');
+  if (vcpu === undefined) return;
+  const allowed = FARGATE_MEMORY.get(String(parseFloat(vcpu)));
+  if (!allowed) {
+    issue(issues, 'error', `${path}.resourceRequirements`, `Fargate does not support ${vcpu} vCPU`, `use one of: ${[...FARGATE_MEMORY.keys()].join(', ')}`);
+  } else if (memory !== undefined && !allowed.includes(parseInt(memory))) {
+    issue(issues, 'error', `${path}.resourceRequirements`, `Fargate does not support ${memory} MiB with ${vcpu} vCPU`,
+      allowed.length <= 4
+        ? `use one of: ${allowed.join(', ')} MiB`
+        : `use ${allowed[0]}-${allowed[allowed.length - 1]} MiB in steps of ${allowed[1] - allowed[0]}`);
+  }
+}
+
+function checkFargateContainer(container, path, issues) {
+  checkDeprecatedResources(container, path, issues, 'error');
+  checkFargateResources(container, path, issues);
+  if (container.privileged) issue(issues, 'error', `${path}.privileged`, 'privileged containers are not supported on Fargate', 'remove it or use EC2');
+  if (container.instanceType) issue(issues, 'error', `${path}.instanceType`, 'instanceType does not apply to Fargate', 'remove it');
+  if (container.ulimits?.length) issue(issues, 'error', `${path}.ulimits`, 'ulimits are not supported on Fargate', 'remove them or use EC2');
+  if (container.linuxParameters?.devices?.length) {
+    issue(issues, 'error', `${path}.linuxParameters.devices`, 'devices are not supported on Fargate', 'remove them or use EC2');
+  }
+  (container.volumes || []).forEach((volume, i) => {
+    if (volume?.host?.sourcePath) {
+      issue(issues, 'error', `${path}.volumes[${i}].host`, 'host volumes are not supported on Fargate', 'use an EFS volume or omit sourcePath');
+    }
+  });
+  const driver = container.logConfiguration?.logDriver;
+  if (driver && !FARGATE_LOG_DRIVERS.includes(driver)) {
+    issue(issues, 'error', `${path}.logConfiguration.logDriver`, `log driver '${driver}' is not supported on Fargate`, `use one of: ${FARGATE_LOG_DRIVERS.join(', ')}`);
+  }
+  if (!container.executionRoleArn) {
+    issue(issues, 'warning', `${path}.executionRoleArn`, 'no execution role; Fargate needs one to pull from ECR or write to CloudWatch Logs', 'set executionRoleArn (--execution-role-arn)');
+  }
+}
+
+function checkEc2Container(container, path, issues) {
+  checkDeprecatedResources(container, path, issues, 'warning');
+  if (container.fargatePlatformConfiguration) {
+    issue(issues, 'warning', `${path}.fargatePlatformConfiguration`, 'ignored unless platformCapabilities includes FARGATE', 'remove it or add --platform FARGATE');
+  }
+  if (container.networkConfiguration) {
+    issue(issues, 'warning', `${path}.networkConfiguration`, 'ignored unless platformCapabilities includes FARGATE', 'remove it or add --platform FARGATE');
+  }
+  const { VCPU: vcpu, MEMORY: memory } = resources(container);
+  if (vcpu === undefined && container.vcpus === undefined) {
+    issue(issues, 'warning', `${path}.resourceRequirements`, 'no VCPU requirement; every submission must override it', 'add { "type": "VCPU", "value": "1" }');
+  }
+  if (memory === undefined && container.memory === undefined) {
+    issue(issues, 'warning', `${path}.resourceRequirements`, 'no MEMORY requirement; every submission must override it', 'add { "type": "MEMORY", "value": "2048" }');
+  }
+}
+
+// Every command in the definition, with its JSON path
+function definitionCommands(def) {
+  const commands = [];
+  if (def.containerProperties?.command) commands.push(['$.containerProperties.command', def.containerProperties.command]);
+  (def.nodeProperties?.nodeRangeProperties || []).forEach((range, i) => {
+    if (range?.container?.command) commands.push([`$.nodeProperties.nodeRangeProperties[${i}].container.command`, range.container.command]);
+  });
+  (def.eksProperties?.podProperties?.containers || []).forEach((container, i) => {
+    const path = `$.eksProperties.podProperties.containers[${i}]`;
+    if (container?.command) commands.push([`${path}.command`, container.command]);
+    if (container?.args) commands.push([`${path}.args`, container.args]);
+  });
+  (def.ecsProperties?.taskProperties || []).forEach((task, t) => {
+    (task?.containers || []).forEach((container, i) => {
+      if (container?.command) commands.push([`$.ecsProperties.taskProperties[${t}].containers[${i}].command`, container.command]);
+    });
+  });
+  return commands;
+}
+
+/**
+ * Flag Ref::name placeholders with no value. For submissions the fix goes in
+ * --parameters, so issues point at $.parameters.<name> and name the command
+ * (in the request or the definition) that uses it.
+ */
+function checkParameterRefs(commands, known, issues, { submission = false } = {}) {
+  for (const [path, command] of commands) {
+    if (!Array.isArray(command)) continue;
+    command.forEach((arg, i) => {
+      for (const [, name] of String(arg).matchAll(PARAM_REF)) {
+        if (known.has(name)) continue;
+        const suggestion = closest(name, [...known]);
+        const fix = suggestion ? `did you mean Ref::${suggestion}?` : undefined;
+        if (submission) {
+          issue(issues, 'error', `$.parameters.${name}`, `Ref::${name} in ${path}[${i}] has no default and is not supplied`,
+            fix || `pass it with --parameters '{"${name}":"..."}'`);
+        } else {
+          issue(issues, 'warning', `${path}[${i}]`, `Ref::${name} has no default in parameters`,
+            fix || `add "${name}" to parameters or pass it on every submit`);
+        }
+      }
+    });
+  }
+}
+
+function isFargate(def) {
+  return (def?.platformCapabilities || []).includes('FARGATE');
+}
+
+/**
+ * Check a RegisterJobDefinition request. Returns a list of
+ * `{ level: 'error'|'warning', path, message, fix }`.
+ */
+export function validateDefinition(def) {
+  const issues = [];
+  checkShape(def, shapes.RegisterJobDefinitionRequest, '$', issues);
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return issues;
+
+  if (typeof def.jobDefinitionName === 'string' && !NAME_PATTERN.test(def.jobDefinitionName)) {
+    issue(issues, 'error', '$.jobDefinitionName', 'must be 1-128 letters, numbers, hyphens or underscores, starting with a letter or number');
+  }
+
+  const bodies = ['containerProperties', 'eksProperties', 'ecsProperties'].filter(key => def[key]);
+  if (def.type === 'multinode') {
+    if (!def.nodeProperties) issue(issues, 'error', '$.nodeProperties', 'multinode definitions need nodeProperties', 'add nodeProperties or use --num-nodes/--node-range');
+    bodies.forEach(key => issue(issues, 'error', `$.${key}`, `not allowed on multinode definitions`, 'move it into a node range'));
+  } else {
+    if (def.nodeProperties) issue(issues, 'error', '$.nodeProperties', `only allowed when type is multinode`, 'set type to multinode');
+    if (bodies.length === 0) {
+      issue(issues, 'error', '$', 'no containerProperties, eksProperties or ecsProperties', 'add one, e.g. --image my-image:latest');
+    } else if (bodies.length > 1) {
+      issue(issues, 'error', '$', `only one of ${bodies.join(', ')} may be set`);
+    }
+  }
+
+  const nodes = def.nodeProperties;
+  if (nodes && Number.isInteger(nodes.mainNode) && Number.isInteger(nodes.numNodes) && nodes.mainNode >= nodes.numNodes) {
+    issue(issues, 'error', '$.nodeProperties.mainNode', `main node ${nodes.mainNode} is outside 0..${nodes.numNodes - 1}`);
+  }
+
+  const containers = [];
+  if (def.containerProperties) containers.push(['$.containerProperties', def.containerProperties]);
+  (nodes?.nodeRangeProperties || []).forEach((range, i) => {
+    if (range?.container) containers.push([`$.nodeProperties.nodeRangeProperties[${i}].container`, range.container]);
+  });
+  for (const [path, container] of containers) {
+    if (!container.image) issue(issues, 'error', `${path}.image`, 'required field is missing', 'set the image (--image)');
+    checkResourceRequirements(container, path, issues);
+    if (isFargate(def)) checkFargateContainer(container, path, issues);
+    else checkEc2Container(container, path, issues);
+  }
+
+  if (isFargate(def)) {
+    if (def.type === 'multinode' || nodes) issue(issues, 'error', '$.platformCapabilities', 'multi-node parallel jobs cannot run on Fargate', 'use EC2');
+    if (def.eksProperties) issue(issues, 'error', '$.platformCapabilities', 'EKS job definitions cannot set platformCapabilities', 'remove platformCapabilities');
+  }
+
+  const pods = def.eksProperties?.podProperties;
+  if (pods && !(pods.containers || []).length) {
+    issue(issues, 'error', '$.eksProperties.podProperties.containers', 'at least one container is required');
+  }
+
+  checkParameterRefs(definitionCommands(def), new Set(Object.keys(def.parameters || {})), issues);
+  return issues;
+}
+
+/**
+ * Check a SubmitJob request. With the target `definition` (as returned by
+ * DescribeJobDefinitions) it also checks Ref:: parameters and overrides
+ * against the definition.
+ */
+export function validateSubmission(request, definition) {
+  const issues = [];
+  checkShape(request, shapes.SubmitJobRequest, '$', issues);
+  if (!request || typeof request !== 'object') return issues;
+
+  if (typeof request.jobName === 'string' && !NAME_PATTERN.test(request.jobName)) {
+    issue(issues, 'error', '$.jobName', 'must be 1-128 letters, numbers, hyphens or underscores, starting with a letter or number');
+  }
+
+  const overrides = [];
+  if (request.containerOverrides) overrides.push(['$.containerOverrides', request.containerOverrides]);
+  (request.nodeOverrides?.nodePropertyOverrides || []).forEach((override, i) => {
+    if (override?.containerOverrides) overrides.push([`$.nodeOverrides.nodePropertyOverrides[${i}].containerOverrides`, override.containerOverrides]);
+  });
+  for (const [path, container] of overrides) {
+    checkResourceRequirements(container, path, issues);
+    checkDeprecatedResources(container, path, issues, isFargate(definition) ? 'error' : 'warning');
+    if (isFargate(definition)) {
+      // Overrides replace the definition's requirements type by type
+      const merged = { ...resources(definition.containerProperties), ...resources(container) };
+      checkFargateResources({ resourceRequirements: Object.entries(merged).map(([type, value]) => ({ type, value })) }, path, issues);
+    }
+  }
+
+  if (!definition) return issues;
+
+  if (request.nodeOverrides && definition.type !== 'multinode') {
+    issue(issues, 'error', '$.nodeOverrides', `'${definition.jobDefinitionName}' is not a multinode definition`, 'use --container-overrides instead');
+  }
+  if (request.arrayProperties && definition.type === 'multinode') {
+    issue(issues, 'error', '$.arrayProperties', 'multi-node parallel jobs cannot be array jobs', 'remove --array-size');
+  }
+
+  const known = new Set([...Object.keys(definition.parameters || {}), ...Object.keys(request.parameters || {})]);
+  const commands = request.containerOverrides?.command
+    ? [['$.containerOverrides.command', request.containerOverrides.command]]
+    : definitionCommands(definition).map(([path, command]) => [`${definition.jobDefinitionName}:${definition.revision} ${path.slice(2)}`, command]);
+  checkParameterRefs(commands, known, issues, { submission: true });
+  return issues;
+}
+
+/**
+ * Whether the issues should stop the request: any error, or any warning
+ * when `strict`.
+ */
+export function hasBlockingIssues(issues, strict = false) {
+  return issues.some(item => item.level === 'error' || (strict && item.level === 'warning'));
+}